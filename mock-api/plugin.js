@@ -0,0 +1,119 @@
+/**
+ * Mock API Vite Plugin
+ * Serves /api/* from the dev (and preview) server with a JSON-file store, so the
+ * app can be developed end-to-end without a real backend.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './store.js';
+import { ROUTES, HttpError } from './routes.js';
+
+// sendBeacon payloads are small; anything bigger than this is a bug
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve(null);
+        return;
+      }
+      // Parsed regardless of content type: sendBeacon posts JSON as text/plain
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, body) {
+  response.statusCode = status;
+  if (body === null) {
+    response.end();
+    return;
+  }
+  response.setHeader('Content-Type', 'application/json');
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Create the connect middleware that answers /api requests
+ * @param {Object} store - Store from createJsonStore
+ * @returns {Function} - Middleware (mounted under /api, so URLs arrive without the prefix)
+ */
+export function createMockApiMiddleware(store) {
+  return async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const matches = ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+    const route = matches.find(([method]) => method === request.method);
+
+    try {
+      if (!route) {
+        throw matches.length > 0
+          ? new HttpError(405, `${request.method} is not allowed on /api${url.pathname}`)
+          : new HttpError(404, `No mock API route for /api${url.pathname}`);
+      }
+
+      const [, pattern, handler] = route;
+      const body = ['POST', 'PATCH', 'PUT'].includes(request.method) ? await readJsonBody(request) : null;
+      const result = handler({
+        store,
+        params: url.pathname.match(pattern).groups ?? {},
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+
+      sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(response, error.status, { error: error.message, issues: error.issues });
+      } else {
+        console.error('[mock-api]', error);
+        sendJson(response, 500, { error: 'Mock API error', issues: [] });
+      }
+    }
+  };
+}
+
+/**
+ * Vite plugin serving the mock API
+ * @param {Object} options - Plugin options
+ * @param {string} options.dataFile - JSON database path, relative to the project root
+ * @returns {Object} - Vite plugin
+ */
+export default function mockApi({ dataFile = 'mock-api/data/db.json' } = {}) {
+  let middleware;
+
+  const install = (server) => {
+    server.middlewares.use('/api', middleware);
+  };
+
+  return {
+    name: 'blendo-mock-api',
+
+    configResolved(config) {
+      middleware = createMockApiMiddleware(createJsonStore(path.resolve(config.root, dataFile)));
+    },
+
+    configureServer: install,
+    configurePreviewServer: install
+  };
+}
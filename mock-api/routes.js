@@ -0,0 +1,203 @@
+/**
+ * Mock API Routes
+ * Request handlers for /api/results, /api/orders, /api/subscriptions and /api/analytics.
+ * Handlers receive { store, params, query, body } and return { status, body }.
+ */
+
+import { validateContact, validateShippingAddress } from '../src/utils/checkout.js';
+
+export class HttpError extends Error {
+  constructor(status, message, issues = []) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.issues = issues;
+  }
+}
+
+const ok = (body, status = 200) => ({ status, body });
+
+const now = () => new Date().toISOString();
+
+function requireRecord(store, collection, id) {
+  const record = store.get(collection, id);
+  if (!record) {
+    throw new HttpError(404, `No ${collection.replace(/s$/, '')} with id "${id}"`);
+  }
+  return record;
+}
+
+function requireFields(body, fields) {
+  const missing = fields.filter(field => body?.[field] === undefined || body[field] === null);
+  if (missing.length > 0) {
+    throw new HttpError(400, `Missing required fields: ${missing.join(', ')}`);
+  }
+}
+
+// === Results ===
+
+function createResult({ store, body }) {
+  requireFields(body, ['answers', 'schemaVersion', 'blend']);
+
+  return ok(store.put('results', {
+    id: store.createId('result'),
+    createdAt: now(),
+    answers: body.answers,
+    schemaVersion: body.schemaVersion,
+    blend: body.blend
+  }), 201);
+}
+
+function getResult({ store, params }) {
+  return ok(requireRecord(store, 'results', params.id));
+}
+
+// === Orders ===
+
+function createOrder({ store, body }) {
+  requireFields(body, ['plan', 'price', 'blend', 'contact', 'shipping', 'deliveryDate', 'payment']);
+
+  const issues = [
+    ...validateContact(body.contact).issues,
+    ...validateShippingAddress(body.shipping).issues
+  ];
+  if (issues.length > 0) {
+    throw new HttpError(422, 'Order details are invalid', issues);
+  }
+
+  const order = store.put('orders', {
+    ...body,
+    id: store.createId('order'),
+    createdAt: now(),
+    status: 'confirmed'
+  });
+
+  let subscription = null;
+  if (order.plan.purchaseType === 'subscription') {
+    subscription = store.put('subscriptions', {
+      id: store.createId('sub'),
+      orderId: order.id,
+      createdAt: order.createdAt,
+      status: 'active',
+      email: order.contact.email,
+      plan: order.plan,
+      price: order.price,
+      blend: order.blend,
+      answers: order.answers ?? {},
+      blendVersions: [{
+        version: 1,
+        blend: order.blend,
+        // An alternative's roast and origin pairing, so feedback starts from the blend ordered
+        adjustments: order.blend.adjustments ?? {},
+        source: 'order',
+        feedback: null,
+        createdAt: order.createdAt
+      }],
+      shipping: order.shipping,
+      firstDeliveryDate: order.deliveryDate,
+      nextDeliveryDate: order.deliveryDate,
+      skippedDeliveries: [],
+      pausedUntil: null,
+      cancellation: null,
+      history: [{ type: 'created', at: order.createdAt, details: { orderId: order.id } }]
+    });
+  }
+
+  return ok({ order, subscription }, 201);
+}
+
+function listOrders({ store, query }) {
+  const orders = store.list('orders')
+    .filter(order => !query.email || order.contact.email === query.email);
+  return ok({ orders });
+}
+
+function getOrder({ store, params }) {
+  return ok(requireRecord(store, 'orders', params.id));
+}
+
+// === Subscriptions ===
+
+// Fields a PATCH may change; anything else (id, history, createdAt) is server-owned
+const SUBSCRIPTION_MUTABLE_FIELDS = [
+  'status',
+  'plan',
+  'price',
+  'blend',
+  'answers',
+  'blendVersions',
+  'shipping',
+  'nextDeliveryDate',
+  'skippedDeliveries',
+  'pausedUntil',
+  'cancellation'
+];
+
+function listSubscriptions({ store, query }) {
+  const subscriptions = store.list('subscriptions')
+    .filter(subscription => !query.email || subscription.email === query.email);
+  return ok({ subscriptions });
+}
+
+function getSubscription({ store, params }) {
+  return ok(requireRecord(store, 'subscriptions', params.id));
+}
+
+// Body: { changes, event } - event ({ type, details }) is appended to the audit history
+function updateSubscription({ store, params, body }) {
+  const subscription = requireRecord(store, 'subscriptions', params.id);
+  requireFields(body, ['changes', 'event']);
+
+  const unknown = Object.keys(body.changes).filter(field => !SUBSCRIPTION_MUTABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Cannot change ${unknown.join(', ')}`);
+  }
+  if (!body.event.type) {
+    throw new HttpError(400, 'event.type is required');
+  }
+
+  return ok(store.put('subscriptions', {
+    ...subscription,
+    ...body.changes,
+    updatedAt: now(),
+    history: [...subscription.history, { type: body.event.type, at: now(), details: body.event.details ?? {} }]
+  }));
+}
+
+// === Analytics ===
+
+// Accepts a single event or a batch: { events: [...] }
+function recordAnalytics({ store, body }) {
+  const events = Array.isArray(body?.events) ? body.events : [body];
+  if (events.some(event => !event || typeof event.event !== 'string')) {
+    throw new HttpError(400, 'Every analytics event needs an "event" name');
+  }
+
+  const receivedAt = now();
+  return ok({ accepted: store.appendAnalytics(events.map(event => ({ ...event, receivedAt }))) }, 202);
+}
+
+function listAnalytics({ store, query }) {
+  const events = store.listAnalytics()
+    .filter(event => !query.since || event.timestamp >= query.since);
+  return ok({ events });
+}
+
+function clearAnalytics({ store }) {
+  store.clearAnalytics();
+  return ok(null, 204);
+}
+
+export const ROUTES = [
+  ['POST', /^\/results$/, createResult],
+  ['GET', /^\/results\/(?<id>[\w-]+)$/, getResult],
+  ['POST', /^\/orders$/, createOrder],
+  ['GET', /^\/orders$/, listOrders],
+  ['GET', /^\/orders\/(?<id>[\w-]+)$/, getOrder],
+  ['GET', /^\/subscriptions$/, listSubscriptions],
+  ['GET', /^\/subscriptions\/(?<id>[\w-]+)$/, getSubscription],
+  ['PATCH', /^\/subscriptions\/(?<id>[\w-]+)$/, updateSubscription],
+  ['POST', /^\/analytics$/, recordAnalytics],
+  ['GET', /^\/analytics$/, listAnalytics],
+  ['DELETE', /^\/analytics$/, clearAnalytics]
+];
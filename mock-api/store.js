@@ -0,0 +1,95 @@
+/**
+ * Mock API Store
+ * A tiny JSON-file database for the dev-server mock API. Collections are plain
+ * objects keyed by ID (analytics is an append-only list). Every write rewrites
+ * the file, which is fine for the handful of records a local session produces.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const EMPTY_DATABASE = {
+  results: {},
+  orders: {},
+  subscriptions: {},
+  analytics: []
+};
+
+// Keep the analytics log from growing without bound during long dev sessions
+const MAX_ANALYTICS_EVENTS = 10000;
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - Where to keep the database; created on first write
+ * @returns {Object} - Store API
+ */
+export function createJsonStore(filePath) {
+  let database = load();
+
+  function load() {
+    try {
+      return { ...structuredClone(EMPTY_DATABASE), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[mock-api] Could not read ${filePath}, starting empty:`, error.message);
+      }
+      return structuredClone(EMPTY_DATABASE);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a half-written file
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(database, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return {
+    /**
+     * Generate a record ID with a readable prefix
+     * @param {string} prefix - e.g. "order"
+     * @returns {string}
+     */
+    createId(prefix) {
+      return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+    },
+
+    list(collection) {
+      return Object.values(database[collection]);
+    },
+
+    get(collection, id) {
+      return database[collection][id] ?? null;
+    },
+
+    put(collection, record) {
+      database[collection][record.id] = record;
+      save();
+      return record;
+    },
+
+    // Events carry client-side IDs; a batch that was delivered twice (e.g. beaconed on
+    // page hide and retried from IndexedDB) is only recorded once
+    appendAnalytics(events) {
+      const known = new Set(database.analytics.map(event => event.id).filter(Boolean));
+      const fresh = events.filter(event => !event.id || !known.has(event.id));
+      database.analytics.push(...fresh);
+      if (database.analytics.length > MAX_ANALYTICS_EVENTS) {
+        database.analytics = database.analytics.slice(-MAX_ANALYTICS_EVENTS);
+      }
+      save();
+      return fresh.length;
+    },
+
+    listAnalytics() {
+      return database.analytics;
+    },
+
+    clearAnalytics() {
+      database.analytics = [];
+      save();
+    }
+  };
+}
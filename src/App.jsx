@@ -1,20 +1,160 @@
+import { useEffect, useRef, lazy, Suspense } from 'react';
 import { QuizProvider, useQuiz, QUIZ_STATES } from './context/QuizContext';
+import { ROUTES, parseRoute, buildPath, navigate, usePathname } from './utils/router';
 import Hero from './components/Hero/Hero';
 import Quiz from './components/Quiz/Quiz';
 import Result from './components/Result/Result';
+import SharedResult from './components/Result/SharedResult';
+import SubscriptionDashboard from './components/Subscription/SubscriptionDashboard';
+import ConsentBanner from './components/Consent/ConsentBanner';
+import LanguageSwitcher from './components/LanguageSwitcher/LanguageSwitcher';
+import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
+
+// Internal report, kept out of the main bundle
+const FunnelReport = lazy(() => import('./components/Admin/FunnelReport'));
+
+// Canonical URL for a quiz state; null while the result is still being generated
+const pathForState = ({ currentState, history, result }) => {
+  if (currentState === QUIZ_STATES.IDLE) {
+    return buildPath(ROUTES.HOME);
+  }
+  if (currentState === QUIZ_STATES.RESULT) {
+    return result ? buildPath(ROUTES.RESULT, { id: result.id }) : null;
+  }
+  return buildPath(ROUTES.QUIZ, { step: history.length });
+};
+
+// Routes shown in place of the Hero while no quiz is running
+const STANDALONE_ROUTES = [ROUTES.SHARED, ROUTES.SUBSCRIPTION, ROUTES.FUNNEL_REPORT];
+
+// Position of a route along the quiz: 0 is the Hero (or a standalone view), the result comes after the last step
+const stepForRoute = (route) => {
+  switch (route.name) {
+    case ROUTES.HOME:
+    case ROUTES.SHARED:
+    case ROUTES.SUBSCRIPTION:
+    case ROUTES.FUNNEL_REPORT:
+      return 0;
+    case ROUTES.QUIZ:
+      return route.params.step;
+    case ROUTES.RESULT:
+      return Infinity;
+    default:
+      return null;
+  }
+};
+
+// Keeps the URL and the quiz state in step with each other; returns the current route
+function useRouteSync() {
+  const quiz = useQuiz();
+  const pathname = usePathname();
+  const route = parseRoute(pathname);
+  const { currentState, history, savedQuiz, canGoForward, actions } = quiz;
+
+  // Standalone views are shown while no quiz is running, so there they are the canonical URL
+  const isStandaloneView = STANDALONE_ROUTES.includes(route.name) && currentState === QUIZ_STATES.IDLE;
+  const canonicalPath = isStandaloneView ? pathname : pathForState(quiz);
+  const lastPath = useRef(null);
+  // URL the user asked for (back/forward or a deep link) that the state hasn't caught up with
+  const targetPath = useRef(null);
+  // Entries created while redirecting a deep link replace it rather than stacking up
+  const replaceNext = useRef(false);
+
+  useEffect(() => {
+    if (canonicalPath === null) return;
+
+    if (pathname !== lastPath.current) {
+      lastPath.current = pathname;
+      targetPath.current = pathname === canonicalPath ? null : pathname;
+    }
+
+    if (targetPath.current === null) {
+      // The state moved on (answer, skip, restart): give it a history entry
+      if (pathname !== canonicalPath) {
+        navigate(canonicalPath, { replace: replaceNext.current });
+        replaceNext.current = false;
+      }
+      return;
+    }
+
+    if (targetPath.current === canonicalPath) {
+      targetPath.current = null;
+      return;
+    }
+
+    // Walk the state one step towards the requested URL; the next render takes the next step
+    const targetStep = stepForRoute(parseRoute(targetPath.current));
+    const currentStep = currentState === QUIZ_STATES.RESULT ? history.length + 1 : history.length;
+
+    if (targetStep === 0 && currentState !== QUIZ_STATES.IDLE) {
+      actions.exitQuiz();
+      return;
+    }
+    if (currentState === QUIZ_STATES.IDLE && targetStep > 0 && savedQuiz) {
+      replaceNext.current = true;
+      actions.resumeQuiz();
+      return;
+    }
+    if (targetStep !== null && currentState !== QUIZ_STATES.IDLE) {
+      if (targetStep < currentStep && (currentState === QUIZ_STATES.RESULT || history.length > 1)) {
+        actions.previousQuestion();
+        return;
+      }
+      if (targetStep > currentStep && currentState !== QUIZ_STATES.RESULT && canGoForward) {
+        actions.nextQuestion();
+        return;
+      }
+    }
+
+    // The requested URL isn't reachable (unknown path, unanswered step, stale result): redirect
+    targetPath.current = null;
+    lastPath.current = canonicalPath;
+    navigate(canonicalPath, { replace: true });
+    replaceNext.current = false;
+  });
+
+  return route;
+}
 
 // Main App Content Component
 function AppContent() {
   const { currentState, actions } = useQuiz();
+  const route = useRouteSync();
 
   const handleQuizStart = (data) => {
     actions.startQuiz(data.answer);
   };
 
+  // Each quiz step and standalone view gets its own boundary, so moving on clears a failure
+  const viewName = currentState === QUIZ_STATES.IDLE ? route.name : currentState;
+  const isHome = currentState === QUIZ_STATES.IDLE && route.name === ROUTES.HOME;
+
+  // Leaving a quiz keeps its answers for the Hero's resume offer
+  const handleLeaveView = () => {
+    if (currentState === QUIZ_STATES.IDLE) {
+      navigate(buildPath(ROUTES.HOME));
+    } else {
+      actions.exitQuiz();
+    }
+  };
+
   // Render different views based on quiz state
   const renderCurrentView = () => {
     switch (currentState) {
       case QUIZ_STATES.IDLE:
+        if (route.name === ROUTES.SHARED) {
+          return <SharedResult token={route.params.token} />;
+        }
+        if (route.name === ROUTES.SUBSCRIPTION) {
+          return <SubscriptionDashboard />;
+        }
+        if (route.name === ROUTES.FUNNEL_REPORT) {
+          return (
+            <Suspense fallback={null}>
+              <FunnelReport />
+            </Suspense>
+          );
+        }
         return <Hero onQuizStart={handleQuizStart} />;
 
       case QUIZ_STATES.RESULT:
@@ -28,7 +168,11 @@ function AppContent() {
 
   return (
     <div className="app">
-      {renderCurrentView()}
+      <LanguageSwitcher />
+      <ErrorBoundary key={viewName} view={viewName} onLeave={isHome ? null : handleLeaveView}>
+        {renderCurrentView()}
+      </ErrorBoundary>
+      <ConsentBanner />
     </div>
   );
 }
@@ -42,4 +186,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,147 @@
+import { useState, useEffect, useMemo } from 'react';
+import { isApiAvailable, listAnalyticsEvents } from '../../utils/api';
+import {
+  FUNNEL_FILTERS,
+  groupSessions,
+  getFilterOptions,
+  filterSessions,
+  computeFunnel,
+  funnelToCsv
+} from '../../utils/funnel';
+import { USER_PROPERTIES } from '../../utils/analytics';
+import { updatePageTitle, announceToScreenReader } from '../../utils/accessibility';
+import './FunnelReport.scss';
+
+const FILTER_LABELS = {
+  [USER_PROPERTIES.DEVICE_TYPE]: 'Device',
+  [USER_PROPERTIES.CONNECTION_TYPE]: 'Connection'
+};
+
+const formatRate = (rate) => (rate === null ? '–' : `${(rate * 100).toFixed(1)}%`);
+const formatSeconds = (ms) => (ms === null ? '–' : `${(ms / 1000).toFixed(1)}s`);
+
+// Internal quiz funnel built from the events recorded by the local analytics endpoint
+const FunnelReport = () => {
+  const [events, setEvents] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [filters, setFilters] = useState({});
+
+  const loadEvents = () => {
+    setLoadError(null);
+    listAnalyticsEvents()
+      .then(response => {
+        setEvents(response.events);
+        announceToScreenReader(`Loaded ${response.events.length} events`);
+      })
+      .catch(error => {
+        console.warn('Could not load analytics events:', error);
+        setLoadError('The analytics events could not be loaded.');
+      });
+  };
+
+  useEffect(() => {
+    updatePageTitle('Quiz funnel - Blendo', false);
+    if (isApiAvailable()) loadEvents();
+  }, []);
+
+  const sessions = useMemo(() => groupSessions(events ?? []), [events]);
+  const filterOptions = useMemo(() => getFilterOptions(sessions), [sessions]);
+  const funnel = useMemo(() => computeFunnel(filterSessions(sessions, filters)), [sessions, filters]);
+
+  const handleExport = () => {
+    const blob = new Blob([funnelToCsv(funnel)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `blendo-funnel-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  if (!isApiAvailable()) {
+    return (
+      <div className="funnel-report">
+        <div className="funnel-report__container">
+          <h1 className="funnel-report__title font-display">Quiz funnel</h1>
+          <p className="funnel-report__message">The report needs the analytics API (run the dev server).</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="funnel-report">
+      <div className="funnel-report__container">
+        <header className="funnel-report__header">
+          <h1 className="funnel-report__title font-display">Quiz funnel</h1>
+          <div className="funnel-report__actions">
+            <button type="button" className="btn btn-secondary" onClick={loadEvents}>Refresh</button>
+            <button type="button" className="btn btn-primary" onClick={handleExport} disabled={!events}>
+              Export CSV
+            </button>
+          </div>
+        </header>
+
+        {loadError && <p className="funnel-report__message" role="alert">{loadError}</p>}
+
+        <div className="funnel-report__filters">
+          {FUNNEL_FILTERS.map(property => (
+            <label key={property} className="funnel-report__filter">
+              {FILTER_LABELS[property]}
+              <select
+                className="funnel-report__select"
+                value={filters[property] ?? ''}
+                onChange={(event) => setFilters(current => ({ ...current, [property]: event.target.value }))}
+              >
+                <option value="">All</option>
+                {filterOptions[property].map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <p className="funnel-report__summary" aria-live="polite">
+            {funnel.sessions === 1 ? '1 session' : `${funnel.sessions} sessions`}
+          </p>
+        </div>
+
+        <table className="funnel-report__table">
+          <caption className="funnel-report__caption">
+            Drop-off is the share of sessions that reached a step and went no further.
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col">Step</th>
+              <th scope="col">Sessions</th>
+              <th scope="col">Of all sessions</th>
+              <th scope="col">Drop-off</th>
+              <th scope="col">Skip rate</th>
+              <th scope="col">Median time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {funnel.steps.map(step => (
+              <tr key={step.id}>
+                <th scope="row">{step.label}</th>
+                <td>{step.reached}</td>
+                <td>
+                  <span className="funnel-report__bar" style={{ '--share': step.conversion ?? 0 }}>
+                    {formatRate(step.conversion)}
+                  </span>
+                </td>
+                <td>{formatRate(step.dropOff)}</td>
+                <td>{formatRate(step.skipRate)}</td>
+                <td>{formatSeconds(step.medianTime)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FunnelReport;
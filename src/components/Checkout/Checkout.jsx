@@ -0,0 +1,505 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQuiz } from '../../context/QuizContext';
+import CheckoutField from './CheckoutField';
+import {
+  SHIPPING_COUNTRIES,
+  getCountryName,
+  validateContact,
+  validateShippingAddress,
+  getDeliveryDates,
+  validateDeliveryDate
+} from '../../utils/checkout';
+import { getPaymentAdapter } from '../../utils/payments';
+import { isApiAvailable, createOrder } from '../../utils/api';
+import { summarizeBlend } from '../../utils/quizLogic';
+import { pruneUnreachableAnswers } from '../../utils/quizSchema';
+import {
+  BAG_SIZES,
+  calculatePlanPrice,
+  validatePromoCode,
+  getDefaultCountry,
+  chooseShippingCountry,
+  describePlan,
+  formatPrice,
+  formatVatRate
+} from '../../utils/pricing';
+import { announceToScreenReader, trapFocus, validateFieldAccessibility } from '../../utils/accessibility';
+import { useLocale, formatDate } from '../../utils/i18n';
+import './Checkout.scss';
+
+// Titles are read from checkout.steps.<id>
+const STEPS = ['contact', 'shipping', 'delivery', 'payment'];
+
+const INITIAL_VALUES = {
+  email: '',
+  firstName: '',
+  lastName: '',
+  phone: '',
+  country: 'AT',
+  line1: '',
+  line2: '',
+  city: '',
+  postalCode: '',
+  deliveryDate: '',
+  promoCode: '',
+  cardholder: '',
+  cardNumber: '',
+  expiry: '',
+  cvc: ''
+};
+
+const getCountryOptions = () => Object.keys(SHIPPING_COUNTRIES).map(value => ({ value, label: getCountryName(value) }));
+
+const formatDeliveryDate = (dateKey) => formatDate(dateKey, { weekday: 'long', month: 'long', day: 'numeric' });
+
+const Checkout = ({ onClose }) => {
+  const { selectedPlan, order, answers, actions } = useQuiz();
+  const { t } = useLocale();
+  const { plan, blend } = selectedPlan;
+  const paymentAdapter = getPaymentAdapter();
+  const dialogRef = useRef(null);
+
+  const [stepIndex, setStepIndex] = useState(0);
+  const [values, setValues] = useState(() => ({ ...INITIAL_VALUES, country: getDefaultCountry() }));
+  const [errors, setErrors] = useState({});
+  const [paymentError, setPaymentError] = useState(null);
+  // Paid for but not saved yet; retried without charging again
+  const [unsavedOrder, setUnsavedOrder] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deliveryDates] = useState(() => getDeliveryDates());
+
+  const step = { id: STEPS[stepIndex], title: t(`checkout.steps.${STEPS[stepIndex]}`) };
+  const isSubscription = plan.purchaseType === 'subscription';
+  const promoValidation = values.promoCode.trim() ? validatePromoCode(values.promoCode, plan) : null;
+  // Priced again here: the shipping country sets currency and VAT, and a valid promo code applies as it is typed
+  const price = calculatePlanPrice(plan, blend, {
+    country: values.country,
+    promoCode: promoValidation?.valid ? values.promoCode : null
+  });
+
+  // Hand focus back to whatever opened the dialog once it closes
+  useEffect(() => {
+    const opener = document.activeElement;
+    return () => opener?.focus?.();
+  }, []);
+
+  // Keep keyboard focus inside the dialog; focusable elements change with every step
+  useEffect(() => {
+    if (!dialogRef.current) return undefined;
+    return trapFocus(dialogRef.current);
+  }, [stepIndex, order]);
+
+  // Flag inaccessible fields while developing
+  useEffect(() => {
+    if (!import.meta.env.DEV || !dialogRef.current) return;
+    dialogRef.current.querySelectorAll('.checkout__input').forEach(field => {
+      const { valid, issues } = validateFieldAccessibility(field);
+      if (!valid) {
+        console.warn(`Checkout field "${field.name}" has accessibility issues:`, issues);
+      }
+    });
+  }, [stepIndex]);
+
+  const handleChange = (name, value) => {
+    if (name === 'country') {
+      chooseShippingCountry(value);
+    }
+    setValues(current => ({ ...current, [name]: value }));
+    if (errors[name]) {
+      setErrors(current => ({ ...current, [name]: undefined }));
+    }
+  };
+
+  // A paid order that isn't saved yet would be lost with the dialog, so it stays open until the retry succeeds
+  const canClose = !isSubmitting && !unsavedOrder;
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape' && canClose) {
+      onClose();
+    }
+  };
+
+  // Show issues next to their fields, announce them and move focus to the first one
+  const reportIssues = (issues) => {
+    setErrors(Object.fromEntries(issues.map(issue => [issue.field, issue.message])));
+
+    announceToScreenReader(
+      t('checkout.errorAnnouncement', { count: issues.length, step: step.title, message: issues[0].message }),
+      'assertive'
+    );
+    document.getElementById(`checkout-${issues[0].field}`)?.focus();
+  };
+
+  const validateStep = () => {
+    switch (step.id) {
+      case 'contact':
+        return validateContact(values);
+      case 'shipping':
+        return validateShippingAddress(values);
+      case 'delivery':
+        return validateDeliveryDate(values.deliveryDate);
+      default: {
+        const { issues } = paymentAdapter.validate(values);
+        const promoIssues = promoValidation && !promoValidation.valid
+          ? [{ field: 'promoCode', message: promoValidation.issues[0] }]
+          : [];
+        return { valid: promoIssues.length === 0 && issues.length === 0, issues: [...promoIssues, ...issues] };
+      }
+    }
+  };
+
+  const goToStep = (index) => {
+    setStepIndex(index);
+    setErrors({});
+    announceToScreenReader(t('checkout.stepAnnouncement', {
+      current: index + 1,
+      total: STEPS.length,
+      title: t(`checkout.steps.${STEPS[index]}`)
+    }));
+  };
+
+  // Without a backend the order is kept on this device; with one, the backend also creates the subscription
+  const saveOrder = (orderInput) => {
+    if (!isApiAvailable()) {
+      return {
+        order: { ...orderInput, id: `order_${Date.now().toString(36)}`, createdAt: new Date().toISOString(), status: 'confirmed' },
+        subscription: null
+      };
+    }
+
+    return createOrder(orderInput);
+  };
+
+  // The payment has gone through at this point, so a failing backend keeps the order for a retry
+  const placeOrder = async (orderInput) => {
+    try {
+      const placed = await saveOrder(orderInput);
+      setUnsavedOrder(null);
+      actions.placeOrder(placed.order, placed.subscription);
+      announceToScreenReader(t('checkout.orderConfirmed'));
+    } catch (error) {
+      console.warn('Could not store order:', error);
+      setUnsavedOrder(orderInput);
+      setPaymentError(t('checkout.orderNotSaved'));
+      announceToScreenReader(t('checkout.orderNotSavedAnnouncement'), 'assertive');
+    }
+  };
+
+  const retryOrder = async () => {
+    setIsSubmitting(true);
+    setPaymentError(null);
+    await placeOrder(unsavedOrder);
+    setIsSubmitting(false);
+  };
+
+  const submitPayment = async () => {
+    setIsSubmitting(true);
+    setPaymentError(null);
+
+    try {
+      const payment = await paymentAdapter.createPayment({
+        amount: price.dueToday,
+        currency: price.currency,
+        description: `${blend.name}, ${BAG_SIZES[plan.size].label}`,
+        details: values,
+        customer: { email: values.email, name: `${values.firstName} ${values.lastName}` }
+      });
+
+      if (payment.status !== 'succeeded') {
+        setPaymentError(payment.message);
+        announceToScreenReader(t('checkout.paymentFailed', { message: payment.message }), 'assertive');
+        return;
+      }
+
+      const orderInput = {
+        plan,
+        price,
+        blend: summarizeBlend(blend),
+        answers: pruneUnreachableAnswers(answers),
+        contact: { email: values.email, firstName: values.firstName, lastName: values.lastName, phone: values.phone },
+        shipping: {
+          line1: values.line1,
+          line2: values.line2,
+          city: values.city,
+          postalCode: values.postalCode.trim().toUpperCase(),
+          country: values.country
+        },
+        deliveryDate: values.deliveryDate,
+        // Card details never leave the form; only the provider's reference is kept
+        payment: { provider: paymentAdapter.id, paymentId: payment.paymentId, last4: payment.last4 }
+      };
+
+      await placeOrder(orderInput);
+    } catch (error) {
+      console.warn('Payment error:', error);
+      setPaymentError(t('checkout.paymentUnreachable'));
+      announceToScreenReader(t('checkout.paymentNotProcessed'), 'assertive');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    if (unsavedOrder) {
+      retryOrder();
+      return;
+    }
+
+    const { valid, issues } = validateStep();
+    if (!valid) {
+      reportIssues(issues);
+      return;
+    }
+
+    if (stepIndex < STEPS.length - 1) {
+      goToStep(stepIndex + 1);
+    } else {
+      submitPayment();
+    }
+  };
+
+  const fieldProps = (name) => ({
+    name,
+    value: values[name],
+    error: errors[name],
+    onChange: handleChange
+  });
+
+  const renderStep = () => {
+    switch (step.id) {
+      case 'contact':
+        return (
+          <>
+            <CheckoutField {...fieldProps('email')} label={t('checkout.email')} type="email" autoComplete="email" required />
+            <div className="checkout__row">
+              <CheckoutField {...fieldProps('firstName')} label={t('checkout.firstName')} autoComplete="given-name" required />
+              <CheckoutField {...fieldProps('lastName')} label={t('checkout.lastName')} autoComplete="family-name" required />
+            </div>
+            <CheckoutField
+              {...fieldProps('phone')}
+              label={t('checkout.phone')}
+              type="tel"
+              autoComplete="tel"
+              hint={t('checkout.phoneHint')}
+            />
+          </>
+        );
+
+      case 'shipping':
+        return (
+          <>
+            <CheckoutField
+              {...fieldProps('country')}
+              label={t('checkout.country')}
+              options={getCountryOptions()}
+              autoComplete="country"
+              required
+            />
+            <CheckoutField {...fieldProps('line1')} label={t('checkout.line1')} autoComplete="address-line1" required />
+            <CheckoutField {...fieldProps('line2')} label={t('checkout.line2')} autoComplete="address-line2" />
+            <div className="checkout__row">
+              <CheckoutField
+                {...fieldProps('postalCode')}
+                label={t('checkout.postalCode')}
+                autoComplete="postal-code"
+                hint={t('checkout.postalCodeHint', { example: SHIPPING_COUNTRIES[values.country]?.postalCodeExample })}
+                required
+              />
+              <CheckoutField {...fieldProps('city')} label={t('checkout.city')} autoComplete="address-level2" required />
+            </div>
+          </>
+        );
+
+      case 'delivery':
+        return (
+          <fieldset
+            className="checkout__dates"
+            aria-describedby={errors.deliveryDate ? 'checkout-deliveryDate-error' : undefined}
+          >
+            <legend className="checkout__label">
+              {isSubscription ? t('checkout.firstDeliveryLegend') : t('checkout.deliveryLegend')}
+            </legend>
+            <div className="checkout__date-options">
+              {deliveryDates.map((dateKey, index) => (
+                <label
+                  key={dateKey}
+                  className={`checkout__date ${values.deliveryDate === dateKey ? 'checkout__date--selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    className="checkout__date-input"
+                    name="deliveryDate"
+                    value={dateKey}
+                    id={index === 0 ? 'checkout-deliveryDate' : undefined}
+                    checked={values.deliveryDate === dateKey}
+                    aria-invalid={Boolean(errors.deliveryDate)}
+                    aria-describedby={errors.deliveryDate ? 'checkout-deliveryDate-error' : undefined}
+                    onChange={() => handleChange('deliveryDate', dateKey)}
+                  />
+                  {formatDeliveryDate(dateKey)}
+                </label>
+              ))}
+            </div>
+            {errors.deliveryDate && (
+              <p className="checkout__error" id="checkout-deliveryDate-error">{errors.deliveryDate}</p>
+            )}
+          </fieldset>
+        );
+
+      default:
+        return (
+          <>
+            <p className="checkout__hint">{t('checkout.payingWith', { provider: paymentAdapter.label })}</p>
+            <CheckoutField
+              {...fieldProps('promoCode')}
+              label={t('checkout.promoCode')}
+              autoComplete="off"
+              hint={price.promoCode ? t('checkout.promoApplied', { code: price.promoCode }) : t('checkout.optional')}
+            />
+            <CheckoutField {...fieldProps('cardholder')} label={t('checkout.cardholder')} autoComplete="cc-name" required />
+            <CheckoutField
+              {...fieldProps('cardNumber')}
+              label={t('checkout.cardNumber')}
+              inputMode="numeric"
+              autoComplete="cc-number"
+              required
+            />
+            <div className="checkout__row">
+              <CheckoutField
+                {...fieldProps('expiry')}
+                label={t('checkout.expiry')}
+                placeholder="MM/YY"
+                autoComplete="cc-exp"
+                hint={t('checkout.expiryHint')}
+                required
+              />
+              <CheckoutField
+                {...fieldProps('cvc')}
+                label={t('checkout.cvc')}
+                inputMode="numeric"
+                autoComplete="cc-csc"
+                hint={t('checkout.cvcHint')}
+                required
+              />
+            </div>
+            {paymentError && (
+              <p className="checkout__error checkout__error--payment" role="alert">{paymentError}</p>
+            )}
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="checkout" onKeyDown={handleKeyDown}>
+      <div
+        className="checkout__dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="checkout-title"
+        ref={dialogRef}
+      >
+        {order ? (
+          <div className="checkout__confirmation">
+            <h2 className="checkout__title font-display" id="checkout-title">{t('checkout.orderConfirmed')}</h2>
+            <p className="checkout__confirmation-text">
+              {t('checkout.confirmationText', {
+                name: order.contact.firstName,
+                blend: order.blend.name,
+                date: formatDeliveryDate(order.deliveryDate),
+                email: order.contact.email
+              })}
+            </p>
+            <p className="checkout__hint">{t('checkout.orderReference', { id: order.id })}</p>
+            <button type="button" className="checkout__submit btn btn-primary" onClick={onClose}>
+              {t('checkout.done')}
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="checkout__header">
+              <h2 className="checkout__title font-display" id="checkout-title">{t('checkout.title')}</h2>
+              {canClose && (
+                <button type="button" className="checkout__close" onClick={onClose} aria-label={t('checkout.close')}>
+                  ×
+                </button>
+              )}
+            </div>
+
+            <ol className="checkout__steps">
+              {STEPS.map((id, index) => (
+                <li
+                  key={id}
+                  className={`checkout__step ${index === stepIndex ? 'checkout__step--current' : ''} ${index < stepIndex ? 'checkout__step--done' : ''}`}
+                  aria-current={index === stepIndex ? 'step' : undefined}
+                >
+                  {t(`checkout.steps.${id}`)}
+                </li>
+              ))}
+            </ol>
+
+            <div className="checkout__summary" aria-live="polite">
+              <strong>{blend.name}</strong>, {describePlan(plan)}
+              <span className="checkout__summary-price">
+                {t('checkout.dueToday', { price: formatPrice(price.dueToday, price.currency) })}
+              </span>
+              {price.promoDiscount > 0 && (
+                <span className="checkout__summary-note">
+                  {t(isSubscription ? 'checkout.promoNoteSubscription' : 'checkout.promoNote', {
+                    code: price.promoCode,
+                    discount: formatPrice(price.promoDiscount, price.currency),
+                    price: formatPrice(price.perDelivery, price.currency)
+                  })}
+                </span>
+              )}
+              {price.vatRate > 0 && (
+                <span className="checkout__summary-note">
+                  {t('checkout.vatNote', {
+                    amount: formatPrice(price.vatDueToday, price.currency),
+                    rate: formatVatRate(price.vatRate),
+                    country: getCountryName(values.country)
+                  })}
+                </span>
+              )}
+            </div>
+
+            <form className="checkout__form" onSubmit={handleSubmit} noValidate>
+              <h3 className="checkout__step-title">{step.title}</h3>
+              <p className="checkout__hint" id="checkout-required-note">{t('checkout.requiredNote')}</p>
+
+              {renderStep()}
+
+              <div className="checkout__actions">
+                {stepIndex > 0 && !unsavedOrder && (
+                  <button
+                    type="button"
+                    className="checkout__back btn btn-secondary"
+                    onClick={() => goToStep(stepIndex - 1)}
+                    disabled={isSubmitting}
+                  >
+                    {t('checkout.back')}
+                  </button>
+                )}
+                <button type="submit" className="checkout__submit btn btn-primary" disabled={isSubmitting}>
+                  {stepIndex < STEPS.length - 1
+                    ? t('checkout.continue')
+                    : isSubmitting
+                      ? t('checkout.processing')
+                      : unsavedOrder
+                        ? t('checkout.tryAgain')
+                        : price.dueToday > 0
+                          ? t('checkout.pay', { price: formatPrice(price.dueToday, price.currency) })
+                          : t('checkout.confirmOrder')}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Checkout;
@@ -0,0 +1,53 @@
+// Labelled input or select with hint and error text wired up through aria-describedby
+const CheckoutField = ({
+  name,
+  label,
+  value,
+  onChange,
+  error,
+  hint,
+  required = false,
+  options = null,
+  type = 'text',
+  ...inputProps
+}) => {
+  const id = `checkout-${name}`;
+  const hintId = hint ? `${id}-hint` : null;
+  const errorId = error ? `${id}-error` : null;
+  const describedBy = [required ? 'checkout-required-note' : null, hintId, errorId].filter(Boolean).join(' ');
+
+  const sharedProps = {
+    id,
+    name,
+    value,
+    required,
+    className: `checkout__input ${error ? 'checkout__input--invalid' : ''}`,
+    'aria-invalid': Boolean(error),
+    'aria-describedby': describedBy || undefined,
+    onChange: (event) => onChange(name, event.target.value)
+  };
+
+  return (
+    <div className="checkout__field">
+      <label className="checkout__label" htmlFor={id}>
+        {label}
+        {required && <span className="checkout__required" aria-hidden="true"> *</span>}
+      </label>
+
+      {options ? (
+        <select {...sharedProps} {...inputProps}>
+          {options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      ) : (
+        <input type={type} {...sharedProps} {...inputProps} />
+      )}
+
+      {hint && <p className="checkout__hint" id={hintId}>{hint}</p>}
+      {error && <p className="checkout__error" id={errorId}>{error}</p>}
+    </div>
+  );
+};
+
+export default CheckoutField;
@@ -0,0 +1,131 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  CONSENT_CATEGORIES,
+  allCategories,
+  saveConsent,
+  useConsent,
+  onConsentPreferencesRequest
+} from '../../utils/consent';
+import { announceToScreenReader, trapFocus } from '../../utils/accessibility';
+import { localize, useLocale } from '../../utils/i18n';
+import './ConsentBanner.scss';
+
+// Cookie banner until the visitor has chosen, then a "Privacy settings" button to change their mind
+const ConsentBanner = () => {
+  const consent = useConsent();
+  const { t } = useLocale();
+  const [isPreferencesOpen, setIsPreferencesOpen] = useState(false);
+  const [choices, setChoices] = useState(() => consent?.categories ?? allCategories(false));
+  const dialogRef = useRef(null);
+
+  useEffect(() => onConsentPreferencesRequest(() => setIsPreferencesOpen(true)), []);
+
+  useEffect(() => {
+    if (!isPreferencesOpen || !dialogRef.current) return undefined;
+    const opener = document.activeElement;
+    const releaseFocus = trapFocus(dialogRef.current);
+    return () => {
+      releaseFocus();
+      opener?.focus?.();
+    };
+  }, [isPreferencesOpen]);
+
+  const decide = (categories) => {
+    saveConsent(categories);
+    setChoices(categories);
+    setIsPreferencesOpen(false);
+    announceToScreenReader(t('consent.saved'));
+  };
+
+  const openPreferences = () => {
+    setChoices(consent?.categories ?? allCategories(false));
+    setIsPreferencesOpen(true);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setIsPreferencesOpen(false);
+    }
+  };
+
+  if (isPreferencesOpen) {
+    return (
+      <div className="consent consent--dialog" onKeyDown={handleKeyDown}>
+        <div
+          className="consent__dialog"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="consent-title"
+          ref={dialogRef}
+        >
+          <h2 className="consent__title font-display" id="consent-title">{t('consent.title')}</h2>
+          <p className="consent__text">{t('consent.text')}</p>
+
+          <ul className="consent__categories">
+            {Object.entries(CONSENT_CATEGORIES).map(([id, category]) => (
+              <li key={id} className="consent__category">
+                <label className="consent__category-label">
+                  <input
+                    type="checkbox"
+                    checked={category.required || Boolean(choices[id])}
+                    disabled={category.required}
+                    onChange={(event) => setChoices(current => ({ ...current, [id]: event.target.checked }))}
+                    aria-describedby={`consent-${id}-description`}
+                  />
+                  {localize(`consent.categories.${id}.label`, category.label)}
+                </label>
+                <p className="consent__category-description" id={`consent-${id}-description`}>
+                  {localize(`consent.categories.${id}.description`, category.description)}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          <div className="consent__actions">
+            <button type="button" className="btn btn-secondary" onClick={() => decide(allCategories(false))}>
+              {t('consent.rejectAll')}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => decide(choices)}>
+              {t('consent.saveChoices')}
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => decide(allCategories(true))}>
+              {t('consent.acceptAll')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (consent) {
+    return (
+      <button type="button" className="consent__reopen" onClick={openPreferences}>
+        {t('consent.reopen')}
+      </button>
+    );
+  }
+
+  return (
+    <section className="consent consent--banner" aria-labelledby="consent-banner-title">
+      <div className="consent__banner">
+        <div>
+          <h2 className="consent__title" id="consent-banner-title">{t('consent.bannerTitle')}</h2>
+          <p className="consent__text">{t('consent.bannerText')}</p>
+        </div>
+        <div className="consent__actions">
+          <button type="button" className="btn btn-secondary" onClick={openPreferences}>
+            {t('consent.preferences')}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => decide(allCategories(false))}>
+            {t('consent.rejectAll')}
+          </button>
+          <button type="button" className="btn btn-primary" onClick={() => decide(allCategories(true))}>
+            {t('consent.acceptAll')}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ConsentBanner;
@@ -0,0 +1,66 @@
+import { Component, useEffect, useRef } from 'react';
+import { reportError, ERROR_SOURCES } from '../../utils/errorReporting';
+import { useLocale } from '../../utils/i18n';
+import './ErrorBoundary.scss';
+
+const ErrorFallback = ({ onRetry, onLeave }) => {
+  const { t } = useLocale();
+  const headingRef = useRef(null);
+
+  // Move focus off the part of the page that just disappeared
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  return (
+    <div className="error-boundary" role="alert">
+      <div className="error-boundary__content">
+        <h2 className="error-boundary__title font-display" tabIndex={-1} ref={headingRef}>
+          {t('errorBoundary.title')}
+        </h2>
+        <p className="error-boundary__text">{t('errorBoundary.text')}</p>
+        <div className="error-boundary__actions">
+          <button type="button" className="btn btn-primary" onClick={onRetry}>
+            {t('errorBoundary.retry')}
+          </button>
+          {onLeave && (
+            <button type="button" className="btn btn-secondary" onClick={onLeave}>
+              {t('errorBoundary.leave')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Error boundaries can only be class components. Quiz state lives above the boundary,
+// so retrying renders the same step again with the answers intact
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    reportError(error, {
+      source: ERROR_SOURCES.BOUNDARY,
+      view: this.props.view,
+      component_stack: info.componentStack
+    });
+  }
+
+  handleRetry = () => {
+    this.setState({ error: null });
+  };
+
+  render() {
+    if (this.state.error) {
+      return <ErrorFallback onRetry={this.handleRetry} onLeave={this.props.onLeave} />;
+    }
+    return this.props.children;
+  }
+}
+
+export default ErrorBoundary;
@@ -1,30 +1,66 @@
 import { useState, useRef, useEffect } from 'react';
 import { announceToScreenReader, updatePageTitle } from '../../utils/accessibility';
+import { QUESTION_IDS, getQuestion, getReachablePath, localizeQuestion } from '../../utils/quizSchema';
+import { getStartingMonthlyPrice, formatPrice } from '../../utils/pricing';
+import { getRememberedSubscriptionId } from '../../utils/subscription';
+import { ROUTES, buildPath, navigate } from '../../utils/router';
+import { useQuiz } from '../../context/QuizContext';
+import analytics, { ANALYTICS_EVENTS } from '../../utils/analytics';
+import { useExperiment } from '../../utils/experiments';
+import { useLocale, formatNumber } from '../../utils/i18n';
+import { getAdaptiveMedia, lazyLoadVideo } from '../../utils/performance';
 import './Hero.scss';
 
+const HERO_POSTER = '/assets/hero_still.jpg';
+
+// Loops per viewport by connection quality; "low" (Save-Data, 2g) shows the poster only
+const HERO_MEDIA = {
+  mobile: {
+    low: { video: null },
+    medium: { video: '/assets/hero_loop_mobile.mp4' },
+    high: { video: '/assets/hero_loop_mobile.mp4' }
+  },
+  desktop: {
+    low: { video: null },
+    medium: { video: '/assets/hero_loop_mobile.mp4' },
+    high: { video: '/assets/hero_loop_desktop.mp4' }
+  }
+};
+
+const pickHeroVideo = () => {
+  const viewport = window.matchMedia('(min-width: 768px)').matches ? 'desktop' : 'mobile';
+  return getAdaptiveMedia(HERO_MEDIA[viewport]).video;
+};
+
+const playVideo = (video) => {
+  video.play().catch(() => {
+    // Autoplay refused; the poster stays up
+  });
+};
+
 const Hero = ({ onQuizStart }) => {
+  const { savedQuiz, actions } = useQuiz();
+  const { locale, t } = useLocale();
   const [isVideoLoaded, setIsVideoLoaded] = useState(false);
-  const [prefersReducedMotion, setPrefersReducedMotion] = useState(false);
-  const [currentQuestion, setCurrentQuestion] = useState({
-    id: 1,
-    text: "Your coffee soul craves...",
-    options: [
-      { value: 'bright-fruity', label: '☀️ Bright & fruity', description: 'Ethiopian vibes, floral notes, pour-over perfection' },
-      { value: 'rich-chocolatey', label: '🍫 Rich & chocolatey', description: 'Dark roasts, South American, espresso-forward' },
-      { value: 'smooth-nutty', label: '🌰 Smooth & nutty', description: 'Balanced Brazilian, caramel sweetness, approachable' }
-    ]
-  });
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(
+    () => window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+  // Picked once, so a resize or connection change doesn't restart the loop
+  const [heroVideo] = useState(pickHeroVideo);
+  const showVideo = Boolean(heroVideo) && !prefersReducedMotion;
+  // The hero hosts the first schema question inline
+  const currentQuestion = localizeQuestion(getQuestion(QUESTION_IDS[0]));
   const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [hasSubscription] = useState(() => Boolean(getRememberedSubscriptionId()));
+  // The first answer can shorten the quiz (e.g. skip the roast question)
+  const totalQuestions = getReachablePath(selectedAnswer ? { [currentQuestion.id]: selectedAnswer } : {}).length;
   const videoRef = useRef(null);
+  const { ctaMessage } = useExperiment('hero-cta-copy');
+  const { showPricing } = useExperiment('hero-pricing-line');
 
   useEffect(() => {
-    // Check for reduced motion preference
+    // Follow reduced motion preference changes
     const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    setPrefersReducedMotion(mediaQuery.matches);
-
-    // Debug log
-    console.log('Prefers reduced motion:', mediaQuery.matches);
-
     const handleChange = (e) => setPrefersReducedMotion(e.matches);
     mediaQuery.addEventListener('change', handleChange);
 
@@ -32,51 +68,90 @@ const Hero = ({ onQuizStart }) => {
   }, []);
 
   useEffect(() => {
-    // Set page title
-    updatePageTitle('Your Perfect Coffee Blend - Coffee Quiz', false);
+    const video = videoRef.current;
+    if (!showVideo || !video) return;
+
+    // Start loading after the first paint, so the loop never competes with the page itself
+    let timeout;
+    let stopObserving;
+    const frame = requestAnimationFrame(() => {
+      timeout = setTimeout(() => {
+        stopObserving = lazyLoadVideo(video);
+      }, 0);
+    });
+
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(timeout);
+      stopObserving?.();
+    };
+  }, [showVideo]);
+
+  useEffect(() => {
+    if (!isVideoLoaded) return;
+
+    // No point decoding a loop nobody can see
+    const handleVisibilityChange = () => {
+      const video = videoRef.current;
+      if (!video) return;
+
+      if (document.hidden) {
+        video.pause();
+      } else {
+        playVideo(video);
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [isVideoLoaded]);
 
-    // Analytics stub
-    console.log('hero_view');
+  useEffect(() => {
+    analytics.track(ANALYTICS_EVENTS.HERO_VIEW);
   }, []);
 
+  useEffect(() => {
+    // Set page title (again when the language changes)
+    updatePageTitle(t('hero.pageTitle'), false);
+  }, [locale, t]);
+
   const handleVideoLoad = () => {
     setIsVideoLoaded(true);
-    console.log('Video loaded successfully');
-
-    // Try to play video after loading
-    if (videoRef.current) {
-      videoRef.current.play().catch(error => {
-        console.log('Autoplay prevented:', error);
-        // Still mark as loaded even if autoplay fails
-      });
+
+    // Play once loaded, unless the tab was hidden meanwhile
+    if (videoRef.current && !document.hidden) {
+      playVideo(videoRef.current);
     }
   };
 
   const handleAnswerSelect = (value) => {
+    // Reported as q_answered_1 once the quiz commits it, not on every pick here
     setSelectedAnswer(value);
-    // Analytics stub
-    console.log('q_answered_1', { answer: value });
 
     // Announce selection to screen readers
     const selectedOption = currentQuestion.options.find(opt => opt.value === value);
     if (selectedOption) {
-      announceToScreenReader(`Selected: ${selectedOption.label}`);
+      announceToScreenReader(t('hero.optionSelected', { label: selectedOption.label }));
     }
   };
 
+  const handleManageSubscription = (event) => {
+    event.preventDefault();
+    navigate(buildPath(ROUTES.SUBSCRIPTION));
+  };
+
   const handleStartQuiz = () => {
     if (!selectedAnswer) {
       setSelectedAnswer(currentQuestion.options[0].value);
     }
 
-    // Analytics stub
-    console.log('quiz_start', { first_answer: selectedAnswer });
+    // quiz_start is tracked by the quiz itself
 
     // Announce quiz start
-    announceToScreenReader('Starting coffee taste quiz');
+    announceToScreenReader(t('hero.quizStarting'));
 
     onQuizStart({
-      questionId: 1,
+      questionId: currentQuestion.id,
       answer: selectedAnswer
     });
   };
@@ -88,36 +163,24 @@ const Hero = ({ onQuizStart }) => {
         {/* Media Section */}
         <div className="hero__media">
           <div className="hero__media-content">
-            {/* Coffee Machine Video - Always show for debugging */}
-            <video
-              ref={videoRef}
-              className="hero__video"
-              poster="/assets/hero_still.jpg"
-              muted
-              loop
-              playsInline
-              autoPlay
-              preload="auto"
-              onLoadedData={handleVideoLoad}
-              onCanPlay={() => {
-                console.log('Video can play');
-                if (videoRef.current) {
-                  videoRef.current.play().catch((error) => {
-                    console.log('Autoplay failed, which is normal:', error);
-                  });
-                }
-              }}
-              onError={(e) => console.error('Video error:', e)}
-              onLoadStart={() => console.log('Video load started')}
-              aria-hidden="true"
-            >
-              <source src="/assets/machine.mp4" type="video/mp4" />
-            </video>
-
-            {/* Fallback Image - only shown if reduced motion is preferred */}
-            {prefersReducedMotion && (
+            {/* Coffee Machine Loop - poster only on Save-Data, 2g or reduced motion */}
+            {showVideo ? (
+              <video
+                ref={videoRef}
+                className="hero__video"
+                poster={HERO_POSTER}
+                muted
+                loop
+                playsInline
+                preload="none"
+                onLoadedData={handleVideoLoad}
+                aria-hidden="true"
+              >
+                <source data-src={heroVideo} type="video/mp4" />
+              </video>
+            ) : (
               <img
-                src="/assets/hero_still.jpg"
+                src={HERO_POSTER}
                 alt=""
                 className="hero__fallback hero__fallback--visible"
                 aria-hidden="true"
@@ -136,17 +199,50 @@ const Hero = ({ onQuizStart }) => {
           <div className="hero__headlines">
             <div className="hero__brand">
               <h1 className="hero__brand-name font-display">Blendo</h1>
-              <p className="hero__tagline">45 seconds to your perfect blend</p>
-              <p className="hero__pricing">Starting at $19/month</p>
+              <p className="hero__tagline">{t('hero.tagline')}</p>
+              {showPricing && (
+                <p className="hero__pricing">{t('hero.pricing', { price: formatPrice(getStartingMonthlyPrice()) })}</p>
+              )}
+              {hasSubscription && (
+                <a
+                  className="hero__subscription-link"
+                  href={buildPath(ROUTES.SUBSCRIPTION)}
+                  onClick={handleManageSubscription}
+                >
+                  {t('hero.manageSubscription')}
+                </a>
+              )}
             </div>
           </div>
 
           {/* Quiz Kickoff */}
           <div className="hero__quiz-kickoff">
+            {savedQuiz && (
+              <div className="hero__resume" role="region" aria-label={t('hero.resumeRegion')}>
+                <p className="hero__resume-text">
+                  <strong>{t('hero.resumeTitle')}</strong>{' '}
+                  {savedQuiz.currentState === 'result'
+                    ? t('hero.resumeResult')
+                    : t('hero.resumeQuestion', {
+                      current: savedQuiz.history.length,
+                      total: getReachablePath(savedQuiz.answers).length
+                    })}
+                </p>
+                <div className="hero__resume-actions">
+                  <button type="button" className="btn btn-primary" onClick={actions.resumeQuiz}>
+                    {t('hero.resumeContinue')}
+                  </button>
+                  <button type="button" className="btn btn-secondary" onClick={actions.discardSavedQuiz}>
+                    {t('hero.resumeStartOver')}
+                  </button>
+                </div>
+              </div>
+            )}
+
             <div className="hero__quiz-progress">
-              <span className="hero__quiz-label">Question 1 of 6</span>
+              <span className="hero__quiz-label">{t('quiz.progress', { current: 1, total: totalQuestions })}</span>
               <div className="hero__progress-bar">
-                <div className="hero__progress-fill" style={{ width: '16.67%' }}></div>
+                <div className="hero__progress-fill" style={{ width: `${100 / totalQuestions}%` }}></div>
               </div>
             </div>
 
@@ -180,14 +276,14 @@ const Hero = ({ onQuizStart }) => {
               onClick={handleStartQuiz}
               disabled={!selectedAnswer}
             >
-              45 Seconds to Perfect Coffee →
+              {t(ctaMessage)}
             </button>
           </div>
 
           {/* Social Proof */}
           <div className="hero__social-proof">
             <div className="hero__rating">
-              <div className="hero__stars" aria-label="4.8 out of 5 stars">
+              <div className="hero__stars" aria-label={t('hero.ratingLabel', { rating: 4.8 })}>
                 {[1, 2, 3, 4, 5].map((star) => (
                   <svg
                     key={star}
@@ -200,10 +296,10 @@ const Hero = ({ onQuizStart }) => {
                   </svg>
                 ))}
               </div>
-              <span className="hero__rating-text">4.8 • Based on 2,847 reviews</span>
+              <span className="hero__rating-text">{t('hero.ratingText', { rating: 4.8, count: 2847 })}</span>
             </div>
             <div className="hero__blends-count">
-              <strong>12,394</strong> personalized blends crafted
+              <strong>{formatNumber(12394)}</strong> {t('hero.blendsCrafted', { count: 12394 })}
             </div>
           </div>
         </div>
@@ -0,0 +1,26 @@
+import { LOCALES, useLocale } from '../../utils/i18n';
+import './LanguageSwitcher.scss';
+
+// Each language is named in itself, so it can be found without reading the current one
+const LanguageSwitcher = () => {
+  const { locale, t, setLocale } = useLocale();
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('languageSwitcher.label')}>
+      {Object.entries(LOCALES).map(([code, { label }]) => (
+        <button
+          key={code}
+          type="button"
+          lang={code}
+          className={`language-switcher__option ${code === locale ? 'language-switcher__option--active' : ''}`}
+          aria-pressed={code === locale}
+          onClick={() => setLocale(code)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
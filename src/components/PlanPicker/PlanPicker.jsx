@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  DEFAULT_PLAN,
+  getPlanOptions,
+  getGrindOptions,
+  calculatePlanPrice,
+  formatPrice,
+  formatVatRate
+} from '../../utils/pricing';
+import { useLocale } from '../../utils/i18n';
+import './PlanPicker.scss';
+
+const OptionGroup = ({ legend, name, options, value, onChange }) => (
+  <fieldset className="plan-picker__group">
+    <legend className="plan-picker__legend">{legend}</legend>
+    <div className="plan-picker__options">
+      {options.map(option => (
+        <label
+          key={option.value}
+          className={`plan-picker__option ${option.value === value ? 'plan-picker__option--selected' : ''}`}
+        >
+          <input
+            type="radio"
+            className="plan-picker__input"
+            name={name}
+            value={option.value}
+            checked={option.value === value}
+            onChange={() => onChange(option.value)}
+          />
+          <span className="plan-picker__option-label">{option.label}</span>
+          {option.description && (
+            <span className="plan-picker__option-description">{option.description}</span>
+          )}
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+const PlanPicker = ({ blend, onConfirm, onCancel }) => {
+  const { t } = useLocale();
+  const [plan, setPlan] = useState(DEFAULT_PLAN);
+  const headingRef = useRef(null);
+  const isSubscription = plan.purchaseType === 'subscription';
+  const price = calculatePlanPrice(plan, blend);
+
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  const updatePlan = (field) => (value) => setPlan(current => ({ ...current, [field]: value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onConfirm(plan, price);
+  };
+
+  return (
+    <section className="plan-picker" aria-labelledby="plan-picker-title">
+      <h3 className="plan-picker__title font-display" id="plan-picker-title" tabIndex={-1} ref={headingRef}>
+        {t('planPicker.title', { name: blend.name })}
+      </h3>
+
+      <form className="plan-picker__form" onSubmit={handleSubmit}>
+        <OptionGroup
+          legend={t('planPicker.purchaseType')}
+          name="purchaseType"
+          options={getPlanOptions('purchaseType')}
+          value={plan.purchaseType}
+          onChange={updatePlan('purchaseType')}
+        />
+
+        {isSubscription && (
+          <OptionGroup
+            legend={t('planPicker.frequency')}
+            name="frequency"
+            options={getPlanOptions('frequency')}
+            value={plan.frequency}
+            onChange={updatePlan('frequency')}
+          />
+        )}
+
+        <OptionGroup
+          legend={t('planPicker.size')}
+          name="size"
+          options={getPlanOptions('size')}
+          value={plan.size}
+          onChange={updatePlan('size')}
+        />
+
+        <OptionGroup
+          legend={t('planPicker.grind')}
+          name="grind"
+          options={getGrindOptions(blend)}
+          value={plan.grind}
+          onChange={updatePlan('grind')}
+        />
+
+        <div className="plan-picker__summary" aria-live="polite">
+          <dl className="plan-picker__prices">
+            <dt>{t('planPicker.bag')}</dt>
+            <dd>{formatPrice(price.bagPrice, price.currency)}</dd>
+            {price.discount > 0 && (
+              <>
+                <dt>{t('planPicker.discount')}</dt>
+                <dd>−{formatPrice(price.discount, price.currency)}</dd>
+              </>
+            )}
+            <dt>{t('planPicker.shipping')}</dt>
+            <dd>{price.shipping > 0 ? formatPrice(price.shipping, price.currency) : t('planPicker.freeShipping')}</dd>
+          </dl>
+          <p className="plan-picker__total">
+            <span>{isSubscription ? t('planPicker.perDelivery') : t('planPicker.total')}</span>
+            <strong>{formatPrice(price.perDelivery, price.currency)}</strong>
+          </p>
+          {isSubscription && (
+            <p className="plan-picker__monthly">
+              {t('planPicker.perMonth', { price: formatPrice(price.perMonth, price.currency) })}
+            </p>
+          )}
+          {price.vatRate > 0 && (
+            <p className="plan-picker__vat">{t('planPicker.vatIncluded', { rate: formatVatRate(price.vatRate) })}</p>
+          )}
+        </div>
+
+        <div className="plan-picker__actions">
+          <button type="submit" className="plan-picker__confirm btn btn-primary">
+            {isSubscription ? t('planPicker.startSubscription') : t('planPicker.buyBag')}
+          </button>
+          <button type="button" className="plan-picker__cancel btn btn-secondary" onClick={onCancel}>
+            {t('planPicker.back')}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default PlanPicker;
@@ -1,18 +1,27 @@
 import { useState, useEffect } from 'react';
 import { useQuiz } from '../../context/QuizContext';
+import { useExperiment } from '../../utils/experiments';
+import { localizeQuestion } from '../../utils/quizSchema';
+import { useLocale } from '../../utils/i18n';
 import './Quiz.scss';
 
 const Quiz = () => {
   const {
     currentQuestionData,
     currentQuestion,
+    questionNumber,
     totalQuestions,
+    isLastQuestion,
     progress,
     answers,
     actions,
     canGoBack,
     canGoForward
   } = useQuiz();
+  const { t } = useLocale();
+
+  // The order itself is applied at startup (main.jsx); seeing the quiz is the exposure
+  useExperiment('question-order');
 
   const [currentAnswer, setCurrentAnswer] = useState('');
   const [multiSelectAnswers, setMultiSelectAnswers] = useState([]);
@@ -37,7 +46,7 @@ const Quiz = () => {
       // No existing answer - reset to defaults
       if (currentQuestionData.type === 'slider') {
         // For sliders, set default value and mark as answered
-        const defaultValue = 3;
+        const defaultValue = currentQuestionData.constraints.default ?? currentQuestionData.constraints.min;
         setSliderValue(defaultValue);
         setCurrentAnswer(defaultValue);
         // Auto-answer with default value to avoid requiring user interaction
@@ -45,7 +54,6 @@ const Quiz = () => {
       } else {
         setCurrentAnswer('');
         setMultiSelectAnswers([]);
-        setSliderValue(3);
       }
     }
   }, [currentQuestion, currentQuestionData, answers, actions]);
@@ -54,7 +62,7 @@ const Quiz = () => {
     if (currentQuestionData.type === 'multi-select') {
       const newAnswers = multiSelectAnswers.includes(value)
         ? multiSelectAnswers.filter(a => a !== value)
-        : [...multiSelectAnswers, value].slice(0, currentQuestionData.maxSelection || 3);
+        : [...multiSelectAnswers, value].slice(0, currentQuestionData.constraints.maxSelection);
 
       setMultiSelectAnswers(newAnswers);
       actions.answerQuestion(currentQuestion, newAnswers);
@@ -93,6 +101,9 @@ const Quiz = () => {
     return null;
   }
 
+  // Translated copy for display; the effect above keys off the schema question itself
+  const question = localizeQuestion(currentQuestionData);
+
   return (
     <div className="quiz">
       <div className="quiz__container">
@@ -102,7 +113,7 @@ const Quiz = () => {
           <div className="quiz__progress">
             <div className="quiz__progress-info">
               <span className="quiz__progress-label">
-                Question {currentQuestion} of {totalQuestions}
+                {t('quiz.progress', { current: questionNumber, total: totalQuestions })}
               </span>
               <span className="quiz__progress-percentage">{Math.round(progress)}%</span>
             </div>
@@ -118,9 +129,9 @@ const Quiz = () => {
             <button
               className="quiz__back-button btn btn-secondary"
               onClick={handlePrevious}
-              aria-label="Go to previous question"
+              aria-label={t('quiz.backLabel')}
             >
-              ← Back
+              {t('quiz.back')}
             </button>
           )}
         </div>
@@ -132,11 +143,11 @@ const Quiz = () => {
             {/* Question */}
             <fieldset className="quiz__question">
               <legend className="quiz__question-text">
-                {currentQuestionData.text}
+                {question.text}
               </legend>
 
               {/* Visual Elements for Roast Question */}
-              {currentQuestionData.visual && currentQuestion === 2 && (
+              {currentQuestionData.visual === 'bean-strip' && (
                 <div className="quiz__roast-visual" aria-hidden="true">
                   <div className="quiz__bean-strip">
                     <div className="quiz__bean quiz__bean--light"></div>
@@ -149,7 +160,7 @@ const Quiz = () => {
               {/* Radio Buttons */}
               {currentQuestionData.type === 'radio' && (
                 <div className="quiz__options" role="radiogroup">
-                  {currentQuestionData.options.map((option) => (
+                  {question.options.map((option) => (
                     <label key={option.value} className="quiz__option">
                       <input
                         type="radio"
@@ -169,13 +180,13 @@ const Quiz = () => {
               {currentQuestionData.type === 'multi-select' && (
                 <div className="quiz__multi-select">
                   <p className="quiz__multi-select-help">
-                    Select up to {currentQuestionData.maxSelection} flavors you enjoy
+                    {question.helpText}
                   </p>
                   <div className="quiz__flavor-chips">
-                    {currentQuestionData.options.map((option) => {
+                    {question.options.map((option) => {
                       const isSelected = multiSelectAnswers.includes(option.value);
                       const isDisabled = !isSelected &&
-                        multiSelectAnswers.length >= (currentQuestionData.maxSelection || 3);
+                        multiSelectAnswers.length >= currentQuestionData.constraints.maxSelection;
 
                       return (
                         <button
@@ -188,13 +199,7 @@ const Quiz = () => {
                         >
                           {/* Fallback to emoji icons for now */}
                           <div className="quiz__chip-icon quiz__chip-icon--emoji">
-                            {option.value === 'chocolate' && '🍫'}
-                            {option.value === 'caramel' && '🍯'}
-                            {option.value === 'citrus' && '🍊'}
-                            {option.value === 'berry' && '🫐'}
-                            {option.value === 'nutty' && '🥜'}
-                            {option.value === 'floral' && '🌸'}
-                            {option.value === 'spicy' && '🌶️'}
+                            {option.icon}
                           </div>
                           <span className="quiz__chip-label">{option.label}</span>
                         </button>
@@ -203,7 +208,10 @@ const Quiz = () => {
                   </div>
                   {multiSelectAnswers.length > 0 && (
                     <p className="quiz__selection-count">
-                      {multiSelectAnswers.length} of {currentQuestionData.maxSelection} selected
+                      {t('quiz.selectionCount', {
+                        count: multiSelectAnswers.length,
+                        max: currentQuestionData.constraints.maxSelection
+                      })}
                     </p>
                   )}
                 </div>
@@ -214,36 +222,36 @@ const Quiz = () => {
                 <div className="quiz__slider-wrapper">
                   <div className="quiz__slider-labels">
                     <span className="quiz__slider-label quiz__slider-label--start">
-                      {currentQuestionData.labels[0]}
+                      {question.labels[0]}
                     </span>
                     <span className="quiz__slider-label quiz__slider-label--end">
-                      {currentQuestionData.labels[currentQuestionData.labels.length - 1]}
+                      {question.labels[question.labels.length - 1]}
                     </span>
                   </div>
 
                   <div className="quiz__slider-container">
                     <input
                       type="range"
-                      min={currentQuestionData.min}
-                      max={currentQuestionData.max}
+                      min={currentQuestionData.constraints.min}
+                      max={currentQuestionData.constraints.max}
                       value={sliderValue}
                       onChange={(e) => handleAnswerChange(parseInt(e.target.value))}
                       className="quiz__slider"
-                      aria-label="Bitterness tolerance level"
+                      aria-label={question.ariaLabel || question.text}
                     />
                     <div className="quiz__slider-value">
                       <span className="quiz__slider-current-label">
-                        {currentQuestionData.labels[sliderValue - 1]}
+                        {question.labels[sliderValue - currentQuestionData.constraints.min]}
                       </span>
                     </div>
                   </div>
 
                   <div className="quiz__slider-ticks" aria-hidden="true">
-                    {currentQuestionData.labels.map((label, index) => (
+                    {question.labels.map((label, index) => (
                       <div
                         key={index}
-                        className={`quiz__tick ${sliderValue === index + 1 ? 'quiz__tick--active' : ''}`}
-                        style={{ left: `${(index / (currentQuestionData.labels.length - 1)) * 100}%` }}
+                        className={`quiz__tick ${sliderValue === index + currentQuestionData.constraints.min ? 'quiz__tick--active' : ''}`}
+                        style={{ left: `${(index / (question.labels.length - 1)) * 100}%` }}
                       >
                         <div className="quiz__tick-mark"></div>
                         <span className="quiz__tick-label">{label}</span>
@@ -263,7 +271,7 @@ const Quiz = () => {
                 className="quiz__skip-button"
                 onClick={handleSkip}
               >
-                I'm not sure
+                {t('quiz.skip')}
               </button>
 
               {/* Next Button */}
@@ -273,8 +281,7 @@ const Quiz = () => {
                 onClick={handleNext}
                 disabled={!isAnswered()}
               >
-                {currentQuestion === totalQuestions ? 'See My Blend' : 'Next'}
-                {currentQuestion < totalQuestions && ' →'}
+                {isLastQuestion ? t('quiz.finish') : t('quiz.next')}
               </button>
             </div>
           </div>
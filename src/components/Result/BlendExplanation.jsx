@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { announceToScreenReader } from '../../utils/accessibility';
+import { serializeBlendTrace } from '../../utils/quizLogic';
+import { useLocale } from '../../utils/i18n';
+
+// Message keys for how a preference was arrived at; direct answers need no note
+const SOURCE_MESSAGES = {
+  default: 'explanation.sourceDefault',
+  implied: 'explanation.sourceImplied',
+  'not-asked': 'explanation.sourceNotAsked',
+  feedback: 'explanation.sourceFeedback'
+};
+
+const BlendExplanation = ({ trace }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { t } = useLocale();
+
+  if (!trace) {
+    return null;
+  }
+
+  const describe = (entry) => {
+    const value = entry.source === 'answer' ? entry.answerLabel : entry.valueLabel;
+    const source = SOURCE_MESSAGES[entry.source] ? ` ${t(SOURCE_MESSAGES[entry.source])}` : '';
+    return `${entry.question} → ${value}${source}`;
+  };
+
+  const handleCopyJson = async () => {
+    try {
+      await navigator.clipboard.writeText(serializeBlendTrace(trace));
+      announceToScreenReader(t('explanation.copied'));
+    } catch (error) {
+      console.warn('Copy failed:', error);
+      announceToScreenReader(t('explanation.copyFailed'), 'assertive');
+    }
+  };
+
+  return (
+    <section className="result__why">
+      <button
+        type="button"
+        className="result__why-toggle"
+        aria-expanded={isOpen}
+        aria-controls="result-why-panel"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {t('explanation.toggle')} <span aria-hidden="true">{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div id="result-why-panel" className="result__why-panel">
+          <h4 className="result__why-heading">{t('explanation.originsHeading')}</h4>
+          <ul className="result__why-list">
+            {trace.origins.selected.map(origin => (
+              <li key={origin.id} className="result__why-item">
+                <strong>{origin.name} {origin.percent}%</strong> {t('explanation.score', { score: origin.score })}
+                <ul className="result__why-sublist">
+                  {origin.contributions.slice(0, 3).map(contribution => (
+                    <li key={contribution.key}>
+                      {describe(contribution)}: +{contribution.points}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+          <p className="result__why-rule">
+            {trace.origins.split.scoreGap === null ? t('explanation.splitSingle') : t('explanation.splitRule')}
+          </p>
+          {trace.origins.excluded.length > 0 && (
+            <p className="result__why-rule">
+              {t('explanation.unavailable', { origins: trace.origins.excluded.map(origin => origin.name).join(', ') })}
+            </p>
+          )}
+
+          <h4 className="result__why-heading">{t('explanation.notesHeading')}</h4>
+          <ul className="result__why-list">
+            {trace.notes.map(entry => (
+              <li key={entry.note} className="result__why-item">
+                <strong>{entry.note}</strong> {t('explanation.noteSource', { flavor: entry.flavorLabel, roast: entry.roast })}
+                {entry.source === 'default' && ` ${t('explanation.noteDefault')}`}
+              </li>
+            ))}
+            <li className="result__why-item">
+              <strong>{trace.finish.note}</strong>: {t('explanation.finishRule', { bitterness: trace.finish.bitterness })}
+            </li>
+          </ul>
+
+          <button
+            type="button"
+            className="result__why-copy btn btn-secondary"
+            onClick={handleCopyJson}
+          >
+            {t('explanation.copyJson')}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default BlendExplanation;
@@ -1,33 +1,196 @@
-import { useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import { useQuiz } from '../../context/QuizContext';
+import BlendExplanation from './BlendExplanation';
+import PlanPicker from '../PlanPicker/PlanPicker';
+import Checkout from '../Checkout/Checkout';
+import { announceToScreenReader } from '../../utils/accessibility';
+import { buildShareUrl } from '../../utils/shareLink';
+import { CARD_FORMATS, downloadResultCard } from '../../utils/resultCard';
+import { describePlan, formatPrice } from '../../utils/pricing';
+import { pruneUnreachableAnswers } from '../../utils/quizSchema';
+import { getSubscription, updateSubscription } from '../../utils/api';
+import { planSwapBlend } from '../../utils/subscription';
+import { ROUTES, buildPath, navigate } from '../../utils/router';
+import analytics, { ANALYTICS_EVENTS } from '../../utils/analytics';
+import { useExperiment } from '../../utils/experiments';
+import { useLocale, localize, formatDate } from '../../utils/i18n';
 import './Result.scss';
 
-const Result = () => {
-  const { result, actions, timeElapsed } = useQuiz();
+// `shared` holds blends rebuilt from a share link: { alternatives, selectedIndex }
+const Result = ({ shared = null }) => {
+  const quiz = useQuiz();
+  const { locale, t } = useLocale();
+  const { actions, answers, timeElapsed, startTime, completionTime, selectedPlan, order, subscription, swapSubscriptionId } = quiz;
+  const alternatives = shared ? shared.alternatives : quiz.alternatives;
+  const result = shared ? shared.alternatives[0] : quiz.result;
+  const [selectedIndex, setSelectedIndex] = useState(shared?.selectedIndex ?? 0);
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+  const [cardFormat, setCardFormat] = useState('square');
+  const [isPlanPickerOpen, setIsPlanPickerOpen] = useState(false);
+  const [isCheckoutOpen, setIsCheckoutOpen] = useState(false);
+  const [isSwapping, setIsSwapping] = useState(false);
+  const blend = alternatives[selectedIndex] || result;
+  // Shared results keep the default layout
+  const { actionsFirst } = useExperiment('result-layout', !shared);
+
+  // Read before the loading guard below, so the result may still be missing
+  const resultName = result?.name;
 
   useEffect(() => {
-    // Analytics stub
-    console.log('result_view', {
-      blend_name: result?.name,
-      time_elapsed: Math.round(timeElapsed / 1000)
+    // Shared views are tracked by SharedResult as their own event
+    if (shared || !resultName) return;
+
+    analytics.track(ANALYTICS_EVENTS.RESULT_VIEW, {
+      blend_name: resultName,
+      time_elapsed: Math.round((completionTime - startTime) / 1000)
     });
-  }, [result, timeElapsed]);
+  }, [shared, resultName, startTime, completionTime]);
 
   const handleStartPlan = () => {
-    // Analytics stub
-    console.log('plan_selected', { blend_name: result.name });
-    actions.selectPlan('monthly');
+    analytics.track(ANALYTICS_EVENTS.PLAN_PICKER_OPEN, { blend_name: blend.name });
+    setIsPlanPickerOpen(true);
+  };
+
+  const handleConfirmPlan = (plan, price) => {
+    actions.selectPlan(plan, price, blend);
+    setIsPlanPickerOpen(false);
+    setIsCheckoutOpen(true);
+  };
+
+  // The quiz was retaken from My Subscription: send this blend instead of starting a new plan
+  const handleSwapSubscription = async () => {
+    setIsSwapping(true);
+
+    try {
+      const current = await getSubscription(swapSubscriptionId);
+      const { changes, event } = planSwapBlend(current, blend, pruneUnreachableAnswers(answers));
+      await updateSubscription(swapSubscriptionId, changes, event);
+
+      analytics.track(ANALYTICS_EVENTS.SUBSCRIPTION_UPDATED, { subscription_id: swapSubscriptionId, change: event.type });
+
+      announceToScreenReader(t('result.subscriptionSwitched', { name: blend.name }));
+      actions.resetQuiz();
+      navigate(buildPath(ROUTES.SUBSCRIPTION));
+    } catch (error) {
+      console.warn('Blend swap failed:', error);
+      announceToScreenReader(t('result.switchFailed'), 'assertive');
+      setIsSwapping(false);
+    }
+  };
+
+  const handleManageSubscription = () => {
+    actions.resetQuiz();
+    navigate(buildPath(ROUTES.SUBSCRIPTION));
   };
 
   const handleRetakeQuiz = () => {
     actions.resetQuiz();
   };
 
-  const formatTime = (ms) => {
-    const seconds = Math.round(ms / 1000);
-    return `${seconds}s`;
+  const handleTakeQuiz = () => {
+    actions.startQuiz();
+  };
+
+  const handleShare = async () => {
+    const url = buildShareUrl(pruneUnreachableAnswers(answers), {
+      date: new Date(result.trace.generatedAt),
+      selectedIndex
+    });
+
+    analytics.track(ANALYTICS_EVENTS.RESULT_SHARED, { blend_name: blend.name, method: navigator.share ? 'native' : 'clipboard' });
+
+    try {
+      if (navigator.share) {
+        await navigator.share({
+          title: t('result.shareTitle', { name: blend.name }),
+          text: t('result.shareText', { name: blend.name, notes: blend.notes }),
+          url
+        });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setIsLinkCopied(true);
+        announceToScreenReader(t('result.linkCopiedAnnouncement'));
+      }
+    } catch (error) {
+      // Closing the native share sheet is not a failure
+      if (error.name === 'AbortError') return;
+      console.warn('Share failed:', error);
+      announceToScreenReader(t('result.shareFailed'), 'assertive');
+    }
+  };
+
+  const handleDownloadCard = async () => {
+    analytics.track(ANALYTICS_EVENTS.RESULT_CARD_DOWNLOADED, { blend_name: blend.name, format: cardFormat });
+
+    try {
+      await downloadResultCard(blend, cardFormat);
+      announceToScreenReader(t('result.cardDownloaded', { format: formatLabel(cardFormat), name: blend.name }));
+    } catch (error) {
+      console.warn('Card download failed:', error);
+      announceToScreenReader(t('result.cardFailed'), 'assertive');
+    }
+  };
+
+  const handleSelectAlternative = (index) => {
+    setSelectedIndex(index);
+    setIsPlanPickerOpen(false);
+    setIsLinkCopied(false);
+    announceToScreenReader(t('result.alternativeSelected', {
+      name: alternatives[index].name,
+      score: alternatives[index].matchScore
+    }));
   };
 
+  const formatLabel = (key) => localize(`result.cardFormats.${key}`, CARD_FORMATS[key].label);
+
+  // Description, alternatives and explanation; the result-layout experiment moves them below the plan actions
+  const renderBlendDetails = () => (
+    <>
+      {/* Description */}
+      <div className="result__description">
+        <p>{blend.description}</p>
+      </div>
+
+      {/* Alternatives Comparison */}
+      {alternatives.length > 1 && (
+        <div className="result__compare">
+          <h3 className="result__blend-section-title" id="result-compare-title">
+            {t('result.compareTitle')}
+          </h3>
+          <div className="result__compare-grid" role="radiogroup" aria-labelledby="result-compare-title">
+            {alternatives.map((alternative, index) => (
+              <button
+                key={alternative.name}
+                type="button"
+                role="radio"
+                aria-checked={index === selectedIndex}
+                className={`result__compare-option ${index === selectedIndex ? 'result__compare-option--selected' : ''}`}
+                onClick={() => handleSelectAlternative(index)}
+              >
+                <span className="result__compare-variant">{alternative.variant}</span>
+                <span className="result__compare-name font-display">{alternative.name}</span>
+                <span className="result__compare-score">{t('result.matchScore', { score: alternative.matchScore })}</span>
+                <dl className="result__compare-details">
+                  <dt>{t('result.compareRoast')}</dt>
+                  <dd>{alternative.roastLevel}</dd>
+                  <dt>{t('result.compareNotes')}</dt>
+                  <dd>{alternative.notes}</dd>
+                  <dt>{t('result.compareOrigins')}</dt>
+                  <dd>{alternative.origins}</dd>
+                  <dt>{t('result.compareGrind')}</dt>
+                  <dd>{alternative.grindSuggestion}</dd>
+                </dl>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Explanation Trace */}
+      <BlendExplanation trace={blend.trace} />
+    </>
+  );
+
   if (!result) {
     return (
       <div className="result result--loading">
@@ -40,9 +203,9 @@ const Result = () => {
                 <div className="result__bean result__bean--3"></div>
               </div>
             </div>
-            <h2 className="result__loading-title">Crafting your perfect blend...</h2>
+            <h2 className="result__loading-title">{t('result.loadingTitle')}</h2>
             <p className="result__loading-text">
-              Analyzing your taste preferences and selecting the finest beans
+              {t('result.loadingText')}
             </p>
           </div>
         </div>
@@ -63,21 +226,33 @@ const Result = () => {
         </div>
 
         {/* Header */}
-        <div className="result__header">
-          <div className="result__completion-info">
-            <span className="result__completion-time">
-              Completed in {formatTime(timeElapsed)}
-            </span>
+        {shared ? (
+          <div className="result__header">
+            <h1 className="result__title font-display">
+              {t('result.sharedTitle')}
+            </h1>
+
+            <p className="result__subtitle">
+              {t('result.sharedSubtitle')}
+            </p>
           </div>
+        ) : (
+          <div className="result__header">
+            <div className="result__completion-info">
+              <span className="result__completion-time">
+                {t('result.completedIn', { seconds: Math.round(timeElapsed / 1000) })}
+              </span>
+            </div>
 
-          <h1 className="result__title font-display">
-            Meet your perfect blend
-          </h1>
+            <h1 className="result__title font-display">
+              {t('result.title')}
+            </h1>
 
-          <p className="result__subtitle">
-            Based on your unique taste profile, we've crafted a blend that matches your flavor DNA perfectly.
-          </p>
-        </div>
+            <p className="result__subtitle">
+              {t('result.subtitle')}
+            </p>
+          </div>
+        )}
 
         {/* Blend Card */}
         <div className="result__blend-card">
@@ -89,57 +264,157 @@ const Result = () => {
               <div className="result__coffee-bag">
                 <div className="result__bag-label">
                   <h2 className="result__blend-name font-display">
-                    {result.name}
+                    {blend.name}
                   </h2>
-                  <p className="result__blend-roast">{result.roastLevel}</p>
+                  <p className="result__blend-roast">{blend.roastLevel}</p>
                 </div>
               </div>
+
+              <div className="result__card-download">
+                <div className="result__card-formats" role="radiogroup" aria-label={t('result.cardSize')}>
+                  {Object.keys(CARD_FORMATS).map(key => (
+                    <button
+                      key={key}
+                      type="button"
+                      role="radio"
+                      aria-checked={key === cardFormat}
+                      className={`result__card-format ${key === cardFormat ? 'result__card-format--selected' : ''}`}
+                      onClick={() => setCardFormat(key)}
+                    >
+                      {formatLabel(key)}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="result__card-button btn btn-secondary"
+                  onClick={handleDownloadCard}
+                >
+                  {t('result.downloadCard')}
+                </button>
+              </div>
             </div>
 
             <div className="result__blend-info">
-              <h3 className="result__blend-section-title">Tasting Notes</h3>
-              <p className="result__tasting-notes">{result.notes}</p>
+              <h3 className="result__blend-section-title">{t('result.tastingNotes')}</h3>
+              <p className="result__tasting-notes">{blend.notes}</p>
 
               <div className="result__characteristics">
                 <div className="result__characteristic">
-                  <strong>Origins:</strong> {result.origins}
+                  <strong>{t('result.origins')}</strong> {blend.origins}
                 </div>
                 <div className="result__characteristic">
-                  <strong>Grind:</strong> {result.grindSuggestion}
+                  <strong>{t('result.grind')}</strong> {blend.grindSuggestion}
                 </div>
                 <div className="result__characteristic">
-                  <strong>Caffeine:</strong> {result.caffeineLevel}
+                  <strong>{t('result.caffeine')}</strong> {blend.caffeineLevel}
                 </div>
               </div>
             </div>
           </div>
 
-          {/* Description */}
-          <div className="result__description">
-            <p>{result.description}</p>
-          </div>
+          {!actionsFirst && renderBlendDetails()}
 
           {/* Action Buttons */}
-          <div className="result__actions">
-            <button
-              className="result__cta btn btn-primary"
-              onClick={handleStartPlan}
-            >
-              Start My Plan
-            </button>
+          {shared ? (
+            <div className="result__actions">
+              <button
+                className="result__cta btn btn-primary"
+                onClick={handleTakeQuiz}
+              >
+                {t('result.takeQuiz')}
+              </button>
+            </div>
+          ) : (
+            <div className="result__actions">
+              {swapSubscriptionId ? (
+                <button
+                  className="result__cta btn btn-primary"
+                  onClick={handleSwapSubscription}
+                  disabled={isSwapping}
+                >
+                  {t('result.switchSubscription')}
+                </button>
+              ) : (
+                <button
+                  className="result__cta btn btn-primary"
+                  onClick={handleStartPlan}
+                >
+                  {t('result.startPlan')}
+                </button>
+              )}
 
-            <button
-              className="result__retake btn btn-secondary"
-              onClick={handleRetakeQuiz}
-            >
-              Retake Quiz
-            </button>
-          </div>
+              <button
+                className="result__share btn btn-secondary"
+                onClick={handleShare}
+              >
+                {isLinkCopied ? t('result.linkCopied') : t('result.share')}
+              </button>
+
+              <button
+                className="result__retake btn btn-secondary"
+                onClick={handleRetakeQuiz}
+              >
+                {t('result.retake')}
+              </button>
+            </div>
+          )}
+
+          {isPlanPickerOpen && (
+            <PlanPicker
+              // Restart the picker when the language changes, as the grind choices are translated
+              key={`${blend.id}:${locale}`}
+              blend={blend}
+              onConfirm={handleConfirmPlan}
+              onCancel={() => setIsPlanPickerOpen(false)}
+            />
+          )}
+
+          {!shared && !isPlanPickerOpen && selectedPlan?.blend?.id === blend.id && (
+            <div className="result__plan-confirmation" role="status">
+              {order ? (
+                <>
+                  <p>{t('result.orderConfirmed', { id: order.id, date: formatDate(order.deliveryDate) })}</p>
+                  {subscription && (
+                    <button
+                      type="button"
+                      className="result__checkout btn btn-secondary"
+                      onClick={handleManageSubscription}
+                    >
+                      {t('result.manageSubscription')}
+                    </button>
+                  )}
+                </>
+              ) : (
+                <>
+                  <p>
+                    {t('result.planSaved', {
+                      plan: describePlan(selectedPlan.plan),
+                      price: formatPrice(selectedPlan.price.perDelivery, selectedPlan.price.currency)
+                    })}
+                  </p>
+                  <button
+                    type="button"
+                    className="result__checkout btn btn-primary"
+                    onClick={() => setIsCheckoutOpen(true)}
+                  >
+                    {t('result.continueToCheckout')}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {isCheckoutOpen && selectedPlan && (
+            <Checkout onClose={() => setIsCheckoutOpen(false)} />
+          )}
+
+          {actionsFirst && renderBlendDetails()}
         </div>
 
         {/* Plan Details */}
         <div className="result__plan-preview">
-          <h3 className="result__plan-title">Your Coffee Journey</h3>
+          <h3 className="result__plan-title">{t('result.journeyTitle')}</h3>
 
           <div className="result__plan-features">
             <div className="result__feature">
@@ -149,9 +424,9 @@ const Result = () => {
                 </svg>
               </div>
               <div className="result__feature-content">
-                <h4 className="result__feature-title">Fresh Weekly Delivery</h4>
+                <h4 className="result__feature-title">{t('result.deliveryTitle')}</h4>
                 <p className="result__feature-description">
-                  Roasted to order and delivered fresh to your door
+                  {t('result.deliveryText')}
                 </p>
               </div>
             </div>
@@ -163,9 +438,9 @@ const Result = () => {
                 </svg>
               </div>
               <div className="result__feature-content">
-                <h4 className="result__feature-title">Flexible Scheduling</h4>
+                <h4 className="result__feature-title">{t('result.schedulingTitle')}</h4>
                 <p className="result__feature-description">
-                  Pause, skip, or cancel anytime with no commitment
+                  {t('result.schedulingText')}
                 </p>
               </div>
             </div>
@@ -177,9 +452,9 @@ const Result = () => {
                 </svg>
               </div>
               <div className="result__feature-content">
-                <h4 className="result__feature-title">Perfect Every Time</h4>
+                <h4 className="result__feature-title">{t('result.adjustmentTitle')}</h4>
                 <p className="result__feature-description">
-                  Free adjustments on your second bag to dial in perfection
+                  {t('result.adjustmentText')}
                 </p>
               </div>
             </div>
@@ -187,7 +462,7 @@ const Result = () => {
 
           <div className="result__plan-guarantee">
             <p className="result__guarantee-text">
-              <strong>Our Promise:</strong> If you don't love your blend, we'll adjust it free on your next delivery.
+              <strong>{t('result.promiseLabel')}</strong> {t('result.promiseText')}
             </p>
           </div>
         </div>
@@ -196,13 +471,23 @@ const Result = () => {
       {/* Footer CTA */}
       <div className="result__footer">
         <div className="result__footer-container">
-          <h3 className="result__footer-title">Ready to start your coffee journey?</h3>
+          <h3 className="result__footer-title">{t('result.footerTitle')}</h3>
           <p className="result__footer-text">
-            Join thousands of coffee lovers who've discovered their perfect cup
+            {t('result.footerText')}
           </p>
-          <button className="result__footer-cta btn btn-accent" onClick={handleStartPlan}>
-            Start My Plan
-          </button>
+          {shared ? (
+            <button className="result__footer-cta btn btn-accent" onClick={handleTakeQuiz}>
+              {t('result.takeQuiz')}
+            </button>
+          ) : swapSubscriptionId ? (
+            <button className="result__footer-cta btn btn-accent" onClick={handleSwapSubscription} disabled={isSwapping}>
+              {t('result.switchSubscription')}
+            </button>
+          ) : (
+            <button className="result__footer-cta btn btn-accent" onClick={handleStartPlan}>
+              {t('result.startPlan')}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { useQuiz } from '../../context/QuizContext';
+import Result from './Result';
+import { rebuildSharedBlend } from '../../utils/shareLink';
+import analytics, { ANALYTICS_EVENTS, ACQUISITION_SOURCES } from '../../utils/analytics';
+import { useLocale } from '../../utils/i18n';
+import './Result.scss';
+
+const buildShared = (token) => {
+  try {
+    return { ...rebuildSharedBlend(token), error: null };
+  } catch (error) {
+    return { alternatives: [], selectedIndex: 0, error };
+  }
+};
+
+const SharedResult = ({ token }) => {
+  const { actions } = useQuiz();
+  const { locale, t } = useLocale();
+  const [shared, setShared] = useState(() => buildShared(token));
+  const [builtFor, setBuiltFor] = useState({ token, locale });
+
+  // Rebuilt for a new link, and on a language change so the blend text follows it
+  if (builtFor.token !== token || builtFor.locale !== locale) {
+    setBuiltFor({ token, locale });
+    setShared(buildShared(token));
+  }
+
+  const errorMessage = shared.error?.message;
+  const blendName = shared.alternatives[shared.selectedIndex]?.name;
+
+  useEffect(() => {
+    // Visitors arriving through a share link are their own acquisition channel
+    analytics.setAcquisitionSource(ACQUISITION_SOURCES.SHARED_LINK);
+    analytics.track(ANALYTICS_EVENTS.SHARED_RESULT_VIEW, {
+      valid: !errorMessage,
+      error_message: errorMessage,
+      blend_name: blendName
+    });
+  }, [errorMessage, blendName]);
+
+  if (shared.error) {
+    return (
+      <div className="result result--invalid">
+        <div className="result__container">
+          <div className="result__loading-content">
+            <h1 className="result__loading-title">{t('result.invalidLinkTitle')}</h1>
+            <p className="result__loading-text">
+              {t('result.invalidLinkText')}
+            </p>
+            <button className="result__cta btn btn-primary" onClick={() => actions.startQuiz()}>
+              {t('result.takeQuiz')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return <Result shared={shared} />;
+};
+
+export default SharedResult;
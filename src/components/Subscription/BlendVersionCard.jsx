@@ -0,0 +1,75 @@
+import { compareBlends, describeBlendNote, describeRoastLevel, localizeBlendSummary } from '../../utils/quizLogic';
+import { useLocale } from '../../utils/i18n';
+import './BlendVersionCard.scss';
+
+// Result-style card showing what changed between two versions of a customer's blend
+const BlendVersionCard = ({ from, to }) => {
+  const { t } = useLocale();
+  const diff = compareBlends(from.blend, to.blend);
+
+  const renderBag = (entry) => (
+    <div className="blend-version__bag">
+      <span className="blend-version__badge">v{entry.version}</span>
+      <h3 className="blend-version__name font-display">{entry.blend.name}</h3>
+      <p className="blend-version__roast">{localizeBlendSummary(entry.blend).roastLevel}</p>
+    </div>
+  );
+
+  return (
+    <article className="blend-version" aria-label={t('blendVersion.label', { from: from.version, to: to.version })}>
+      <div className="blend-version__bags">
+        {renderBag(from)}
+        <span className="blend-version__arrow" aria-hidden="true">→</span>
+        {renderBag(to)}
+      </div>
+
+      {diff.hasChanges ? (
+        <dl className="blend-version__changes">
+          {diff.roast && (
+            <>
+              <dt>{t('blendVersion.roast')}</dt>
+              <dd>{describeRoastLevel(diff.roast.from)} → {describeRoastLevel(diff.roast.to)}</dd>
+            </>
+          )}
+          {diff.origins.length > 0 && (
+            <>
+              <dt>{t('blendVersion.origins')}</dt>
+              <dd>
+                <ul className="blend-version__origins">
+                  {diff.origins.map(origin => (
+                    <li key={origin.id}>
+                      {origin.name}: {origin.from}% → {origin.to}%
+                    </li>
+                  ))}
+                </ul>
+              </dd>
+            </>
+          )}
+          {(diff.notes.added.length > 0 || diff.notes.removed.length > 0) && (
+            <>
+              <dt>{t('blendVersion.notes')}</dt>
+              <dd>
+                {diff.notes.added.map(note => (
+                  <span key={note} className="blend-version__note blend-version__note--added">+ {describeBlendNote(note)}</span>
+                ))}
+                {diff.notes.removed.map(note => (
+                  <span key={note} className="blend-version__note blend-version__note--removed">− {describeBlendNote(note)}</span>
+                ))}
+              </dd>
+            </>
+          )}
+          {diff.finish && (
+            <>
+              <dt>{t('blendVersion.finish')}</dt>
+              <dd>{describeBlendNote(diff.finish.from)} → {describeBlendNote(diff.finish.to)}</dd>
+            </>
+          )}
+        </dl>
+      ) : (
+        <p className="blend-version__unchanged">{t('blendVersion.unchanged', { version: from.version })}</p>
+      )}
+    </article>
+  );
+};
+
+export default BlendVersionCard;
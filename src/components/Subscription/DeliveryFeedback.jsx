@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import {
+  RATING_MAX,
+  EMPTY_FEEDBACK,
+  getFeedbackScales,
+  getNoteOptions,
+  validateFeedback
+} from '../../utils/blendFeedback';
+import { announceToScreenReader } from '../../utils/accessibility';
+import { useLocale } from '../../utils/i18n';
+
+// Post-delivery feedback form; onSubmit receives validated feedback and resolves true once saved
+const DeliveryFeedback = ({ blendName, version, onSubmit, isSaving }) => {
+  const { t } = useLocale();
+  const [feedback, setFeedback] = useState(EMPTY_FEEDBACK);
+  const [errors, setErrors] = useState({});
+
+  const update = (field, value) => {
+    setFeedback(current => ({ ...current, [field]: value }));
+    setErrors(current => ({ ...current, [field]: undefined }));
+  };
+
+  // Liking a note un-dislikes it and the other way round
+  const toggleNote = (list, note) => {
+    const other = list === 'likedNotes' ? 'dislikedNotes' : 'likedNotes';
+    setFeedback(current => ({
+      ...current,
+      [list]: current[list].includes(note) ? current[list].filter(item => item !== note) : [...current[list], note],
+      [other]: current[other].filter(item => item !== note)
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const { valid, issues } = validateFeedback(feedback);
+    if (!valid) {
+      setErrors(Object.fromEntries(issues.map(issue => [issue.field, issue.message])));
+      announceToScreenReader(issues[0].message, 'assertive');
+      document.getElementById(`feedback-${issues[0].field}`)?.focus();
+      return;
+    }
+
+    if (await onSubmit(feedback)) {
+      setFeedback(EMPTY_FEEDBACK);
+    }
+  };
+
+  const renderNotes = (list, legend) => (
+    <fieldset className="subscription__choices">
+      <legend className="subscription__label">{legend}</legend>
+      <div className="subscription__notes">
+        {getNoteOptions().map(option => (
+          <label
+            key={option.value}
+            className={`subscription__note ${feedback[list].includes(option.value) ? 'subscription__note--selected' : ''}`}
+          >
+            <input
+              type="checkbox"
+              className="subscription__choice-input"
+              checked={feedback[list].includes(option.value)}
+              onChange={() => toggleNote(list, option.value)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+
+  return (
+    <form className="subscription__form" onSubmit={handleSubmit} noValidate>
+      <p className="subscription__text">
+        {t('feedback.intro', { name: blendName, version })}
+      </p>
+
+      <fieldset className="subscription__choices" aria-describedby={errors.rating ? 'feedback-rating-error' : undefined}>
+        <legend className="subscription__label">{t('feedback.rating')}</legend>
+        <div className="subscription__stars">
+          {Array.from({ length: RATING_MAX }, (_, index) => index + 1).map(stars => (
+            <label
+              key={stars}
+              className={`subscription__star ${stars <= feedback.rating ? 'subscription__star--filled' : ''}`}
+            >
+              <input
+                type="radio"
+                className="subscription__choice-input"
+                name="rating"
+                value={stars}
+                id={stars === 1 ? 'feedback-rating' : undefined}
+                checked={feedback.rating === stars}
+                onChange={() => update('rating', stars)}
+                aria-label={t('feedback.stars', { count: stars })}
+              />
+              <span aria-hidden="true">★</span>
+            </label>
+          ))}
+        </div>
+        {errors.rating && <p className="subscription__message" id="feedback-rating-error">{errors.rating}</p>}
+      </fieldset>
+
+      {getFeedbackScales().map(({ field, legend, options }) => (
+        <fieldset key={field} className="subscription__choices">
+          <legend className="subscription__label">{legend}</legend>
+          <div className="subscription__choice-options">
+            {options.map(({ value, label }) => (
+              <label
+                key={value}
+                className={`subscription__choice ${feedback[field] === value ? 'subscription__choice--selected' : ''}`}
+              >
+                <input
+                  type="radio"
+                  className="subscription__choice-input"
+                  name={field}
+                  value={value}
+                  checked={feedback[field] === value}
+                  onChange={() => update(field, value)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      ))}
+
+      {renderNotes('likedNotes', t('feedback.likedNotes'))}
+      {renderNotes('dislikedNotes', t('feedback.dislikedNotes'))}
+      {errors.notes && <p className="subscription__message" id="feedback-notes" tabIndex={-1}>{errors.notes}</p>}
+
+      <label className="subscription__label" htmlFor="feedback-comment">{t('feedback.comment')}</label>
+      <textarea
+        id="feedback-comment"
+        className="subscription__input"
+        rows={3}
+        value={feedback.comment}
+        onChange={(event) => update('comment', event.target.value)}
+      />
+
+      <button type="submit" className="btn btn-primary" disabled={isSaving}>
+        {isSaving ? t('feedback.sending') : t('feedback.send')}
+      </button>
+    </form>
+  );
+};
+
+export default DeliveryFeedback;
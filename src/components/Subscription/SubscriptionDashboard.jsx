@@ -0,0 +1,564 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useQuiz } from '../../context/QuizContext';
+import { isApiAvailable, getSubscription, listSubscriptions, updateSubscription } from '../../utils/api';
+import {
+  PAUSE_OPTIONS_WEEKS,
+  CANCELLATION_REASONS,
+  describeCancellationReason,
+  getSubscriptionStatus,
+  getUpcomingDeliveries,
+  planSkip,
+  planUnskip,
+  planPause,
+  planResume,
+  planChangePlan,
+  planSwapBlend,
+  planCancel,
+  planFeedback,
+  hasReceivedDelivery,
+  getBlendVersions,
+  describeHistoryEvent,
+  rememberSubscription,
+  getRememberedSubscriptionId
+} from '../../utils/subscription';
+import { generateBlendAlternatives, localizeBlendSummary } from '../../utils/quizLogic';
+import { getPlanOptions, describePlan, calculatePlanPrice, formatPrice } from '../../utils/pricing';
+import { navigate, buildPath, ROUTES } from '../../utils/router';
+import { announceToScreenReader, updatePageTitle } from '../../utils/accessibility';
+import analytics, { ANALYTICS_EVENTS } from '../../utils/analytics';
+import { useLocale, formatDate as formatLocaleDate } from '../../utils/i18n';
+import DeliveryFeedback from './DeliveryFeedback';
+import BlendVersionCard from './BlendVersionCard';
+import './SubscriptionDashboard.scss';
+
+const formatDate = (dateKey) => formatLocaleDate(dateKey, { weekday: 'short', month: 'long', day: 'numeric' });
+
+const formatTimestamp = (iso) => formatLocaleDate(iso, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Subscriptions are always recurring, so plan summaries describe them as one
+const describeSubscriptionPlan = (plan) => describePlan({ ...plan, purchaseType: 'subscription' });
+
+const ChoiceGroup = ({ legend, name, options, value, onChange }) => (
+  <fieldset className="subscription__choices">
+    <legend className="subscription__label">{legend}</legend>
+    <div className="subscription__choice-options">
+      {options.map(option => (
+        <label
+          key={option.value}
+          className={`subscription__choice ${option.value === value ? 'subscription__choice--selected' : ''}`}
+        >
+          <input
+            type="radio"
+            className="subscription__choice-input"
+            name={name}
+            value={option.value}
+            checked={option.value === value}
+            onChange={() => onChange(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  </fieldset>
+);
+
+// Find a subscription by the email used at checkout when none is remembered on this device
+const SubscriptionLookup = ({ onFound }) => {
+  const { t } = useLocale();
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSearching(true);
+    setMessage(null);
+
+    try {
+      const { subscriptions } = await listSubscriptions({ email: email.trim() });
+      // Prefer a running subscription over one that was cancelled
+      const found = subscriptions.find(item => item.status !== 'cancelled') ?? subscriptions[0];
+      if (found) {
+        onFound(found);
+      } else {
+        setMessage(t('subscription.lookupNotFound'));
+      }
+    } catch (error) {
+      console.warn('Subscription lookup failed:', error);
+      setMessage(t('subscription.lookupFailed'));
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <form className="subscription__lookup" onSubmit={handleSubmit}>
+      <label className="subscription__label" htmlFor="subscription-email">
+        {t('subscription.lookupEmail')}
+      </label>
+      <input
+        id="subscription-email"
+        className="subscription__input"
+        type="email"
+        autoComplete="email"
+        value={email}
+        onChange={(event) => setEmail(event.target.value)}
+        required
+      />
+      {message && <p className="subscription__message" role="alert">{message}</p>}
+      <button type="submit" className="btn btn-primary" disabled={isSearching}>
+        {isSearching ? t('subscription.lookupSearching') : t('subscription.lookupSubmit')}
+      </button>
+    </form>
+  );
+};
+
+const SubscriptionDashboard = () => {
+  const { actions } = useQuiz();
+  const { locale, t } = useLocale();
+  const [subscriptionId, setSubscriptionId] = useState(() => getRememberedSubscriptionId());
+  const [subscription, setSubscription] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [pauseWeeks, setPauseWeeks] = useState(PAUSE_OPTIONS_WEEKS[1]);
+  const [planDraft, setPlanDraft] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelSurvey, setCancelSurvey] = useState({ reason: '', comment: '' });
+
+  useEffect(() => {
+    // Set page title (again when the language changes)
+    updatePageTitle(t('subscription.pageTitle'), false);
+  }, [locale, t]);
+
+  useEffect(() => {
+    analytics.track(ANALYTICS_EVENTS.SUBSCRIPTION_VIEW, { has_subscription: Boolean(getRememberedSubscriptionId()) });
+  }, []);
+
+  useEffect(() => {
+    if (!subscriptionId || !isApiAvailable()) return;
+
+    let isCurrent = true;
+    getSubscription(subscriptionId)
+      .then(loaded => {
+        if (isCurrent) setSubscription(loaded);
+      })
+      .catch(error => {
+        console.warn('Could not load subscription:', error);
+        if (isCurrent) setLoadError(error.status === 404 ? 'not-found' : 'failed');
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [subscriptionId]);
+
+  const alternatives = useMemo(() => {
+    if (!subscription || Object.keys(subscription.answers ?? {}).length === 0) return [];
+    return generateBlendAlternatives(subscription.answers)
+      .filter(blend => blend.id !== subscription.blend.id);
+  }, [subscription]);
+
+  const handleFound = (found) => {
+    rememberSubscription(found.id);
+    setLoadError(null);
+    setSubscription(found);
+    setSubscriptionId(found.id);
+  };
+
+  // Send a planned change and show the updated subscription
+  const applyChange = async ({ changes, event }, message) => {
+    setIsSaving(true);
+    setActionError(null);
+
+    try {
+      const updated = await updateSubscription(subscription.id, changes, event);
+      setSubscription(updated);
+      announceToScreenReader(message);
+
+      // Details stay out of analytics: cancellation comments and feedback are free text
+      analytics.track(ANALYTICS_EVENTS.SUBSCRIPTION_UPDATED, { subscription_id: subscription.id, change: event.type });
+      return true;
+    } catch (error) {
+      console.warn('Subscription change failed:', error);
+      setActionError(t('subscription.changeFailed'));
+      announceToScreenReader(t('subscription.changeFailedAnnouncement'), 'assertive');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSkip = (delivery) => {
+    if (delivery.skipped) {
+      applyChange(planUnskip(subscription, delivery.date), t('subscription.deliveryRestored', { date: formatDate(delivery.date) }));
+    } else {
+      applyChange(planSkip(subscription, delivery.date), t('subscription.deliverySkipped', { date: formatDate(delivery.date) }));
+    }
+  };
+
+  const handlePause = () => {
+    const planned = planPause(subscription, pauseWeeks);
+    applyChange(planned, t('subscription.pausedAnnouncement', { date: formatDate(planned.changes.pausedUntil) }));
+  };
+
+  const handleResume = () => {
+    applyChange(planResume(subscription), t('subscription.resumedAnnouncement'));
+  };
+
+  const handleSavePlan = async (event) => {
+    event.preventDefault();
+    const saved = await applyChange(
+      planChangePlan(subscription, planDraft),
+      t('subscription.planChanged', { plan: describeSubscriptionPlan(planDraft) })
+    );
+    if (saved) setPlanDraft(null);
+  };
+
+  const handleSwap = (blend) => {
+    applyChange(planSwapBlend(subscription, blend, subscription.answers), t('subscription.switched', { name: blend.name }));
+  };
+
+  const handleFeedback = (feedback) => {
+    const planned = planFeedback(subscription, feedback);
+    const adjustedTo = planned.event.details.adjustedTo;
+    return applyChange(
+      planned,
+      adjustedTo
+        ? t('subscription.feedbackAdjusted', { name: subscription.blend.name, version: adjustedTo })
+        : t('subscription.feedbackUnchanged')
+    );
+  };
+
+  const handleRetakeQuiz = () => {
+    actions.startSwapQuiz(subscription.id);
+  };
+
+  const handleCancel = async (event) => {
+    event.preventDefault();
+    if (!cancelSurvey.reason) {
+      setActionError(t('subscription.cancelReasonMissing'));
+      document.getElementById('subscription-cancel-reason')?.focus();
+      return;
+    }
+
+    const saved = await applyChange(planCancel(cancelSurvey), t('subscription.cancelled'));
+    if (saved) setIsCancelling(false);
+  };
+
+  const renderMessage = (title, text, children = null) => (
+    <div className="subscription subscription--message">
+      <div className="subscription__container">
+        <h1 className="subscription__title font-display">{title}</h1>
+        <p className="subscription__text">{text}</p>
+        {children}
+        <button type="button" className="subscription__home btn btn-secondary" onClick={() => navigate(buildPath(ROUTES.HOME))}>
+          {t('subscription.home')}
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!isApiAvailable()) {
+    return renderMessage(t('subscription.title'), t('subscription.unavailable'));
+  }
+
+  if (!subscriptionId || loadError === 'not-found') {
+    return renderMessage(
+      t('subscription.findTitle'),
+      t('subscription.findText'),
+      <SubscriptionLookup onFound={handleFound} />
+    );
+  }
+
+  if (loadError) {
+    return renderMessage(t('subscription.title'), t('subscription.loadFailed'));
+  }
+
+  if (!subscription) {
+    return renderMessage(t('subscription.title'), t('subscription.loading'));
+  }
+
+  const status = getSubscriptionStatus(subscription);
+  const deliveries = getUpcomingDeliveries(subscription);
+  const draftPrice = planDraft
+    ? calculatePlanPrice({ ...subscription.plan, ...planDraft }, subscription.blend, { country: subscription.shipping.country })
+    : null;
+  const isCancelled = status === 'cancelled';
+  const versions = getBlendVersions(subscription);
+  const currentVersion = versions[versions.length - 1];
+  const currentBlend = localizeBlendSummary(subscription.blend);
+
+  return (
+    <div className="subscription">
+      <div className="subscription__container">
+        <header className="subscription__header">
+          <h1 className="subscription__title font-display">{t('subscription.title')}</h1>
+          <span className={`subscription__status subscription__status--${status}`}>{t(`subscription.status.${status}`)}</span>
+        </header>
+
+        {actionError && <p className="subscription__message" role="alert">{actionError}</p>}
+
+        {/* Current plan */}
+        <section className="subscription__card" aria-labelledby="subscription-plan-title">
+          <h2 className="subscription__card-title" id="subscription-plan-title">{subscription.blend.name}</h2>
+          <p className="subscription__text">{currentBlend.roastLevel} · {currentBlend.notes}</p>
+          <p className="subscription__text">
+            {t('subscription.planPrice', {
+              plan: describeSubscriptionPlan(subscription.plan),
+              price: formatPrice(subscription.price.perDelivery, subscription.price.currency)
+            })}
+          </p>
+          {status === 'paused' && (
+            <div className="subscription__notice">
+              <p>{t('subscription.pausedUntil', { date: formatDate(subscription.pausedUntil) })}</p>
+              <button type="button" className="btn btn-secondary" onClick={handleResume} disabled={isSaving}>
+                {t('subscription.resumeNow')}
+              </button>
+            </div>
+          )}
+          {isCancelled && (
+            <p className="subscription__notice">
+              {t('subscription.cancelledNotice')}
+            </p>
+          )}
+        </section>
+
+        {!isCancelled && (
+          <>
+            {/* Upcoming deliveries */}
+            <section className="subscription__card" aria-labelledby="subscription-deliveries-title">
+              <h2 className="subscription__card-title" id="subscription-deliveries-title">{t('subscription.deliveriesTitle')}</h2>
+              <ul className="subscription__deliveries">
+                {deliveries.map(delivery => (
+                  <li
+                    key={delivery.date}
+                    className={`subscription__delivery ${delivery.skipped ? 'subscription__delivery--skipped' : ''}`}
+                  >
+                    <span className="subscription__delivery-date">{formatDate(delivery.date)}</span>
+                    {delivery.locked ? (
+                      <span className="subscription__delivery-note">{t('subscription.alreadyRoasting')}</span>
+                    ) : (
+                      <button
+                        type="button"
+                        className="subscription__delivery-action"
+                        onClick={() => handleSkip(delivery)}
+                        disabled={isSaving}
+                        aria-label={t(delivery.skipped ? 'subscription.undoSkipLabel' : 'subscription.skipLabel', {
+                          date: formatDate(delivery.date)
+                        })}
+                      >
+                        {delivery.skipped ? t('subscription.undoSkip') : t('subscription.skip')}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+
+            {/* Post-delivery feedback */}
+            <section className="subscription__card" aria-labelledby="subscription-feedback-title">
+              <h2 className="subscription__card-title" id="subscription-feedback-title">{t('subscription.feedbackTitle')}</h2>
+              {hasReceivedDelivery(subscription) ? (
+                <DeliveryFeedback
+                  blendName={subscription.blend.name}
+                  version={currentVersion.version}
+                  onSubmit={handleFeedback}
+                  isSaving={isSaving}
+                />
+              ) : (
+                <p className="subscription__text">
+                  {t('subscription.feedbackLater')}
+                </p>
+              )}
+            </section>
+
+            {/* Pause */}
+            {status === 'active' && (
+              <section className="subscription__card" aria-labelledby="subscription-pause-title">
+                <h2 className="subscription__card-title" id="subscription-pause-title">{t('subscription.pauseTitle')}</h2>
+                <div className="subscription__row">
+                  <label className="subscription__label" htmlFor="subscription-pause-weeks">{t('subscription.pauseFor')}</label>
+                  <select
+                    id="subscription-pause-weeks"
+                    className="subscription__input"
+                    value={pauseWeeks}
+                    onChange={(event) => setPauseWeeks(Number(event.target.value))}
+                  >
+                    {PAUSE_OPTIONS_WEEKS.map(weeks => (
+                      <option key={weeks} value={weeks}>{t('subscription.weeks', { weeks })}</option>
+                    ))}
+                  </select>
+                  <button type="button" className="btn btn-secondary" onClick={handlePause} disabled={isSaving}>
+                    {t('subscription.pause')}
+                  </button>
+                </div>
+              </section>
+            )}
+
+            {/* Frequency and bag size */}
+            <section className="subscription__card" aria-labelledby="subscription-change-title">
+              <h2 className="subscription__card-title" id="subscription-change-title">{t('subscription.changeTitle')}</h2>
+              {planDraft ? (
+                <form className="subscription__form" onSubmit={handleSavePlan}>
+                  <ChoiceGroup
+                    legend={t('subscription.frequency')}
+                    name="frequency"
+                    options={getPlanOptions('frequency')}
+                    value={planDraft.frequency}
+                    onChange={(frequency) => setPlanDraft(current => ({ ...current, frequency }))}
+                  />
+                  <ChoiceGroup
+                    legend={t('subscription.size')}
+                    name="size"
+                    options={getPlanOptions('size')}
+                    value={planDraft.size}
+                    onChange={(size) => setPlanDraft(current => ({ ...current, size }))}
+                  />
+                  <p className="subscription__text" aria-live="polite">
+                    {t('subscription.newPrice', {
+                      price: formatPrice(draftPrice.perDelivery, draftPrice.currency),
+                      monthly: formatPrice(draftPrice.perMonth, draftPrice.currency)
+                    })}
+                  </p>
+                  <div className="subscription__row">
+                    <button type="submit" className="btn btn-primary" disabled={isSaving}>{t('subscription.saveChanges')}</button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setPlanDraft(null)}>
+                      {t('subscription.keepPlan')}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setPlanDraft({ frequency: subscription.plan.frequency, size: subscription.plan.size })}
+                >
+                  {t('subscription.changePlan')}
+                </button>
+              )}
+            </section>
+
+            {/* Blend swap */}
+            <section className="subscription__card" aria-labelledby="subscription-swap-title">
+              <h2 className="subscription__card-title" id="subscription-swap-title">{t('subscription.swapTitle')}</h2>
+              {alternatives.length > 0 && (
+                <ul className="subscription__blends">
+                  {alternatives.map(blend => (
+                    <li key={blend.id} className="subscription__blend">
+                      <div>
+                        <strong>{blend.name}</strong>
+                        <p className="subscription__text">
+                          {blend.roastLevel} · {blend.notes} · {t('result.matchScore', { score: blend.matchScore })}
+                        </p>
+                      </div>
+                      <button type="button" className="btn btn-secondary" onClick={() => handleSwap(blend)} disabled={isSaving}>
+                        {t('subscription.switch')}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="subscription__text">{t('subscription.retakeText')}</p>
+              <button type="button" className="btn btn-secondary" onClick={handleRetakeQuiz}>
+                {t('subscription.retake')}
+              </button>
+            </section>
+
+            {/* Cancellation */}
+            <section className="subscription__card" aria-labelledby="subscription-cancel-title">
+              <h2 className="subscription__card-title" id="subscription-cancel-title">{t('subscription.cancelTitle')}</h2>
+              {isCancelling ? (
+                <form className="subscription__form" onSubmit={handleCancel}>
+                  <fieldset className="subscription__choices">
+                    <legend className="subscription__label">{t('subscription.cancelReason')}</legend>
+                    <div className="subscription__reasons">
+                      {Object.keys(CANCELLATION_REASONS).map((reason, index) => (
+                        <label key={reason} className="subscription__reason">
+                          <input
+                            type="radio"
+                            name="cancelReason"
+                            value={reason}
+                            id={index === 0 ? 'subscription-cancel-reason' : undefined}
+                            checked={cancelSurvey.reason === reason}
+                            onChange={() => setCancelSurvey(current => ({ ...current, reason }))}
+                          />
+                          {describeCancellationReason(reason)}
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+                  <label className="subscription__label" htmlFor="subscription-cancel-comment">
+                    {t('subscription.cancelComment')}
+                  </label>
+                  <textarea
+                    id="subscription-cancel-comment"
+                    className="subscription__input"
+                    rows={3}
+                    value={cancelSurvey.comment}
+                    onChange={(event) => setCancelSurvey(current => ({ ...current, comment: event.target.value }))}
+                  />
+                  <div className="subscription__row">
+                    <button type="submit" className="subscription__cancel btn btn-primary" disabled={isSaving}>
+                      {t('subscription.cancelConfirm')}
+                    </button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setIsCancelling(false)}>
+                      {t('subscription.keepSubscription')}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <p className="subscription__text">{t('subscription.cancelText')}</p>
+                  <button type="button" className="btn btn-secondary" onClick={() => setIsCancelling(true)}>
+                    {t('subscription.cancelTitle')}
+                  </button>
+                </>
+              )}
+            </section>
+          </>
+        )}
+
+        {/* Blend versions */}
+        {versions.length > 1 && (
+          <section className="subscription__card" aria-labelledby="subscription-versions-title">
+            <h2 className="subscription__card-title" id="subscription-versions-title">{t('subscription.versionsTitle')}</h2>
+            <BlendVersionCard from={versions[versions.length - 2]} to={currentVersion} />
+            <ol className="subscription__history" reversed>
+              {[...versions].reverse().map(entry => (
+                <li key={entry.version} className="subscription__history-item">
+                  <time className="subscription__history-time" dateTime={entry.createdAt}>{formatTimestamp(entry.createdAt)}</time>
+                  {t('subscription.versionEntry', {
+                    version: entry.version,
+                    name: entry.blend.name,
+                    roast: localizeBlendSummary(entry.blend).roastLevel,
+                    source: t(`subscription.versionSources.${entry.source}`)
+                  })}
+                </li>
+              ))}
+            </ol>
+          </section>
+        )}
+
+        {/* Audit history */}
+        <section className="subscription__card" aria-labelledby="subscription-history-title">
+          <h2 className="subscription__card-title" id="subscription-history-title">{t('subscription.historyTitle')}</h2>
+          <ol className="subscription__history">
+            {[...subscription.history].reverse().map(event => (
+              <li key={`${event.at}-${event.type}`} className="subscription__history-item">
+                <time className="subscription__history-time" dateTime={event.at}>{formatTimestamp(event.at)}</time>
+                {describeHistoryEvent(event)}
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        <button type="button" className="subscription__home btn btn-secondary" onClick={() => navigate(buildPath(ROUTES.HOME))}>
+          {t('subscription.home')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SubscriptionDashboard;
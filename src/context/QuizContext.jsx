@@ -1,113 +1,122 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
-
-// Quiz state machine states
+import { createContext, useContext, useReducer, useState, useEffect, useRef } from 'react';
+import { generateBlendAlternatives, getBlendNotes } from '../utils/quizLogic';
+import {
+  QUIZ_QUESTIONS,
+  QUIZ_SCHEMA_VERSION,
+  QUESTION_IDS,
+  SKIPPED_ANSWER,
+  validateAnswer,
+  getNextQuestionId,
+  getRemainingPath,
+  pruneUnreachableAnswers
+} from '../utils/quizSchema';
+import { saveQuizState, loadQuizState, clearQuizState } from '../utils/quizPersistence';
+import { isApiAvailable, saveResult } from '../utils/api';
+import { rememberSubscription } from '../utils/subscription';
+import analytics, { ANALYTICS_EVENTS } from '../utils/analytics';
+import { useLocale } from '../utils/i18n';
+import { setErrorContext } from '../utils/errorReporting';
+
+// Quiz state machine states, one question state per schema question
 const QUIZ_STATES = {
   IDLE: 'idle',
-  QUESTION_1: 'question_1',
-  QUESTION_2: 'question_2',
-  QUESTION_3: 'question_3',
-  QUESTION_4: 'question_4',
-  QUESTION_5: 'question_5',
-  QUESTION_6: 'question_6',
+  ...Object.fromEntries(QUESTION_IDS.map(id => [`QUESTION_${id}`, `question_${id}`])),
   RESULT: 'result'
 };
 
-// Quiz questions data
-const QUIZ_QUESTIONS = {
-  1: {
-    id: 1,
-    text: "Your coffee soul craves...",
-    type: "radio",
-    options: [
-      { value: 'bright-fruity', label: '☀️ Bright & fruity', description: 'Ethiopian vibes, floral notes, pour-over perfection' },
-      { value: 'rich-chocolatey', label: '🍫 Rich & chocolatey', description: 'Dark roasts, South American, espresso-forward' },
-      { value: 'smooth-nutty', label: '🌰 Smooth & nutty', description: 'Balanced Brazilian, caramel sweetness, approachable' }
-    ]
-  },
-  2: {
-    id: 2,
-    text: "Preferred roast color?",
-    type: "radio",
-    options: [
-      { value: 'light', label: 'Light' },
-      { value: 'medium', label: 'Medium' },
-      { value: 'dark', label: 'Dark' }
-    ],
-    visual: true // Has bean strip visual
-  },
-  3: {
-    id: 3,
-    text: "Flavors you love in food?",
-    type: "multi-select",
-    options: [
-      { value: 'chocolate', label: 'Chocolate' },
-      { value: 'caramel', label: 'Caramel' },
-      { value: 'citrus', label: 'Citrus' },
-      { value: 'berry', label: 'Berry' },
-      { value: 'nutty', label: 'Nutty' },
-      { value: 'floral', label: 'Floral' },
-      { value: 'spicy', label: 'Spicy' }
-    ],
-    maxSelection: 3
-  },
-  4: {
-    id: 4,
-    text: "Bitterness tolerance?",
-    type: "slider",
-    min: 1,
-    max: 5,
-    labels: ['Mild', 'Low', 'Medium', 'Strong', 'Intense']
-  },
-  5: {
-    id: 5,
-    text: "Brew method at home?",
-    type: "radio",
-    options: [
-      { value: 'drip', label: 'Drip' },
-      { value: 'espresso', label: 'Espresso' },
-      { value: 'pour-over', label: 'Pour-Over' },
-      { value: 'french-press', label: 'French Press' },
-      { value: 'pod', label: 'Pod' },
-      { value: 'not-sure', label: 'Not sure' }
-    ]
-  },
-  6: {
-    id: 6,
-    text: "Caffeine sensitivity?",
-    type: "radio",
-    options: [
-      { value: 'full', label: 'Full' },
-      { value: 'half-caf', label: 'Half-caf' },
-      { value: 'low-decaf', label: 'Low/Decaf' }
-    ]
-  }
-};
+const FIRST_QUESTION_ID = QUESTION_IDS[0];
 
 // Initial state
 const initialState = {
   currentState: QUIZ_STATES.IDLE,
-  currentQuestion: 1,
+  currentQuestion: FIRST_QUESTION_ID,
+  history: [],
   answers: {},
   progress: 0,
   result: null,
+  alternatives: [],
+  selectedPlan: null,
+  order: null,
+  subscription: null,
+  // Set when the quiz was retaken from My Subscription to pick a new blend for it
+  swapSubscriptionId: null,
   startTime: null,
   completionTime: null
 };
 
+/**
+ * Progress through the path actually taken plus what is still reachable from here
+ */
+function calculateProgress(history, answers) {
+  const current = history[history.length - 1];
+  const total = history.length + getRemainingPath(current, answers).length;
+  return (history.length / total) * 100;
+}
+
+/**
+ * Answered and skipped counts along the path taken so far
+ */
+function countResponses(history, answers) {
+  const skipped = history.filter(id => answers[id] === SKIPPED_ANSWER).length;
+  const answered = history.filter(id => answers[id] !== undefined).length - skipped;
+  return { answered, skipped };
+}
+
+/**
+ * Move to the question that follows the current one, or to the result when none is left
+ */
+function advance(state, answers) {
+  const nextQuestion = getNextQuestionId(state.currentQuestion, answers);
+
+  if (nextQuestion === null) {
+    return {
+      ...state,
+      answers,
+      currentState: QUIZ_STATES.RESULT,
+      completionTime: Date.now(),
+      progress: 100
+    };
+  }
+
+  const history = [...state.history, nextQuestion];
+
+  return {
+    ...state,
+    answers,
+    history,
+    currentQuestion: nextQuestion,
+    currentState: `question_${nextQuestion}`,
+    progress: calculateProgress(history, answers)
+  };
+}
+
 // Reducer
 function quizReducer(state, action) {
   switch (action.type) {
-    case 'START_QUIZ':
+    case 'START_QUIZ': {
+      const answers = action.firstAnswer && validateAnswer(FIRST_QUESTION_ID, action.firstAnswer).valid
+        ? { [FIRST_QUESTION_ID]: action.firstAnswer }
+        : {};
+      const history = [FIRST_QUESTION_ID];
+
       return {
         ...state,
-        currentState: QUIZ_STATES.QUESTION_1,
-        currentQuestion: 1,
+        currentState: `question_${FIRST_QUESTION_ID}`,
+        currentQuestion: FIRST_QUESTION_ID,
+        history,
+        swapSubscriptionId: action.swapSubscriptionId ?? null,
         startTime: Date.now(),
-        answers: action.firstAnswer ? { 1: action.firstAnswer } : {},
-        progress: (1 / 6) * 100 // Always start at Q1 progress (17%)
+        answers,
+        progress: calculateProgress(history, answers)
       };
+    }
+
+    case 'ANSWER_QUESTION': {
+      // Answers that don't conform to the schema never reach state
+      if (!validateAnswer(action.questionId, action.answer).valid) {
+        return state;
+      }
 
-    case 'ANSWER_QUESTION':
       const newAnswers = { ...state.answers, [action.questionId]: action.answer };
 
       return {
@@ -115,76 +124,100 @@ function quizReducer(state, action) {
         answers: newAnswers
         // Don't update progress here - only update when clicking "Next"
       };
+    }
 
     case 'NEXT_QUESTION':
-      const nextQuestion = state.currentQuestion + 1;
-      if (nextQuestion > 6) {
+      return advance(state, state.answers);
+
+    case 'PREVIOUS_QUESTION': {
+      // From the result, step back onto the last question answered
+      if (state.currentState === QUIZ_STATES.RESULT) {
         return {
           ...state,
-          currentState: QUIZ_STATES.RESULT,
-          completionTime: Date.now(),
-          progress: 100
+          currentState: `question_${state.currentQuestion}`,
+          progress: calculateProgress(state.history, state.answers)
         };
       }
 
-      // Simple linear progression: each question represents 1/6 of progress
-      const newProgress = (nextQuestion / 6) * 100;
-
-      return {
-        ...state,
-        currentQuestion: nextQuestion,
-        currentState: `question_${nextQuestion}`,
-        progress: newProgress
-      };
+      // Walk back along the path actually taken, not the schema order
+      if (state.history.length <= 1) {
+        return state;
+      }
 
-    case 'PREVIOUS_QUESTION':
-      const prevQuestion = Math.max(1, state.currentQuestion - 1);
-      // Simple linear progression: each question represents 1/6 of progress
-      const prevProgress = (prevQuestion / 6) * 100;
+      const history = state.history.slice(0, -1);
+      const prevQuestion = history[history.length - 1];
 
       return {
         ...state,
+        history,
         currentQuestion: prevQuestion,
-        currentState: prevQuestion === 1 ? QUIZ_STATES.QUESTION_1 : `question_${prevQuestion}`,
-        progress: prevProgress
+        currentState: `question_${prevQuestion}`,
+        progress: calculateProgress(history, state.answers)
       };
+    }
 
     case 'GENERATE_RESULT':
       return {
         ...state,
-        result: action.result,
+        result: action.alternatives[0],
+        alternatives: action.alternatives,
         completionTime: Date.now()
       };
 
-    case 'RESET_QUIZ':
+    // Same blends in the new language, for the date they were first generated
+    case 'LOCALIZE_RESULT': {
+      if (!state.result) return state;
+
+      const alternatives = generateBlendAlternatives(pruneUnreachableAnswers(state.answers), {
+        date: new Date(state.result.trace.generatedAt)
+      });
+
       return {
-        ...initialState
+        ...state,
+        result: alternatives[0],
+        alternatives
       };
+    }
 
-    case 'SKIP_QUESTION':
-      const skipAnswers = { ...state.answers, [action.questionId]: 'skipped' };
-      const skipNextQuestion = state.currentQuestion + 1;
+    case 'SELECT_PLAN':
+      return {
+        ...state,
+        selectedPlan: { plan: action.plan, price: action.price, blend: action.blend },
+        order: null,
+        subscription: null
+      };
 
-      if (skipNextQuestion > 6) {
-        return {
-          ...state,
-          answers: skipAnswers,
-          progress: 100,
-          currentState: QUIZ_STATES.RESULT,
-          completionTime: Date.now()
-        };
-      }
+    case 'PLACE_ORDER':
+      return {
+        ...state,
+        order: action.order,
+        subscription: action.subscription
+      };
 
-      // Simple linear progression: each question represents 1/6 of progress
-      const skipProgress = (skipNextQuestion / 6) * 100;
+    case 'RESTORE_QUIZ': {
+      const { saved } = action;
 
       return {
-        ...state,
-        answers: skipAnswers,
-        progress: skipProgress,
-        currentQuestion: skipNextQuestion,
-        currentState: `question_${skipNextQuestion}`
+        ...initialState,
+        currentState: saved.currentState,
+        currentQuestion: saved.currentQuestion,
+        history: saved.history,
+        answers: saved.answers,
+        swapSubscriptionId: saved.swapSubscriptionId,
+        startTime: Date.now() - saved.elapsedMs,
+        progress: saved.currentState === QUIZ_STATES.RESULT
+          ? 100
+          : calculateProgress(saved.history, saved.answers)
       };
+    }
+
+    case 'RESET_QUIZ':
+      return {
+        ...initialState
+      };
+
+    case 'SKIP_QUESTION':
+      return advance(state, { ...state.answers, [action.questionId]: SKIPPED_ANSWER });
 
     default:
       return state;
@@ -197,70 +230,204 @@ const QuizContext = createContext();
 // Provider component
 export function QuizProvider({ children }) {
   const [state, dispatch] = useReducer(quizReducer, initialState);
+  // A quiz saved before the last reload, offered on the Hero until resumed or discarded
+  const [savedQuiz, setSavedQuiz] = useState(() => loadQuizState());
 
-  // Analytics helper
-  const logEvent = (eventName, data = {}) => {
-    console.log(eventName, {
-      ...data,
-      timestamp: Date.now(),
-      currentQuestion: state.currentQuestion,
-      progress: state.progress
+  // Persist progress whenever the quiz is under way
+  useEffect(() => {
+    if (state.currentState !== QUIZ_STATES.IDLE) {
+      saveQuizState(state);
+    }
+  }, [state]);
+
+  // Error reports carry where the quiz stood; answer values stay out of them
+  useEffect(() => {
+    setErrorContext({
+      quiz_state: state.currentState,
+      current_question: state.currentState.startsWith('question_') ? state.currentQuestion : null,
+      answer_keys: Object.keys(state.answers)
     });
+  }, [state.currentState, state.currentQuestion, state.answers]);
+
+  // Blend text is generated in the current language, so a finished quiz follows a language switch
+  const { locale } = useLocale();
+  const localeRef = useRef(locale);
+
+  useEffect(() => {
+    if (localeRef.current === locale) return;
+    localeRef.current = locale;
+    dispatch({ type: 'LOCALIZE_RESULT' });
+  }, [locale]);
+
+  const timeElapsed = state.startTime ? Date.now() - state.startTime : 0;
+
+  // Report the question just left, then either progress through the quiz or its completion
+  const trackAdvance = (answers) => {
+    const { currentQuestion, history } = state;
+    const answer = answers[currentQuestion];
+
+    if (answer === SKIPPED_ANSWER) {
+      analytics.track(ANALYTICS_EVENTS[`Q_SKIPPED_${currentQuestion}`]);
+    } else {
+      analytics.track(ANALYTICS_EVENTS[`Q_ANSWERED_${currentQuestion}`], { answer });
+    }
+
+    if (getNextQuestionId(currentQuestion, answers) === null) {
+      completeQuiz(answers);
+      return;
+    }
+
+    const remaining = getRemainingPath(currentQuestion, answers).length;
+    analytics.trackQuizProgress(history.length, history.length + remaining, timeElapsed, countResponses(history, answers));
+  };
+
+  // Generate result before moving to result state
+  const completeQuiz = (answers) => {
+    // Answers left behind on a branch the user backed out of must not shape the blend
+    const alternatives = generateBlendAlternatives(pruneUnreachableAnswers(answers));
+    const [result] = alternatives;
+    const { answered, skipped } = countResponses(state.history, answers);
+    analytics.trackQuizCompletion({
+      answers: pruneUnreachableAnswers(answers),
+      timeElapsed,
+      questionsAnswered: answered,
+      questionsSkipped: skipped,
+      blendResult: result
+    });
+    analytics.track(ANALYTICS_EVENTS.BLEND_GENERATED, {
+      blend_name: result.name,
+      tasting_notes: getBlendNotes(result),
+      match_score: result.matchScore
+    });
+    dispatch({ type: 'GENERATE_RESULT', alternatives });
+
+    if (isApiAvailable()) {
+      const { id, name, roastLevel, notes, origins, matchScore } = result;
+      saveResult({ answers: pruneUnreachableAnswers(answers), schemaVersion: QUIZ_SCHEMA_VERSION, blend: { id, name, roastLevel, notes, origins, matchScore } })
+        .catch(error => console.warn('Could not store result:', error));
+    }
   };
 
   // Actions
   const actions = {
     startQuiz: (firstAnswer = null) => {
-      logEvent('quiz_start', { first_answer: firstAnswer });
+      setSavedQuiz(null);
+      analytics.track(ANALYTICS_EVENTS.QUIZ_START, firstAnswer ? { first_answer: firstAnswer } : {});
       dispatch({ type: 'START_QUIZ', firstAnswer });
     },
 
+    // Retake the quiz to find a new blend for an existing subscription
+    startSwapQuiz: (subscriptionId) => {
+      setSavedQuiz(null);
+      analytics.track(ANALYTICS_EVENTS.QUIZ_START, { swap_subscription_id: subscriptionId });
+      dispatch({ type: 'START_QUIZ', swapSubscriptionId: subscriptionId });
+    },
+
     answerQuestion: (questionId, answer) => {
-      logEvent(`q_answered_${questionId}`, { answer });
+      const validation = validateAnswer(questionId, answer);
+      if (!validation.valid) {
+        console.warn(`Rejected answer for question ${questionId}:`, validation.issues);
+        return;
+      }
       dispatch({ type: 'ANSWER_QUESTION', questionId, answer });
     },
 
+    // Answers are reported once, when committed with Next, not on every change
     nextQuestion: () => {
-      const nextQ = state.currentQuestion + 1;
-      if (nextQ > 6) {
-        logEvent('quiz_complete');
-        // Generate result before moving to result state
-        const result = generateBlendResult(state.answers);
-        logEvent('blend_generated', { blend_name: result.name, tasting_notes: result.notes });
-        dispatch({ type: 'GENERATE_RESULT', result });
-      }
+      trackAdvance(state.answers);
       dispatch({ type: 'NEXT_QUESTION' });
     },
 
     previousQuestion: () => {
+      analytics.track(ANALYTICS_EVENTS.QUIZ_BACK, { from_question: state.currentQuestion });
       dispatch({ type: 'PREVIOUS_QUESTION' });
     },
 
     skipQuestion: (questionId) => {
-      logEvent(`q_skipped_${questionId}`);
+      trackAdvance({ ...state.answers, [questionId]: SKIPPED_ANSWER });
       dispatch({ type: 'SKIP_QUESTION', questionId });
     },
 
     resetQuiz: () => {
-      logEvent('quiz_reset');
+      analytics.track(ANALYTICS_EVENTS.QUIZ_RESET);
+      clearQuizState();
       dispatch({ type: 'RESET_QUIZ' });
     },
 
-    selectPlan: (plan) => {
-      logEvent('plan_selected', { plan });
+    // Leave the quiz for the Hero without losing progress, so it can be resumed from there
+    exitQuiz: () => {
+      analytics.track(ANALYTICS_EVENTS.QUIZ_EXIT, { question: state.currentQuestion });
+      saveQuizState(state);
+      dispatch({ type: 'RESET_QUIZ' });
+      setSavedQuiz(loadQuizState());
+    },
+
+    resumeQuiz: () => {
+      if (!savedQuiz) return;
+      analytics.track(ANALYTICS_EVENTS.QUIZ_RESUMED, { question: savedQuiz.currentQuestion });
+      dispatch({ type: 'RESTORE_QUIZ', saved: savedQuiz });
+      if (savedQuiz.currentState === QUIZ_STATES.RESULT) {
+        dispatch({
+          type: 'GENERATE_RESULT',
+          alternatives: generateBlendAlternatives(pruneUnreachableAnswers(savedQuiz.answers))
+        });
+      }
+      setSavedQuiz(null);
+    },
+
+    discardSavedQuiz: () => {
+      clearQuizState();
+      setSavedQuiz(null);
+    },
+
+    // plan is { purchaseType, frequency, size, grind } from the plan picker, price from calculatePlanPrice
+    selectPlan: (plan, price, blend = state.result) => {
+      analytics.track(ANALYTICS_EVENTS.PLAN_SELECTED, {
+        purchase_type: plan.purchaseType,
+        frequency: plan.purchaseType === 'subscription' ? plan.frequency : undefined,
+        size: plan.size,
+        grind: plan.grind,
+        price_per_delivery: price.perDelivery,
+        currency: price.currency,
+        blend_name: blend?.name,
+        match_score: blend?.matchScore
+      });
+      dispatch({ type: 'SELECT_PLAN', plan, price, blend });
+    },
+
+    // order is the confirmed checkout: plan, contact, shipping, delivery date and payment reference;
+    // subscription is the subscription it started, if any
+    placeOrder: (order, subscription = null) => {
+      analytics.track(ANALYTICS_EVENTS.CHECKOUT_COMPLETE, {
+        order_id: order.id,
+        purchase_type: order.plan.purchaseType,
+        total: order.price.dueToday,
+        currency: order.price.currency,
+        country: order.shipping.country
+      });
+      if (subscription) {
+        rememberSubscription(subscription.id);
+      }
+      dispatch({ type: 'PLACE_ORDER', order, subscription });
     }
   };
 
+  // Question count follows the branch the current answers lead to
+  const remainingQuestions = getRemainingPath(state.currentQuestion, state.answers);
+
   const value = {
     ...state,
     actions,
+    savedQuiz,
     questions: QUIZ_QUESTIONS,
     currentQuestionData: QUIZ_QUESTIONS[state.currentQuestion],
     isComplete: state.currentState === QUIZ_STATES.RESULT,
-    totalQuestions: Object.keys(QUIZ_QUESTIONS).length,
-    canGoBack: state.currentQuestion > 1,
+    questionNumber: state.history.length,
+    totalQuestions: state.history.length + remainingQuestions.length,
+    isLastQuestion: remainingQuestions.length === 0,
+    canGoBack: state.history.length > 1,
     canGoForward: state.answers[state.currentQuestion] !== undefined,
-    timeElapsed: state.startTime ? Date.now() - state.startTime : 0
+    timeElapsed
   };
 
   return (
@@ -279,95 +446,4 @@ export function useQuiz() {
   return context;
 }
 
-// Blend result generation logic
-function generateBlendResult(answers) {
-  const blendNames = [
-    'Nocturne 03', 'Aurora Blend', 'Meridian', 'Solstice', 'Compass Rose',
-    'Twilight', 'Zenith', 'Harmony', 'Cascade', 'Ember', 'Mosaic', 'Prism'
-  ];
-
-  const origins = [
-    'Ethiopian Yirgacheffe', 'Colombian Huila', 'Guatemalan Antigua',
-    'Brazilian Santos', 'Costa Rican Tarrazú', 'Jamaican Blue Mountain',
-    'Hawaiian Kona', 'Kenyan AA', 'Peruvian Organic', 'Panamanian Geisha'
-  ];
-
-  // Generate blend based on answers
-  const flavorProfile = answers[1] || 'smooth-nutty';
-  const roastPreference = answers[2] || 'medium';
-  const flavors = answers[3] || ['chocolate'];
-  const bitterness = answers[4] || 3;
-  const brewMethod = answers[5] || 'drip';
-  const caffeine = answers[6] || 'full';
-
-  // Select blend name (pseudo-random based on answers)
-  const nameIndex = (flavorProfile.length + roastPreference.length + bitterness) % blendNames.length;
-  const name = blendNames[nameIndex];
-
-  // Generate tasting notes based on flavor preferences
-  const selectedFlavors = Array.isArray(flavors) ? flavors : [flavors];
-  const flavorMap = {
-    'chocolate': 'Dark chocolate',
-    'caramel': 'Caramel sweetness',
-    'citrus': 'Bright citrus',
-    'berry': 'Berry notes',
-    'nutty': 'Toasted hazelnut',
-    'floral': 'Floral hints',
-    'spicy': 'Warm spice'
-  };
-
-  const notes = selectedFlavors
-    .slice(0, 3)
-    .map(flavor => flavorMap[flavor] || 'Complex notes')
-    .join(' • ');
-
-  // Generate origins mix
-  const primaryOrigin = origins[Math.floor(Math.random() * origins.length)];
-  const secondaryOrigin = origins[Math.floor(Math.random() * origins.length)];
-  const originBreakdown = `${primaryOrigin} 60% • ${secondaryOrigin} 40%`;
-
-  // Grind suggestion based on brew method
-  const grindMap = {
-    'espresso': 'Fine',
-    'pour-over': 'Medium-fine',
-    'drip': 'Medium',
-    'french-press': 'Coarse',
-    'pod': 'Pre-ground',
-    'not-sure': 'Medium'
-  };
-  const grindSuggestion = grindMap[brewMethod] || 'Medium';
-
-  // Roast level based on preferences
-  const roastMap = {
-    'light': 'Light Roast',
-    'medium': 'Medium Roast',
-    'dark': 'Dark Roast'
-  };
-  const roastLevel = roastMap[roastPreference] || 'Medium Roast';
-
-  // Add finishing note based on roast and flavors
-  const finishes = ['Smooth finish', 'Caramel finish', 'Clean finish', 'Bold finish'];
-  const finish = finishes[Math.floor(Math.random() * finishes.length)];
-
-  // Generate description based on flavor profile
-  const profileDescriptions = {
-    'bright-fruity': 'bright, fruit-forward coffee with vibrant acidity',
-    'rich-chocolatey': 'rich, chocolatey coffee with bold, deep flavors',
-    'smooth-nutty': 'smooth, well-balanced coffee with nutty sweetness'
-  };
-
-  const profileDesc = profileDescriptions[flavorProfile] || 'perfectly balanced coffee';
-
-  return {
-    name,
-    notes: `${notes} • ${finish}`,
-    origins: originBreakdown,
-    roastLevel,
-    grindSuggestion,
-    caffeineLevel: caffeine === 'full' ? 'Full Caffeine' :
-                  caffeine === 'half-caf' ? 'Half Caffeine' : 'Low/Decaf',
-    description: `A carefully crafted blend that delivers ${profileDesc} with ${roastPreference} roast character. This blend celebrates your unique taste preferences while maintaining perfect balance in every cup.`
-  };
-}
-
 export { QUIZ_STATES };
\ No newline at end of file
@@ -4,10 +4,28 @@ import './styles/global.scss'
 import App from './App.jsx'
 import { initializeAccessibility } from './utils/accessibility'
 import { initializePerformance } from './utils/performance'
+import { getVariant, excludeFromExperiment } from './utils/experiments'
+import { setQuestionOrder } from './utils/quizSchema'
+import { initializeI18n } from './utils/i18n'
+import { initializeErrorReporting } from './utils/errorReporting'
 
 // Initialize features
+initializeErrorReporting()
 initializeAccessibility()
 initializePerformance()
+initializeI18n()
+
+// The question order is an experiment; settle it before anything renders
+const { questionOrder } = getVariant('question-order')
+if (questionOrder) {
+  try {
+    setQuestionOrder(questionOrder)
+  } catch (error) {
+    console.error('Ignoring question-order variant:', error)
+    // The control order is shown, so this visit must not count towards the variant
+    excludeFromExperiment('question-order')
+  }
+}
 
 // Add main content landmark
 const rootElement = document.getElementById('root')
@@ -1,50 +1,203 @@
 /**
  * Analytics Utilities
- * Provides centralized analytics tracking with console logging for development
+ * Provides centralized analytics tracking with console logging for development.
+ * Every event is checked against its property schema before it is sent.
  * In production, this would integrate with services like Google Analytics, Mixpanel, etc.
  */
 
+import { QUESTION_IDS, mapAnswersByKey } from './quizSchema';
+import { AnalyticsTransport } from './analyticsTransport';
+import { createDefaultSinks } from './analyticsSinks';
+import { CONSENT_CATEGORIES, getConsent, hasConsent, subscribeToConsent } from './consent';
+
 /**
- * Analytics events configuration
+ * Analytics events configuration, one answered and one skipped event per schema question
  */
 const ANALYTICS_EVENTS = {
   // Page/View events
+  PAGE_VIEW: 'page_view',
   HERO_VIEW: 'hero_view',
-  QUIZ_VIEW: 'quiz_view',
   RESULT_VIEW: 'result_view',
+  SHARED_RESULT_VIEW: 'shared_result_view',
+  SUBSCRIPTION_VIEW: 'subscription_view',
 
   // Quiz interaction events
   QUIZ_START: 'quiz_start',
+  QUIZ_PROGRESS: 'quiz_progress',
   QUIZ_COMPLETE: 'quiz_complete',
-  Q_ANSWERED_1: 'q_answered_1',
-  Q_ANSWERED_2: 'q_answered_2',
-  Q_ANSWERED_3: 'q_answered_3',
-  Q_ANSWERED_4: 'q_answered_4',
-  Q_ANSWERED_5: 'q_answered_5',
-  Q_ANSWERED_6: 'q_answered_6',
-  Q_SKIPPED_1: 'q_skipped_1',
-  Q_SKIPPED_2: 'q_skipped_2',
-  Q_SKIPPED_3: 'q_skipped_3',
-  Q_SKIPPED_4: 'q_skipped_4',
-  Q_SKIPPED_5: 'q_skipped_5',
-  Q_SKIPPED_6: 'q_skipped_6',
+  ...Object.fromEntries(QUESTION_IDS.flatMap(id => [
+    [`Q_ANSWERED_${id}`, `q_answered_${id}`],
+    [`Q_SKIPPED_${id}`, `q_skipped_${id}`]
+  ])),
 
   // Result events
   BLEND_GENERATED: 'blend_generated',
+  PLAN_PICKER_OPEN: 'plan_picker_open',
   PLAN_SELECTED: 'plan_selected',
+  CHECKOUT_COMPLETE: 'checkout_complete',
+  RESULT_SHARED: 'result_shared',
+  RESULT_CARD_DOWNLOADED: 'result_card_downloaded',
+
+  // Subscription events
+  SUBSCRIPTION_UPDATED: 'subscription_updated',
+
+  // Experiment events
+  EXPERIMENT_EXPOSURE: 'experiment_exposure',
 
   // Navigation events
   QUIZ_RESET: 'quiz_reset',
   QUIZ_BACK: 'quiz_back',
+  QUIZ_EXIT: 'quiz_exit',
+  QUIZ_RESUMED: 'quiz_resumed',
 
   // Error events
   ERROR_OCCURRED: 'error_occurred',
 
   // Performance events
-  PAGE_LOAD_COMPLETE: 'page_load_complete',
-  QUIZ_COMPLETION_TIME: 'quiz_completion_time'
+  PERFORMANCE_METRICS: 'performance_metrics'
 };
 
+/**
+ * Properties each event accepts: name -> type ('string', 'number', 'boolean', 'array' or 'any'),
+ * with a trailing '?' for optional ones. Events without a schema are unknown.
+ */
+const EVENT_SCHEMAS = {
+  [ANALYTICS_EVENTS.PAGE_VIEW]: { page_name: 'string', page_title: 'string' },
+  [ANALYTICS_EVENTS.HERO_VIEW]: {},
+  [ANALYTICS_EVENTS.RESULT_VIEW]: { blend_name: 'string', time_elapsed: 'number' },
+  [ANALYTICS_EVENTS.SHARED_RESULT_VIEW]: { valid: 'boolean', error_message: 'string?', blend_name: 'string?' },
+  [ANALYTICS_EVENTS.SUBSCRIPTION_VIEW]: { has_subscription: 'boolean' },
+
+  [ANALYTICS_EVENTS.QUIZ_START]: { first_answer: 'string?', swap_subscription_id: 'string?' },
+  [ANALYTICS_EVENTS.QUIZ_PROGRESS]: {
+    question_number: 'number',
+    total_questions: 'number',
+    progress_percentage: 'number',
+    time_elapsed: 'number',
+    average_time_per_question: 'number',
+    questions_answered: 'number',
+    questions_skipped: 'number'
+  },
+  [ANALYTICS_EVENTS.QUIZ_COMPLETE]: {
+    total_time: 'number',
+    questions_answered: 'number',
+    questions_skipped: 'number',
+    completion_rate: 'number',
+    blend_name: 'string?',
+    roast_preference: 'string?',
+    drink_style: 'string?',
+    flavors_selected: 'string?',
+    brew_method: 'string?',
+    caffeine_preference: 'string?'
+  },
+  ...Object.fromEntries(QUESTION_IDS.flatMap(id => [
+    [`q_answered_${id}`, { answer: 'any' }],
+    [`q_skipped_${id}`, {}]
+  ])),
+
+  [ANALYTICS_EVENTS.BLEND_GENERATED]: { blend_name: 'string', tasting_notes: 'array', match_score: 'number' },
+  [ANALYTICS_EVENTS.PLAN_PICKER_OPEN]: { blend_name: 'string' },
+  [ANALYTICS_EVENTS.PLAN_SELECTED]: {
+    purchase_type: 'string',
+    frequency: 'string?',
+    size: 'string',
+    grind: 'string',
+    price_per_delivery: 'number',
+    currency: 'string',
+    blend_name: 'string?',
+    match_score: 'number?'
+  },
+  [ANALYTICS_EVENTS.CHECKOUT_COMPLETE]: {
+    order_id: 'string',
+    purchase_type: 'string',
+    total: 'number',
+    currency: 'string',
+    country: 'string'
+  },
+  [ANALYTICS_EVENTS.RESULT_SHARED]: { blend_name: 'string', method: 'string' },
+  [ANALYTICS_EVENTS.RESULT_CARD_DOWNLOADED]: { blend_name: 'string', format: 'string' },
+
+  [ANALYTICS_EVENTS.SUBSCRIPTION_UPDATED]: { subscription_id: 'string', change: 'string' },
+
+  [ANALYTICS_EVENTS.EXPERIMENT_EXPOSURE]: { experiment_id: 'string', variant: 'string', forced: 'boolean' },
+
+  [ANALYTICS_EVENTS.QUIZ_RESET]: {},
+  [ANALYTICS_EVENTS.QUIZ_BACK]: { from_question: 'number' },
+  [ANALYTICS_EVENTS.QUIZ_EXIT]: { question: 'number' },
+  [ANALYTICS_EVENTS.QUIZ_RESUMED]: { question: 'number' },
+
+  [ANALYTICS_EVENTS.ERROR_OCCURRED]: {
+    error_message: 'string',
+    error_stack: 'string?',
+    error_name: 'string',
+    source: 'string?',
+    view: 'string?',
+    component_stack: 'string?',
+    quiz_state: 'string?',
+    current_question: 'number?',
+    answer_keys: 'array?'
+  },
+
+  [ANALYTICS_EVENTS.PERFORMANCE_METRICS]: {
+    route: 'string',
+    quiz_step: 'number?',
+    ttfb: 'number?',
+    lcp: 'number?',
+    lcp_element: 'string?',
+    inp: 'number?',
+    inp_target: 'string?',
+    inp_type: 'string?',
+    cls: 'number?',
+    cls_source: 'string?',
+    page_load_time: 'number?',
+    dom_content_loaded: 'number?',
+    first_paint: 'number?',
+    connection_type: 'string'
+  }
+};
+
+/**
+ * Check a value against a schema type
+ */
+function matchesType(value, type) {
+  if (type === 'any') return true;
+  if (type === 'array') return Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Validate an event and its properties against its schema
+ * @param {string} eventName - Name of the event
+ * @param {Object} properties - Event properties
+ * @returns {{valid: boolean, issues: Array<{field: string, message: string}>}}
+ */
+export function validateEvent(eventName, properties = {}) {
+  const schema = EVENT_SCHEMAS[eventName];
+  if (!schema) {
+    return { valid: false, issues: [{ field: 'event', message: `Unknown event "${eventName}"` }] };
+  }
+
+  const issues = [];
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = properties[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) issues.push({ field, message: `"${field}" is required` });
+    } else if (!matchesType(value, type)) {
+      issues.push({ field, message: `"${field}" should be ${type === 'array' ? 'an array' : `a ${type}`}` });
+    }
+  });
+
+  Object.keys(properties)
+    .filter(field => !(field in schema))
+    .forEach(field => issues.push({ field, message: `"${field}" is not part of the ${eventName} schema` }));
+
+  return { valid: issues.length === 0, issues };
+}
+
 /**
  * User properties that can be tracked
  */
@@ -53,21 +206,97 @@ const USER_PROPERTIES = {
   CONNECTION_TYPE: 'connection_type',
   PREFERS_REDUCED_MOTION: 'prefers_reduced_motion',
   TIMEZONE: 'timezone',
-  LANGUAGE: 'language'
+  LANGUAGE: 'language',
+  ACQUISITION_SOURCE: 'acquisition_source'
+};
+
+/**
+ * Where a session came from; kept for the whole session so later events stay attributed
+ */
+const ACQUISITION_SOURCES = {
+  DIRECT: 'direct',
+  REFERRAL: 'referral',
+  SHARED_LINK: 'shared_link'
 };
 
+const ACQUISITION_STORAGE_KEY = 'blendo_acquisition_source';
+const USER_ID_STORAGE_KEY = 'coffee_user_id';
+
+// Events tracked before the visitor has chosen are held in memory, up to this many
+const MAX_PENDING_CONSENT_EVENTS = 100;
+
 /**
- * Analytics service class
+ * Analytics service class. Nothing is stored on the device or sent anywhere until the
+ * visitor has consented: no user ID before analytics consent, and each sink only runs
+ * with consent for its category.
  */
 class AnalyticsService {
   constructor() {
     this.sessionId = this.generateSessionId();
-    this.userId = this.getUserId();
+    this.userId = null;
     this.userProperties = {};
     this.isEnabled = true;
+    this.sinks = createDefaultSinks();
+    // Created once some sink may run; it persists events to IndexedDB
+    this.transport = null;
+    this.consent = null;
+    this.pendingEvents = [];
 
     // Initialize user properties
     this.setUserProperties();
+
+    this.applyConsent(getConsent());
+    subscribeToConsent(consent => this.applyConsent(consent));
+  }
+
+  /**
+   * Act on the visitor's consent: create or forget the user ID and start, narrow or stop delivery.
+   * Events tracked before the first choice go out under it, or are dropped.
+   * @param {Object|null} consent - Result of getConsent; null while undecided
+   */
+  applyConsent(consent) {
+    const previous = this.consent;
+    this.consent = consent;
+    if (consent === null) return;
+
+    if (hasConsent(consent, 'analytics')) {
+      this.userId = this.getUserId();
+      sessionStorage.setItem(ACQUISITION_STORAGE_KEY, this.userProperties[USER_PROPERTIES.ACQUISITION_SOURCE]);
+    } else {
+      this.forgetIdentifiers();
+    }
+
+    // Queued events carry identifiers, so withdrawing any category deletes the whole queue
+    const isWithdrawal = Object.keys(CONSENT_CATEGORIES)
+      .some(category => hasConsent(previous, category) && !hasConsent(consent, category));
+    if (isWithdrawal && this.transport) {
+      this.transport.destroy();
+      this.transport = null;
+    }
+
+    const allowedSinks = this.sinks.filter(sink => hasConsent(consent, sink.category));
+    if (allowedSinks.length === 0) {
+      this.transport?.destroy();
+      this.transport = null;
+    } else if (this.transport) {
+      this.transport.setSinks(allowedSinks);
+    } else {
+      this.transport = new AnalyticsTransport(allowedSinks);
+    }
+
+    const pending = this.pendingEvents;
+    this.pendingEvents = [];
+    pending.forEach(eventData => this.sendToAnalyticsServices({ ...eventData, userId: this.userId }));
+  }
+
+  /**
+   * Delete the stored user ID and session attribution, and start a fresh session
+   */
+  forgetIdentifiers() {
+    localStorage.removeItem(USER_ID_STORAGE_KEY);
+    sessionStorage.removeItem(ACQUISITION_STORAGE_KEY);
+    this.userId = null;
+    this.sessionId = this.generateSessionId();
   }
 
   /**
@@ -77,14 +306,21 @@ class AnalyticsService {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Generate a unique event ID, so a batch delivered twice can be deduplicated
+   */
+  generateEventId() {
+    return `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Get or create a user ID
    */
   getUserId() {
-    let userId = localStorage.getItem('coffee_user_id');
+    let userId = localStorage.getItem(USER_ID_STORAGE_KEY);
     if (!userId) {
       userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      localStorage.setItem('coffee_user_id', userId);
+      localStorage.setItem(USER_ID_STORAGE_KEY, userId);
     }
     return userId;
   }
@@ -113,10 +349,34 @@ class AnalyticsService {
       [USER_PROPERTIES.CONNECTION_TYPE]: connectionType,
       [USER_PROPERTIES.PREFERS_REDUCED_MOTION]: prefersReducedMotion,
       [USER_PROPERTIES.TIMEZONE]: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      [USER_PROPERTIES.LANGUAGE]: navigator.language
+      [USER_PROPERTIES.LANGUAGE]: navigator.language,
+      [USER_PROPERTIES.ACQUISITION_SOURCE]: this.getAcquisitionSource()
     };
   }
 
+  /**
+   * Get the acquisition source for this session, falling back to the referrer
+   */
+  getAcquisitionSource() {
+    const stored = sessionStorage.getItem(ACQUISITION_STORAGE_KEY);
+    if (stored) return stored;
+
+    const isExternalReferrer = document.referrer && !document.referrer.startsWith(window.location.origin);
+    return isExternalReferrer ? ACQUISITION_SOURCES.REFERRAL : ACQUISITION_SOURCES.DIRECT;
+  }
+
+  /**
+   * Attribute the rest of the session to an acquisition source; only kept across reloads
+   * with analytics consent
+   * @param {string} source - One of ACQUISITION_SOURCES
+   */
+  setAcquisitionSource(source) {
+    if (hasConsent(this.consent, 'analytics')) {
+      sessionStorage.setItem(ACQUISITION_STORAGE_KEY, source);
+    }
+    this.userProperties[USER_PROPERTIES.ACQUISITION_SOURCE] = source;
+  }
+
   /**
    * Track an analytics event
    * @param {string} eventName - Name of the event
@@ -125,7 +385,16 @@ class AnalyticsService {
   track(eventName, properties = {}) {
     if (!this.isEnabled) return;
 
+    // Unknown or malformed events are a bug: report them and drop the event, without
+    // breaking the view that tracked it
+    const { valid, issues } = validateEvent(eventName, properties);
+    if (!valid) {
+      console.error(`Analytics event "${eventName}" rejected: ${issues.map(issue => issue.message).join('; ')}`);
+      return;
+    }
+
     const eventData = {
+      id: this.generateEventId(),
       event: eventName,
       timestamp: new Date().toISOString(),
       sessionId: this.sessionId,
@@ -140,14 +409,12 @@ class AnalyticsService {
     };
 
     // In development, log to console
-    if (process.env.NODE_ENV === 'development') {
+    if (import.meta.env.DEV) {
       console.group(`📊 Analytics: ${eventName}`);
       console.log('Event Data:', eventData);
       console.groupEnd();
     }
 
-    // In production, you would send to your analytics service
-    // Example integrations:
     this.sendToAnalyticsServices(eventData);
   }
 
@@ -157,7 +424,7 @@ class AnalyticsService {
    * @param {Object} properties - Additional properties
    */
   trackPageView(pageName, properties = {}) {
-    this.track('page_view', {
+    this.track(ANALYTICS_EVENTS.PAGE_VIEW, {
       page_name: pageName,
       page_title: document.title,
       ...properties
@@ -169,14 +436,17 @@ class AnalyticsService {
    * @param {number} questionNumber - Current question number
    * @param {number} totalQuestions - Total number of questions
    * @param {number} timeElapsed - Time elapsed in milliseconds
+   * @param {Object} responses - { answered, skipped } counts so far
    */
-  trackQuizProgress(questionNumber, totalQuestions, timeElapsed) {
-    this.track('quiz_progress', {
+  trackQuizProgress(questionNumber, totalQuestions, timeElapsed, responses) {
+    this.track(ANALYTICS_EVENTS.QUIZ_PROGRESS, {
       question_number: questionNumber,
       total_questions: totalQuestions,
       progress_percentage: (questionNumber / totalQuestions) * 100,
       time_elapsed: timeElapsed,
-      average_time_per_question: timeElapsed / questionNumber
+      average_time_per_question: timeElapsed / questionNumber,
+      questions_answered: responses.answered,
+      questions_skipped: responses.skipped
     });
   }
 
@@ -192,25 +462,28 @@ class AnalyticsService {
       questionsAnswered,
       blendResult
     } = completionData;
+    const { profile, roast, flavors, brewMethod, caffeine } = mapAnswersByKey(answers);
 
     this.track(ANALYTICS_EVENTS.QUIZ_COMPLETE, {
       total_time: Math.round(timeElapsed / 1000),
       questions_answered: questionsAnswered,
       questions_skipped: questionsSkipped,
-      completion_rate: (questionsAnswered / 6) * 100,
+      // Share of the questions on the path taken that got a real answer
+      completion_rate: (questionsAnswered / (questionsAnswered + questionsSkipped)) * 100,
       blend_name: blendResult?.name,
-      roast_preference: answers[2],
-      drink_style: answers[1],
-      flavors_selected: Array.isArray(answers[3]) ? answers[3].join(',') : answers[3],
-      brew_method: answers[5],
-      caffeine_preference: answers[6]
+      roast_preference: roast,
+      drink_style: profile,
+      flavors_selected: Array.isArray(flavors) ? flavors.join(',') : flavors,
+      brew_method: brewMethod,
+      caffeine_preference: caffeine
     });
   }
 
   /**
    * Track errors
    * @param {Error} error - Error object
-   * @param {Object} context - Additional context
+   * @param {Object} context - Additional context: source (boundary, window or promise), view,
+   *   component_stack and the quiz state (see errorReporting.js)
    */
   trackError(error, context = {}) {
     this.track(ANALYTICS_EVENTS.ERROR_OCCURRED, {
@@ -223,53 +496,37 @@ class AnalyticsService {
 
   /**
    * Track performance metrics
-   * @param {Object} metrics - Performance metrics
+   * @param {Object} metrics - Web Vitals and load timings, tagged with route and quiz_step
    */
   trackPerformance(metrics) {
-    this.track('performance_metrics', {
+    this.track(ANALYTICS_EVENTS.PERFORMANCE_METRICS, {
       ...metrics,
       connection_type: this.userProperties[USER_PROPERTIES.CONNECTION_TYPE]
     });
   }
 
   /**
-   * Send data to analytics services (placeholder)
+   * Queue an event for delivery; the transport batches it to every sink consented to
    * @param {Object} eventData - Event data to send
    */
   sendToAnalyticsServices(eventData) {
-    // Google Analytics 4 example
-    if (typeof gtag !== 'undefined') {
-      gtag('event', eventData.event, {
-        custom_parameter: eventData.properties,
-        session_id: eventData.sessionId,
-        user_id: eventData.userId
-      });
-    }
-
-    // Mixpanel example
-    if (typeof mixpanel !== 'undefined') {
-      mixpanel.track(eventData.event, eventData.properties);
-      mixpanel.identify(eventData.userId);
+    if (this.consent === null) {
+      if (this.pendingEvents.length < MAX_PENDING_CONSENT_EVENTS) {
+        this.pendingEvents.push(eventData);
+      }
+      return;
     }
 
-    // Facebook Pixel example
-    if (typeof fbq !== 'undefined') {
-      fbq('track', 'CustomEvent', {
-        event_name: eventData.event,
-        ...eventData.properties
-      });
-    }
+    this.transport?.enqueue(eventData);
+  }
 
-    // Custom analytics endpoint example
-    if (process.env.NODE_ENV === 'production') {
-      // fetch('/api/analytics', {
-      //   method: 'POST',
-      //   headers: {
-      //     'Content-Type': 'application/json',
-      //   },
-      //   body: JSON.stringify(eventData),
-      // }).catch(err => console.warn('Analytics failed:', err));
-    }
+  /**
+   * Replace the sinks events are delivered to (see analyticsSinks.js)
+   * @param {Array<Object>} sinks - AnalyticsSink objects
+   */
+  setSinks(sinks) {
+    this.sinks = sinks;
+    this.applyConsent(this.consent);
   }
 
   /**
@@ -303,15 +560,16 @@ const analytics = new AnalyticsService();
 // Export convenience functions
 export const trackEvent = (event, properties) => analytics.track(event, properties);
 export const trackPageView = (page, properties) => analytics.trackPageView(page, properties);
-export const trackQuizProgress = (q, total, time) => analytics.trackQuizProgress(q, total, time);
+export const trackQuizProgress = (q, total, time, responses) => analytics.trackQuizProgress(q, total, time, responses);
 export const trackQuizCompletion = (data) => analytics.trackQuizCompletion(data);
 export const trackError = (error, context) => analytics.trackError(error, context);
 export const trackPerformance = (metrics) => analytics.trackPerformance(metrics);
 export const setAnalyticsEnabled = (enabled) => analytics.setEnabled(enabled);
 export const updateUserProperties = (props) => analytics.updateUserProperties(props);
+export const setAcquisitionSource = (source) => analytics.setAcquisitionSource(source);
 
 // Export events and properties constants
-export { ANALYTICS_EVENTS, USER_PROPERTIES };
+export { ANALYTICS_EVENTS, USER_PROPERTIES, ACQUISITION_SOURCES };
 
 // Export the analytics service instance
 export default analytics;
\ No newline at end of file
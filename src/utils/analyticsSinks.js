@@ -0,0 +1,113 @@
+/**
+ * Analytics Sink Utilities
+ * Destinations the analytics transport delivers batches to. Every sink has the same
+ * shape, so the backend endpoint and vendor tags are interchangeable.
+ */
+
+import { isApiAvailable, sendAnalyticsEvents, ANALYTICS_ENDPOINT } from './api';
+
+/**
+ * @typedef {Object} AnalyticsSink
+ * @property {string} name - Unique name, recorded on queued events until this sink has them
+ * @property {string} category - Consent category (see consent.js) the sink needs
+ * @property {() => boolean} isAvailable - Whether events should be queued for this sink at all
+ * @property {(events: Array<Object>) => Promise<void>} send - Deliver a batch; rejects to retry later
+ * @property {(events: Array<Object>) => boolean} [beacon] - Deliver while the page unloads;
+ *   true once the browser has accepted the batch
+ */
+
+// sendBeacon payloads are capped at 64KB by most browsers; stay well below
+const MAX_BEACON_BYTES = 60 * 1024;
+
+/**
+ * Backend endpoint (served by the mock API during development)
+ * @returns {AnalyticsSink}
+ */
+export function createApiSink() {
+  return {
+    name: 'api',
+    category: 'analytics',
+    isAvailable: isApiAvailable,
+    send: (events) => sendAnalyticsEvents(events),
+    beacon: (events) => {
+      if (typeof navigator.sendBeacon !== 'function') return false;
+
+      // text/plain keeps the beacon a simple request, so a cross-origin API needs no preflight
+      const blob = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+      if (blob.size > MAX_BEACON_BYTES) return false;
+      return navigator.sendBeacon(ANALYTICS_ENDPOINT, blob);
+    }
+  };
+}
+
+/**
+ * Wrap a vendor tag that takes one event per call. Vendor tags queue and send on their own,
+ * so a batch is delivered once every call has been handed over.
+ * @param {string} name - Sink name
+ * @param {string} category - Consent category the vendor needs
+ * @param {() => boolean} isAvailable - Whether the vendor script has loaded
+ * @param {(eventData: Object) => void} sendOne - Hand one event to the vendor
+ * @returns {AnalyticsSink}
+ */
+function createVendorSink(name, category, isAvailable, sendOne) {
+  const deliver = (events) => {
+    events.forEach(sendOne);
+    return true;
+  };
+
+  return {
+    name,
+    category,
+    isAvailable,
+    send: async (events) => {
+      deliver(events);
+    },
+    beacon: deliver
+  };
+}
+
+/**
+ * Google Analytics 4
+ * @returns {AnalyticsSink}
+ */
+export function createGtagSink() {
+  return createVendorSink('gtag', 'analytics', () => typeof gtag !== 'undefined', (eventData) => {
+    gtag('event', eventData.event, {
+      custom_parameter: eventData.properties,
+      session_id: eventData.sessionId,
+      user_id: eventData.userId
+    });
+  });
+}
+
+/**
+ * Mixpanel
+ * @returns {AnalyticsSink}
+ */
+export function createMixpanelSink() {
+  return createVendorSink('mixpanel', 'analytics', () => typeof mixpanel !== 'undefined', (eventData) => {
+    mixpanel.identify(eventData.userId);
+    mixpanel.track(eventData.event, eventData.properties);
+  });
+}
+
+/**
+ * Facebook Pixel
+ * @returns {AnalyticsSink}
+ */
+export function createFbqSink() {
+  return createVendorSink('fbq', 'marketing', () => typeof fbq !== 'undefined', (eventData) => {
+    fbq('track', 'CustomEvent', {
+      event_name: eventData.event,
+      ...eventData.properties
+    });
+  });
+}
+
+/**
+ * The sinks AnalyticsService starts with
+ * @returns {Array<AnalyticsSink>}
+ */
+export function createDefaultSinks() {
+  return [createApiSink(), createGtagSink(), createMixpanelSink(), createFbqSink()];
+}
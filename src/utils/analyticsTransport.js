@@ -0,0 +1,310 @@
+/**
+ * Analytics Transport Utilities
+ * Queues analytics events in memory and IndexedDB and delivers them to pluggable sinks in
+ * batches. A batch goes out once enough events are waiting or the flush interval passes,
+ * failed deliveries retry with exponential backoff, and whatever is still queued when the
+ * page is hidden goes out with sendBeacon. Events persisted by an earlier visit are sent on
+ * the next one.
+ */
+
+const DB_NAME = 'blendo_analytics';
+const DB_VERSION = 1;
+const STORE_NAME = 'events';
+
+const DEFAULT_OPTIONS = {
+  // Flush as soon as this many events are waiting...
+  batchSize: 20,
+  // ...or this long after the first one was queued
+  flushInterval: 5000,
+  // Oldest events are dropped beyond this, so an unreachable backend can't fill the disk
+  maxQueueSize: 500,
+  retryBaseDelay: 1000,
+  retryMaxDelay: 5 * 60 * 1000
+};
+
+// === IndexedDB ===
+
+/**
+ * Open the analytics database; resolves null where IndexedDB is unavailable (e.g. private mode)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    request.onsuccess = () => {
+      // Let a deleteDatabase() (consent withdrawn, possibly in another tab) go through
+      request.result.onversionchange = () => request.result.close();
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.warn('Analytics queue is memory-only:', request.error);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Run a request against the events store
+ * @param {IDBDatabase|null} db - Open database
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - Work to do in the transaction
+ * @returns {Promise<*>} - The request's result, once the transaction completes
+ */
+function withStore(db, mode, operation) {
+  if (!db) return Promise.resolve(undefined);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Delivery delay for the given attempt: doubling from the base delay, capped, with jitter
+ * so tabs that failed together don't retry together
+ * @param {number} attempt - Failed attempts so far (1 for the first retry)
+ * @param {Object} options - { retryBaseDelay, retryMaxDelay }
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(attempt, { retryBaseDelay, retryMaxDelay }) {
+  const delay = Math.min(retryBaseDelay * 2 ** (attempt - 1), retryMaxDelay);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Batched, offline-tolerant delivery of analytics events to a set of sinks.
+ * Each queued entry remembers which sinks still need it, so a sink that fails
+ * doesn't cause the others to receive the same event twice.
+ */
+export class AnalyticsTransport {
+  /**
+   * @param {Array<import('./analyticsSinks').AnalyticsSink>} sinks - Where events go
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(sinks = [], options = {}) {
+    this.sinks = sinks;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // Entries: { id, eventData, pending: [sink names] }
+    this.queue = [];
+    this.flushTimer = null;
+    this.failedAttempts = 0;
+    this.isFlushing = false;
+    this.isDestroyed = false;
+    this.dbReady = openDatabase().then(db => {
+      this.db = db;
+      return this.restore();
+    });
+
+    this.handlePageHide = () => this.flushWithBeacon();
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') this.flushWithBeacon();
+    };
+    this.handleOnline = () => this.flush();
+
+    window.addEventListener('pagehide', this.handlePageHide);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('online', this.handleOnline);
+  }
+
+  /**
+   * Replace the sinks events are delivered to; entries queued for a removed sink drop it
+   * @param {Array<import('./analyticsSinks').AnalyticsSink>} sinks
+   */
+  setSinks(sinks) {
+    this.sinks = sinks;
+    const names = sinks.map(sink => sink.name);
+    this.settle(this.queue, name => names.includes(name));
+  }
+
+  /**
+   * Queue an event for every sink that is currently available
+   * @param {Object} eventData - Event as built by AnalyticsService; needs a unique id
+   */
+  enqueue(eventData) {
+    if (this.isDestroyed) return;
+
+    const pending = this.sinks.filter(sink => sink.isAvailable()).map(sink => sink.name);
+    if (pending.length === 0) return;
+
+    const entry = { id: eventData.id, eventData, pending };
+    this.queue.push(entry);
+    this.persist([entry]);
+    this.enforceCap();
+
+    // While backing off, the pending retry sends the batch
+    if (this.queue.length >= this.options.batchSize && this.failedAttempts === 0) {
+      this.flush();
+    } else {
+      this.scheduleFlush(this.options.flushInterval);
+    }
+  }
+
+  /**
+   * Send up to one batch to each sink with pending events
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.isFlushing || this.isDestroyed || this.queue.length === 0) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    this.clearFlushTimer();
+    this.isFlushing = true;
+    let failed = false;
+
+    try {
+      for (const sink of this.sinks) {
+        const batch = this.queue
+          .filter(entry => entry.pending.includes(sink.name))
+          .slice(0, this.options.batchSize);
+        if (batch.length === 0) continue;
+
+        try {
+          await sink.send(batch.map(entry => entry.eventData));
+          this.markDelivered(sink.name, batch);
+        } catch (error) {
+          console.warn(`Analytics delivery to ${sink.name} failed:`, error);
+          failed = true;
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (failed) {
+      this.failedAttempts += 1;
+      this.scheduleFlush(getRetryDelay(this.failedAttempts, this.options));
+      return;
+    }
+
+    this.failedAttempts = 0;
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (this.queue.length > 0) {
+      this.scheduleFlush(this.options.flushInterval);
+    }
+  }
+
+  /**
+   * Hand everything still queued to the sinks' beacon senders while the page goes away
+   */
+  flushWithBeacon() {
+    this.sinks.filter(sink => sink.beacon).forEach(sink => {
+      const entries = this.queue.filter(entry => entry.pending.includes(sink.name));
+
+      for (let start = 0; start < entries.length; start += this.options.batchSize) {
+        const batch = entries.slice(start, start + this.options.batchSize);
+        // Anything the browser refuses stays persisted for the next visit
+        if (!sink.beacon(batch.map(entry => entry.eventData))) break;
+        this.markDelivered(sink.name, batch);
+      }
+    });
+  }
+
+  /**
+   * Stop delivering and delete the queue along with its IndexedDB database. The deletion is
+   * requested right away, so a transport created afterwards opens a fresh database.
+   */
+  destroy() {
+    window.removeEventListener('pagehide', this.handlePageHide);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('online', this.handleOnline);
+
+    this.isDestroyed = true;
+    this.clearFlushTimer();
+    this.queue = [];
+    if (typeof indexedDB !== 'undefined') {
+      indexedDB.deleteDatabase(DB_NAME);
+    }
+  }
+
+  /**
+   * Forget every queued event, in memory and in IndexedDB
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.clearFlushTimer();
+    this.failedAttempts = 0;
+    this.queue = [];
+    await this.dbReady;
+    await withStore(this.db, 'readwrite', store => store.clear())
+      .catch(error => console.warn('Could not clear analytics queue:', error));
+  }
+
+  // === Internals ===
+
+  markDelivered(sinkName, entries) {
+    this.settle(entries, name => name !== sinkName);
+  }
+
+  // Narrow the pending sinks of queued entries, drop the ones no sink still needs
+  // and mirror both to IndexedDB. Entries cleared in the meantime stay gone.
+  settle(entries, isStillPending) {
+    const queued = entries.filter(entry => this.queue.includes(entry));
+    queued.forEach(entry => {
+      entry.pending = entry.pending.filter(isStillPending);
+    });
+
+    this.queue = this.queue.filter(entry => entry.pending.length > 0);
+    this.persist(queued.filter(entry => entry.pending.length > 0));
+    this.remove(queued.filter(entry => entry.pending.length === 0).map(entry => entry.id));
+  }
+
+  enforceCap() {
+    const overflow = this.queue.length - this.options.maxQueueSize;
+    if (overflow <= 0) return;
+
+    const dropped = this.queue.splice(0, overflow);
+    this.remove(dropped.map(entry => entry.id));
+    console.warn(`Analytics queue full, dropped ${overflow} oldest event(s)`);
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  clearFlushTimer() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  persist(entries) {
+    if (entries.length === 0) return;
+    this.dbReady
+      .then(() => withStore(this.db, 'readwrite', store => entries.forEach(entry => store.put(entry))))
+      .catch(error => console.warn('Could not persist analytics events:', error));
+  }
+
+  remove(ids) {
+    if (ids.length === 0) return;
+    this.dbReady
+      .then(() => withStore(this.db, 'readwrite', store => ids.forEach(id => store.delete(id))))
+      .catch(error => console.warn('Could not remove analytics events:', error));
+  }
+
+  // Pick up events an earlier visit couldn't deliver
+  async restore() {
+    if (this.isDestroyed) return;
+
+    try {
+      const stored = await withStore(this.db, 'readonly', store => store.getAll());
+      if (!stored?.length) return;
+
+      const queuedIds = this.queue.map(entry => entry.id);
+      this.queue = [...stored.filter(entry => !queuedIds.includes(entry.id)), ...this.queue];
+      this.enforceCap();
+      this.scheduleFlush(this.options.flushInterval);
+    } catch (error) {
+      console.warn('Could not restore analytics events:', error);
+    }
+  }
+}
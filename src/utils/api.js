@@ -0,0 +1,244 @@
+/**
+ * API Client
+ * Typed (JSDoc) client for the Blendo backend. During development the endpoints are
+ * served by the mock API (mock-api/plugin.js); set VITE_API_BASE_URL to point at
+ * another backend.
+ */
+
+/**
+ * @typedef {Object} ApiIssue
+ * @property {string} field - Field the issue refers to
+ * @property {string} message - Human-readable message
+ */
+
+/**
+ * @typedef {Object} StoredResult
+ * @property {string} id - Server-assigned result ID
+ * @property {string} createdAt - ISO timestamp
+ * @property {Object<number, *>} answers - Quiz answers keyed by question ID
+ * @property {number} schemaVersion - Quiz schema version the answers belong to
+ * @property {Object} blend - { id, name, roastLevel, notes, origins, matchScore }
+ */
+
+/**
+ * @typedef {Object} Plan
+ * @property {'subscription'|'one-off'} purchaseType
+ * @property {'weekly'|'biweekly'|'monthly'} frequency
+ * @property {'250g'|'500g'|'1kg'} size
+ * @property {string} grind - 'whole-bean' or the blend's grind suggestion
+ */
+
+/**
+ * @typedef {Object} BlendSummary - Result of summarizeBlend
+ * @property {string} id
+ * @property {string} name
+ * @property {string} roastLevel
+ * @property {string} notes
+ * @property {string} origins
+ * @property {string} grindSuggestion
+ * @property {number} matchScore
+ * @property {Object} adjustments - Overrides that rebuild the blend from its answers, e.g. an alternative's roast
+ * @property {Array<{ id: string, percent: number }>} components
+ */
+
+/**
+ * @typedef {Object} OrderInput
+ * @property {Plan} plan
+ * @property {Object} price - Result of calculatePlanPrice
+ * @property {BlendSummary} blend
+ * @property {Object<number, *>} answers - Quiz answers the blend was made from
+ * @property {{ email: string, firstName: string, lastName: string, phone: string }} contact
+ * @property {{ line1: string, line2: string, city: string, postalCode: string, country: string }} shipping
+ * @property {string} deliveryDate - YYYY-MM-DD
+ * @property {{ provider: string, paymentId: string, last4: string }} payment
+ */
+
+/**
+ * @typedef {OrderInput & { id: string, createdAt: string, status: string }} Order
+ */
+
+/**
+ * @typedef {Object} SubscriptionEvent
+ * @property {string} type - e.g. 'delivery_skipped', 'paused', 'cancelled'
+ * @property {string} at - ISO timestamp
+ * @property {Object} details - Event-specific data
+ */
+
+/**
+ * @typedef {Object} BlendVersion
+ * @property {number} version - 1 for the blend ordered, counting up
+ * @property {BlendSummary} blend
+ * @property {Object} adjustments - The blend's variant plus preference overrides from feedback (see applyFeedback)
+ * @property {'order'|'feedback'|'swap'} source - What created the version
+ * @property {Object|null} feedback - Feedback that led to the version
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {string} orderId - Order that started the subscription
+ * @property {string} createdAt
+ * @property {'active'|'paused'|'cancelled'} status
+ * @property {string} email
+ * @property {Plan} plan
+ * @property {Object} price
+ * @property {BlendSummary} blend
+ * @property {Object<number, *>} answers - Quiz answers the blend was made from
+ * @property {Array<BlendVersion>} blendVersions - Every blend the subscription has delivered, oldest first
+ * @property {Object} shipping
+ * @property {string} firstDeliveryDate - YYYY-MM-DD
+ * @property {string} nextDeliveryDate - YYYY-MM-DD
+ * @property {Array<string>} skippedDeliveries - Delivery dates (YYYY-MM-DD) that won't ship
+ * @property {string|null} pausedUntil - YYYY-MM-DD deliveries resume on, while paused
+ * @property {{ reason: string, comment: string }|null} cancellation
+ * @property {Array<SubscriptionEvent>} history - Audit trail, oldest first
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
+
+/**
+ * Error thrown for non-2xx responses and network failures
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status (0 for network failures)
+   * @param {Array<ApiIssue>} issues - Field issues reported by the server
+   */
+  constructor(message, status = 0, issues = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Whether a backend is reachable from this build: the mock API in development,
+ * or an explicitly configured base URL
+ * @returns {boolean}
+ */
+export function isApiAvailable() {
+  return import.meta.env.DEV || Boolean(import.meta.env.VITE_API_BASE_URL);
+}
+
+/**
+ * Send a JSON request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API base URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<*>} - Parsed response body (null for empty responses)
+ * @throws {ApiError}
+ */
+async function request(method, path, body) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new ApiError(`Network error calling ${method} ${path}: ${error.message}`);
+  }
+
+  const isJson = response.headers.get('Content-Type')?.includes('application/json');
+  const data = isJson ? await response.json() : null;
+
+  if (!response.ok) {
+    throw new ApiError(data?.error || `${method} ${path} failed with ${response.status}`, response.status, data?.issues);
+  }
+  // An HTML page instead of JSON means there is no API behind this host (e.g. a static deploy)
+  if (response.status !== 204 && !isJson) {
+    throw new ApiError(`${method} ${path} did not return JSON`, response.status);
+  }
+
+  return data;
+}
+
+const query = (params) => {
+  const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined));
+  return search.toString() ? `?${search}` : '';
+};
+
+// === Results ===
+
+/**
+ * Store a finished quiz result
+ * @param {{ answers: Object, schemaVersion: number, blend: Object }} result
+ * @returns {Promise<StoredResult>}
+ */
+export const saveResult = (result) => request('POST', '/results', result);
+
+/**
+ * @param {string} id - Result ID
+ * @returns {Promise<StoredResult>}
+ */
+export const getResult = (id) => request('GET', `/results/${encodeURIComponent(id)}`);
+
+// === Orders ===
+
+/**
+ * Place an order; subscription orders also start a subscription
+ * @param {OrderInput} order
+ * @returns {Promise<{ order: Order, subscription: Subscription|null }>}
+ */
+export const createOrder = (order) => request('POST', '/orders', order);
+
+/**
+ * @param {string} id - Order ID
+ * @returns {Promise<Order>}
+ */
+export const getOrder = (id) => request('GET', `/orders/${encodeURIComponent(id)}`);
+
+/**
+ * @param {{ email?: string }} filters
+ * @returns {Promise<{ orders: Array<Order> }>}
+ */
+export const listOrders = (filters = {}) => request('GET', `/orders${query(filters)}`);
+
+// === Subscriptions ===
+
+/**
+ * @param {{ email?: string }} filters
+ * @returns {Promise<{ subscriptions: Array<Subscription> }>}
+ */
+export const listSubscriptions = (filters = {}) => request('GET', `/subscriptions${query(filters)}`);
+
+/**
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Subscription>}
+ */
+export const getSubscription = (id) => request('GET', `/subscriptions/${encodeURIComponent(id)}`);
+
+/**
+ * Change a subscription and record why in its history
+ * @param {string} id - Subscription ID
+ * @param {Object} changes - Fields to change (status, plan, price, blend, shipping, nextDeliveryDate, ...)
+ * @param {{ type: string, details?: Object }} event - Audit entry for the change
+ * @returns {Promise<Subscription>}
+ */
+export const updateSubscription = (id, changes, event) =>
+  request('PATCH', `/subscriptions/${encodeURIComponent(id)}`, { changes, event });
+
+// === Analytics ===
+
+/**
+ * Record analytics events
+ * @param {Array<Object>} events - Event payloads as built by AnalyticsService
+ * @returns {Promise<{ accepted: number }>}
+ */
+export const sendAnalyticsEvents = (events) => request('POST', '/analytics', { events });
+
+/**
+ * Read recorded analytics events
+ * @param {{ since?: string }} filters - ISO timestamp lower bound
+ * @returns {Promise<{ events: Array<Object> }>}
+ */
+export const listAnalyticsEvents = (filters = {}) => request('GET', `/analytics${query(filters)}`);
+
+/**
+ * URL analytics batches can be beaconed to
+ */
+export const ANALYTICS_ENDPOINT = `${API_BASE_URL}/analytics`;
@@ -0,0 +1,91 @@
+/**
+ * Blend Feedback Utilities
+ * Options and validation for the post-delivery feedback form. The blend engine
+ * (applyFeedback in quizLogic.js) turns valid feedback into an adjusted blend.
+ */
+
+import { getQuestionByKey, localizeQuestion } from './quizSchema';
+import { localize, t } from './i18n';
+
+export const RATING_MAX = 5;
+
+/**
+ * Taste scales asked after a delivery, from one extreme to the other
+ */
+export const FEEDBACK_SCALES = {
+  bitterness: {
+    legend: 'Bitterness and acidity',
+    options: {
+      'too-sour': 'Too sour',
+      'just-right': 'Just right',
+      'too-bitter': 'Too bitter'
+    }
+  },
+  body: {
+    legend: 'Body',
+    options: {
+      'too-light': 'Too light',
+      'just-right': 'Just right',
+      'too-heavy': 'Too heavy'
+    }
+  }
+};
+
+export const EMPTY_FEEDBACK = {
+  rating: 0,
+  bitterness: 'just-right',
+  body: 'just-right',
+  likedNotes: [],
+  dislikedNotes: [],
+  comment: ''
+};
+
+/**
+ * Taste scales with their legend and option labels in the current language
+ * @returns {Array} - List of { field, legend, options: [{ value, label }] }
+ */
+export function getFeedbackScales() {
+  return Object.entries(FEEDBACK_SCALES).map(([field, scale]) => ({
+    field,
+    legend: localize(`feedback.scales.${field}.legend`, scale.legend),
+    options: Object.entries(scale.options).map(([value, label]) => ({
+      value,
+      label: localize(`feedback.scales.${field}.options.${value}`, label)
+    }))
+  }));
+}
+
+/**
+ * Notes the customer can like or dislike: the flavor options of the quiz
+ * @returns {Array} - List of { value, label } in the current language
+ */
+export function getNoteOptions() {
+  return localizeQuestion(getQuestionByKey('flavors')).options.map(({ value, label }) => ({ value, label }));
+}
+
+/**
+ * Validate feedback before it reaches the blend engine
+ * @param {Object} feedback - { rating, bitterness, body, likedNotes, dislikedNotes, comment }
+ * @returns {Object} - { valid, issues } with issues as { field, message }
+ */
+export function validateFeedback(feedback) {
+  const issues = [];
+  const noteValues = getNoteOptions().map(option => option.value);
+
+  if (!Number.isInteger(feedback.rating) || feedback.rating < 1 || feedback.rating > RATING_MAX) {
+    issues.push({ field: 'rating', message: t('feedback.errors.rating', { max: RATING_MAX }) });
+  }
+  Object.entries(FEEDBACK_SCALES).forEach(([field, scale]) => {
+    if (!scale.options[feedback[field]]) {
+      issues.push({ field, message: t(`feedback.errors.${field}`) });
+    }
+  });
+  if ([...feedback.likedNotes, ...feedback.dislikedNotes].some(note => !noteValues.includes(note))) {
+    issues.push({ field: 'notes', message: t('feedback.errors.unknownNote') });
+  }
+  if (feedback.likedNotes.some(note => feedback.dislikedNotes.includes(note))) {
+    issues.push({ field: 'notes', message: t('feedback.errors.likedAndDisliked') });
+  }
+
+  return { valid: issues.length === 0, issues };
+}
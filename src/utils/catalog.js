@@ -0,0 +1,168 @@
+/**
+ * Coffee Catalog Utilities
+ * Loads the green coffee catalog from data/catalog.json and provides query helpers
+ * for origin metadata, pricing and availability.
+ */
+
+import rawCatalog from '../data/catalog.json';
+
+const BODIES = ['light', 'medium', 'full'];
+const PROCESSES = ['washed', 'natural', 'honey'];
+
+/**
+ * Validate a raw catalog object and return a frozen copy
+ * @param {Object} catalog - Raw catalog (usually parsed JSON)
+ * @returns {Object} - Catalog with frozen origins
+ * @throws {Error} - When the catalog does not conform
+ */
+export function loadCatalog(catalog) {
+  const issues = [];
+
+  if (!catalog || !Array.isArray(catalog.origins) || catalog.origins.length === 0) {
+    throw new Error('Coffee catalog must list at least one origin');
+  }
+
+  const seenIds = new Set();
+  const isMonth = (value) => Number.isInteger(value) && value >= 1 && value <= 12;
+
+  catalog.origins.forEach((origin, index) => {
+    const where = `origins[${index}]`;
+
+    if (typeof origin.id !== 'string' || !origin.id) {
+      issues.push(`${where}.id must be a non-empty string`);
+    } else if (seenIds.has(origin.id)) {
+      issues.push(`${where}.id "${origin.id}" is duplicated`);
+    }
+    seenIds.add(origin.id);
+
+    if (typeof origin.name !== 'string' || !origin.name) {
+      issues.push(`${where}.name must be a non-empty string`);
+    }
+    if (!Array.isArray(origin.profile) || origin.profile.length === 0) {
+      issues.push(`${where}.profile must list at least one flavor`);
+    }
+    if (!BODIES.includes(origin.body)) {
+      issues.push(`${where}.body must be one of ${BODIES.join(', ')}`);
+    }
+    if (!PROCESSES.includes(origin.process)) {
+      issues.push(`${where}.process must be one of ${PROCESSES.join(', ')}`);
+    }
+    if (!origin.altitude || !(origin.altitude.min <= origin.altitude.max)) {
+      issues.push(`${where}.altitude needs min <= max`);
+    }
+    if (!Array.isArray(origin.varietal) || origin.varietal.length === 0) {
+      issues.push(`${where}.varietal must list at least one varietal`);
+    }
+    if (typeof origin.costPerKg !== 'number' || origin.costPerKg <= 0) {
+      issues.push(`${where}.costPerKg must be a positive number`);
+    }
+    if (typeof origin.stockKg !== 'number' || origin.stockKg < 0) {
+      issues.push(`${where}.stockKg must be zero or more`);
+    }
+    if (!origin.harvestSeason ||
+        !isMonth(origin.harvestSeason.startMonth) ||
+        !isMonth(origin.harvestSeason.endMonth)) {
+      issues.push(`${where}.harvestSeason needs startMonth and endMonth between 1 and 12`);
+    }
+    if (!Array.isArray(origin.certifications)) {
+      issues.push(`${where}.certifications must be an array`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid coffee catalog v${catalog.version}:\n- ${issues.join('\n- ')}`);
+  }
+
+  return Object.freeze({
+    version: catalog.version,
+    currency: catalog.currency,
+    origins: Object.freeze(catalog.origins.map(origin => Object.freeze({ ...origin })))
+  });
+}
+
+const catalog = loadCatalog(rawCatalog);
+
+/**
+ * Get every origin in the catalog, in catalog order
+ * @returns {Array} - Origin records
+ */
+export function getOrigins() {
+  return catalog.origins;
+}
+
+/**
+ * Find an origin by its ID or display name
+ * @param {string} idOrName - Origin ID (e.g. "kenya-aa") or name (e.g. "Kenyan AA")
+ * @returns {Object|undefined} - Origin record
+ */
+export function getOrigin(idOrName) {
+  return catalog.origins.find(origin => origin.id === idOrName || origin.name === idOrName);
+}
+
+/**
+ * Check whether an origin has enough stock on hand
+ * @param {Object} origin - Origin record
+ * @param {number} minStockKg - Minimum kilograms required
+ * @returns {boolean}
+ */
+export function isInStock(origin, minStockKg = 1) {
+  return origin.stockKg >= minStockKg;
+}
+
+/**
+ * Check whether the current crop of an origin is available in the given month.
+ * Seasons may wrap around the new year (e.g. October to May).
+ * @param {Object} origin - Origin record
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+export function isInSeason(origin, date = new Date()) {
+  const month = date.getMonth() + 1;
+  const { startMonth, endMonth } = origin.harvestSeason;
+
+  return startMonth <= endMonth
+    ? month >= startMonth && month <= endMonth
+    : month >= startMonth || month <= endMonth;
+}
+
+/**
+ * Origins that can be used in a blend right now
+ * @param {Object} options - Query options
+ * @param {Date} options.date - Date to check the season against
+ * @param {number} options.minStockKg - Minimum kilograms on hand
+ * @returns {Array} - Available origins, in catalog order
+ */
+export function getAvailableOrigins({ date = new Date(), minStockKg = 1 } = {}) {
+  return catalog.origins.filter(origin => isInStock(origin, minStockKg) && isInSeason(origin, date));
+}
+
+/**
+ * Filter origins by metadata
+ * @param {Object} criteria - Any of process, certification, flavor, body, maxCostPerKg, minAltitude
+ * @returns {Array} - Matching origins, in catalog order
+ */
+export function findOrigins(criteria = {}) {
+  const { process, certification, flavor, body, maxCostPerKg, minAltitude } = criteria;
+
+  return catalog.origins.filter(origin =>
+    (!process || origin.process === process) &&
+    (!certification || origin.certifications.includes(certification)) &&
+    (!flavor || origin.profile.includes(flavor)) &&
+    (!body || origin.body === body) &&
+    (maxCostPerKg === undefined || origin.costPerKg <= maxCostPerKg) &&
+    (minAltitude === undefined || origin.altitude.max >= minAltitude)
+  );
+}
+
+/**
+ * Cost per kilogram of green coffee for a blend
+ * @param {Array} components - List of { origin, percent }
+ * @returns {number} - Weighted cost per kg in the catalog currency
+ */
+export function getBlendCostPerKg(components) {
+  return components.reduce((total, { origin, percent }) => total + origin.costPerKg * percent / 100, 0);
+}
+
+export const CATALOG_CURRENCY = catalog.currency;
+
+export default catalog;
@@ -0,0 +1,167 @@
+/**
+ * Checkout Utilities
+ * Field validation for the checkout steps (contact, shipping, delivery date)
+ * and the delivery calendar. Each validator returns { valid, issues } where
+ * issues are { field, message } so forms can attach them to inputs.
+ */
+
+import { localize, t } from './i18n';
+
+/**
+ * Countries we ship to, with their postal code format
+ */
+export const SHIPPING_COUNTRIES = {
+  AT: { label: 'Austria', postalCode: /^\d{4}$/, postalCodeExample: '1010' },
+  DE: { label: 'Germany', postalCode: /^\d{5}$/, postalCodeExample: '10115' },
+  CH: { label: 'Switzerland', postalCode: /^\d{4}$/, postalCodeExample: '8001' },
+  NL: { label: 'Netherlands', postalCode: /^\d{4} ?[A-Z]{2}$/i, postalCodeExample: '1012 AB' },
+  FR: { label: 'France', postalCode: /^\d{5}$/, postalCodeExample: '75001' },
+  IT: { label: 'Italy', postalCode: /^\d{5}$/, postalCodeExample: '00118' },
+  GB: { label: 'United Kingdom', postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i, postalCodeExample: 'SW1A 1AA' },
+  US: { label: 'United States', postalCode: /^\d{5}(-\d{4})?$/, postalCodeExample: '10001' }
+};
+
+/**
+ * Name of a shipping country in the current language
+ * @param {string} code - Country code from SHIPPING_COUNTRIES
+ * @returns {string}
+ */
+export function getCountryName(code) {
+  return localize(`checkout.countries.${code}`, SHIPPING_COUNTRIES[code].label);
+}
+
+// Orders placed today can be roasted and shipped for delivery this many business days out
+const DELIVERY_LEAD_DAYS = 2;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()/-]{6,20}$/;
+
+const result = (issues) => ({ valid: issues.length === 0, issues });
+
+const isBlank = (value) => !value || !String(value).trim();
+
+/**
+ * Validate contact details
+ * @param {Object} contact - { email, firstName, lastName, phone }
+ * @returns {Object} - { valid, issues }
+ */
+export function validateContact(contact) {
+  const issues = [];
+
+  if (isBlank(contact.email)) {
+    issues.push({ field: 'email', message: t('checkout.errors.emailMissing') });
+  } else if (!EMAIL_PATTERN.test(contact.email.trim())) {
+    issues.push({ field: 'email', message: t('checkout.errors.emailInvalid') });
+  }
+  if (isBlank(contact.firstName)) {
+    issues.push({ field: 'firstName', message: t('checkout.errors.firstNameMissing') });
+  }
+  if (isBlank(contact.lastName)) {
+    issues.push({ field: 'lastName', message: t('checkout.errors.lastNameMissing') });
+  }
+  // Phone is optional, but must look like a phone number when given
+  if (!isBlank(contact.phone) && !PHONE_PATTERN.test(contact.phone.trim())) {
+    issues.push({ field: 'phone', message: t('checkout.errors.phoneInvalid') });
+  }
+
+  return result(issues);
+}
+
+/**
+ * Validate a postal code for a country
+ * @param {string} postalCode - Postal code as typed
+ * @param {string} country - Country code from SHIPPING_COUNTRIES
+ * @returns {boolean}
+ */
+export function isValidPostalCode(postalCode, country) {
+  const rules = SHIPPING_COUNTRIES[country];
+  return Boolean(rules && rules.postalCode.test(String(postalCode).trim()));
+}
+
+/**
+ * Validate a shipping address
+ * @param {Object} address - { line1, line2, city, postalCode, country }
+ * @returns {Object} - { valid, issues }
+ */
+export function validateShippingAddress(address) {
+  const issues = [];
+  const country = SHIPPING_COUNTRIES[address.country];
+
+  if (!country) {
+    issues.push({ field: 'country', message: t('checkout.errors.countryUnsupported') });
+  }
+  if (isBlank(address.line1)) {
+    issues.push({ field: 'line1', message: t('checkout.errors.line1Missing') });
+  }
+  if (isBlank(address.city)) {
+    issues.push({ field: 'city', message: t('checkout.errors.cityMissing') });
+  }
+  if (isBlank(address.postalCode)) {
+    issues.push({ field: 'postalCode', message: t('checkout.errors.postalCodeMissing') });
+  } else if (country && !isValidPostalCode(address.postalCode, address.country)) {
+    issues.push({
+      field: 'postalCode',
+      message: t('checkout.errors.postalCodeInvalid', {
+        country: getCountryName(address.country),
+        example: country.postalCodeExample
+      })
+    });
+  }
+
+  return result(issues);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Delivery dates open for booking: business days after the roasting lead time
+ * @param {Object} options - Calendar options
+ * @param {Date} options.from - Day the order is placed
+ * @param {number} options.count - Number of dates to offer
+ * @returns {Array} - Date keys (YYYY-MM-DD), earliest first
+ */
+export function getDeliveryDates({ from = new Date(), count = 10 } = {}) {
+  const dates = [];
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  let leadDays = DELIVERY_LEAD_DAYS;
+
+  while (dates.length < count) {
+    day.setDate(day.getDate() + 1);
+    const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+    if (isWeekend) continue;
+
+    if (leadDays > 1) {
+      leadDays -= 1;
+    } else {
+      dates.push(toDateKey(day));
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Validate the chosen delivery date
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {Object} options - Same options as getDeliveryDates
+ * @returns {Object} - { valid, issues }
+ */
+export function validateDeliveryDate(dateKey, options) {
+  const issues = [];
+
+  if (!dateKey) {
+    issues.push({ field: 'deliveryDate', message: t('checkout.errors.deliveryDateMissing') });
+  } else if (!getDeliveryDates(options).includes(dateKey)) {
+    issues.push({ field: 'deliveryDate', message: t('checkout.errors.deliveryDateUnavailable') });
+  }
+
+  return result(issues);
+}
@@ -0,0 +1,167 @@
+/**
+ * Consent Utilities
+ * Stores the visitor's privacy choices (GDPR / Austrian TKG) per category, with the time
+ * they were made and the version and language of the consent text they were made against. Nothing
+ * beyond what the app needs to work may be stored or sent until a choice exists.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getLocale } from './i18n';
+
+const STORAGE_KEY = 'blendo_consent';
+const CONSENT_EVENT = 'blendo:consent';
+const PREFERENCES_EVENT = 'blendo:consent-preferences';
+
+// Bump when categories or their descriptions change (in any language); earlier choices are then asked again
+export const CONSENT_VERSION = 1;
+
+// Choice that couldn't be written to localStorage (private mode, full quota); it applies until the page is left
+let unsavedConsent = null;
+
+/**
+ * Consent categories shown in the banner and preferences dialog; other languages
+ * translate them under consent.categories
+ */
+export const CONSENT_CATEGORIES = {
+  necessary: {
+    label: 'Necessary',
+    description: 'Keeps your quiz progress, checkout and subscription working. Always on.',
+    required: true
+  },
+  analytics: {
+    label: 'Analytics',
+    description: 'An anonymous visitor ID and usage events that help us improve the quiz.',
+    required: false
+  },
+  marketing: {
+    label: 'Marketing',
+    description: 'Lets advertising partners such as Meta measure our campaigns.',
+    required: false
+  }
+};
+
+/**
+ * Choices for every category, with the optional ones set to the same value
+ * @param {boolean} granted - Whether optional categories are accepted
+ * @returns {Object<string, boolean>}
+ */
+export function allCategories(granted) {
+  return Object.fromEntries(
+    Object.entries(CONSENT_CATEGORIES).map(([id, category]) => [id, category.required || granted])
+  );
+}
+
+/**
+ * Read the stored consent
+ * @returns {{ version: number, timestamp: string, locale: string, categories: Object<string, boolean> }|null} -
+ *   null while no choice was made for the current version
+ */
+export function getConsent() {
+  return parseConsent(readStoredConsent());
+}
+
+function readStoredConsent() {
+  if (unsavedConsent) return unsavedConsent;
+
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function parseConsent(raw) {
+  if (!raw) return null;
+
+  try {
+    const consent = JSON.parse(raw);
+    return consent?.version === CONSENT_VERSION ? consent : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a category is consented to; necessary categories always are
+ * @param {Object|null} consent - Result of getConsent
+ * @param {string} category - Key of CONSENT_CATEGORIES
+ * @returns {boolean}
+ */
+export function hasConsent(consent, category) {
+  if (CONSENT_CATEGORIES[category]?.required) return true;
+  return Boolean(consent?.categories?.[category]);
+}
+
+/**
+ * Store the visitor's choices and tell the rest of the app
+ * @param {Object<string, boolean>} categories - Choice per category
+ * @returns {Object} - The stored consent
+ */
+export function saveConsent(categories) {
+  const consent = {
+    version: CONSENT_VERSION,
+    timestamp: new Date().toISOString(),
+    locale: getLocale(),
+    categories: Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(id => [id, hasConsent({ categories }, id)]))
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+    unsavedConsent = null;
+  } catch (error) {
+    // The choice still applies to this visit from memory; the banner just asks again next time
+    console.warn('Could not store consent:', error);
+    unsavedConsent = JSON.stringify(consent);
+  }
+
+  window.dispatchEvent(new CustomEvent(CONSENT_EVENT, { detail: consent }));
+  return consent;
+}
+
+/**
+ * Listen for consent changes, including ones made in other tabs
+ * @param {(consent: Object|null) => void} callback
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToConsent(callback) {
+  const handleChange = () => callback(getConsent());
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    // A choice stored by another tab is newer than one kept in memory here
+    unsavedConsent = null;
+    handleChange();
+  };
+
+  window.addEventListener(CONSENT_EVENT, handleChange);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(CONSENT_EVENT, handleChange);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * Current consent; re-renders when it changes
+ * @returns {Object|null}
+ */
+export function useConsent() {
+  const raw = useSyncExternalStore(subscribeToConsent, readStoredConsent);
+  return parseConsent(raw);
+}
+
+/**
+ * Ask the consent banner to open the preferences dialog (e.g. from a "Privacy settings" link)
+ */
+export function openConsentPreferences() {
+  window.dispatchEvent(new Event(PREFERENCES_EVENT));
+}
+
+/**
+ * Listen for requests to open the preferences dialog
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe
+ */
+export function onConsentPreferencesRequest(callback) {
+  window.addEventListener(PREFERENCES_EVENT, callback);
+  return () => window.removeEventListener(PREFERENCES_EVENT, callback);
+}
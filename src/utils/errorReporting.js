@@ -0,0 +1,63 @@
+/**
+ * Error Reporting Utilities
+ * Reports errors caught by the view error boundaries, uncaught errors and unhandled
+ * promise rejections through analytics.trackError, with where the quiz stood at the time
+ * (kept up to date by the quiz provider through setErrorContext).
+ */
+
+import analytics from './analytics';
+
+/**
+ * Where an error was caught
+ */
+export const ERROR_SOURCES = {
+  BOUNDARY: 'boundary',
+  WINDOW: 'window',
+  PROMISE: 'promise'
+};
+
+let errorContext = {};
+let isReporting = false;
+
+/**
+ * Replace the context attached to every error report
+ * @param {Object} context - Properties from the ERROR_OCCURRED schema, e.g. { quiz_state, current_question, answer_keys }
+ */
+export function setErrorContext(context) {
+  errorContext = context;
+}
+
+// Rejections and throws can carry anything, not only Error objects
+const toError = (value) => (value instanceof Error ? value : new Error(String(value)));
+
+/**
+ * Send an error to analytics with the current context
+ * @param {*} error - Error, or whatever was thrown or rejected
+ * @param {Object} details - Extra properties, e.g. { source, view, component_stack }
+ */
+export function reportError(error, details = {}) {
+  // A failing report would otherwise land in the window listener and report itself again
+  if (isReporting) return;
+  isReporting = true;
+
+  try {
+    analytics.trackError(toError(error), { ...errorContext, ...details });
+  } catch (reportingError) {
+    console.warn('Could not report error:', reportingError);
+  } finally {
+    isReporting = false;
+  }
+}
+
+/**
+ * Report uncaught errors and unhandled promise rejections from anywhere on the page
+ */
+export function initializeErrorReporting() {
+  window.addEventListener('error', (event) => {
+    reportError(event.error ?? event.message, { source: ERROR_SOURCES.WINDOW });
+  });
+
+  window.addEventListener('unhandledrejection', (event) => {
+    reportError(event.reason, { source: ERROR_SOURCES.PROMISE });
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * Experiment Utilities
+ * A/B tests defined in data/experiments.json. Users are bucketed deterministically from
+ * AnalyticsService.userId, so they see the same variant on every visit; without a user ID
+ * (no analytics consent yet) everyone sees the control and no exposure is recorded.
+ * QA can force variants with ?exp=experiment-id:variant-id (comma separated).
+ */
+
+import { useEffect } from 'react';
+import rawConfig from '../data/experiments.json';
+import analytics, { ANALYTICS_EVENTS } from './analytics';
+
+const FORCE_PARAM = 'exp';
+// Forced variants outlive the query string, which the router drops on the first navigation
+const FORCED_STORAGE_KEY = 'blendo_forced_experiments';
+
+/**
+ * Validate experiment definitions
+ * @param {Object} config - Raw config (usually parsed JSON)
+ * @returns {Object<string, Object>} - Experiments keyed by ID
+ * @throws {Error} - When a definition does not conform
+ */
+export function loadExperiments(config) {
+  const issues = [];
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  (config.experiments || []).forEach((experiment, index) => {
+    const where = `experiments[${index}]`;
+
+    if (typeof experiment.id !== 'string' || !experiment.id) {
+      issues.push(`${where}.id must be a non-empty string`);
+    }
+    if (!isDate(experiment.start)) {
+      issues.push(`${where}.start must be a YYYY-MM-DD date`);
+    }
+    if (experiment.stop !== null && !isDate(experiment.stop)) {
+      issues.push(`${where}.stop must be a YYYY-MM-DD date or null`);
+    }
+    if (typeof experiment.traffic !== 'number' || experiment.traffic < 0 || experiment.traffic > 1) {
+      issues.push(`${where}.traffic must be between 0 and 1`);
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      issues.push(`${where}.variants must list a control and at least one variant`);
+      return;
+    }
+    if (experiment.variants[0].id !== 'control') {
+      issues.push(`${where}.variants must start with "control"`);
+    }
+    if (experiment.variants.some(variant => !(variant.weight > 0))) {
+      issues.push(`${where}.variants weights must be positive numbers`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid experiments config:\n- ${issues.join('\n- ')}`);
+  }
+
+  return Object.fromEntries(config.experiments.map(experiment => [experiment.id, experiment]));
+}
+
+// Validate once at startup so a broken config fails loudly
+const EXPERIMENTS = loadExperiments(rawConfig);
+
+/**
+ * Hash a string to a number in [0, 1) (32-bit FNV-1a)
+ * @param {string} value
+ * @returns {number}
+ */
+export function hashToUnit(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 2 ** 32;
+}
+
+/**
+ * Whether an experiment is running on a date (start inclusive, stop exclusive)
+ * @param {Object} experiment - Experiment definition
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isExperimentRunning(experiment, date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return day >= experiment.start && (experiment.stop === null || day < experiment.stop);
+}
+
+/**
+ * Pick a user's variant. The traffic check and the variant pick use separate hashes, so
+ * raising the traffic share adds users without moving anyone already enrolled.
+ * @param {Object} experiment - Experiment definition
+ * @param {string} userId - Stable user ID
+ * @returns {Object|null} - Variant, or null when the user is outside the traffic allocation
+ */
+export function assignVariant(experiment, userId) {
+  if (hashToUnit(`${experiment.id}:traffic:${userId}`) >= experiment.traffic) {
+    return null;
+  }
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = hashToUnit(`${experiment.id}:variant:${userId}`) * totalWeight;
+  return experiment.variants.find(variant => (point -= variant.weight) < 0) ?? experiment.variants[0];
+}
+
+/**
+ * Variants forced for QA, from the URL or earlier in this session
+ * @returns {Object<string, string>} - Variant ID by experiment ID
+ */
+function getForcedVariants() {
+  const param = new URLSearchParams(window.location.search).get(FORCE_PARAM);
+
+  if (param) {
+    const forced = Object.fromEntries(param.split(',').map(pair => pair.split(':')));
+    sessionStorage.setItem(FORCED_STORAGE_KEY, JSON.stringify(forced));
+    return forced;
+  }
+
+  try {
+    return JSON.parse(sessionStorage.getItem(FORCED_STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+// Assignments are settled once per page load, so a variant can't change under the user
+const assignments = new Map();
+const exposed = new Set();
+
+/**
+ * Resolve the variant shown for an experiment
+ * @param {string} experimentId - Key of the experiment in data/experiments.json
+ * @returns {{ variant: Object, enrolled: boolean, forced: boolean }}
+ */
+export function getAssignment(experimentId) {
+  if (assignments.has(experimentId)) return assignments.get(experimentId);
+
+  const experiment = EXPERIMENTS[experimentId];
+  if (!experiment) {
+    throw new Error(`Unknown experiment "${experimentId}"`);
+  }
+
+  const [control] = experiment.variants;
+  const forcedId = getForcedVariants()[experimentId];
+  const forcedVariant = experiment.variants.find(variant => variant.id === forcedId);
+  let assignment;
+
+  if (forcedVariant) {
+    assignment = { variant: forcedVariant, enrolled: true, forced: true };
+  } else if (analytics.userId && isExperimentRunning(experiment)) {
+    const variant = assignVariant(experiment, analytics.userId);
+    assignment = { variant: variant ?? control, enrolled: variant !== null, forced: false };
+  } else {
+    assignment = { variant: control, enrolled: false, forced: false };
+  }
+
+  assignments.set(experimentId, assignment);
+  return assignment;
+}
+
+/**
+ * Show the control and leave the user out of an experiment for this page load, e.g. when
+ * the assigned variant can't be applied. No exposure is recorded afterwards.
+ * @param {string} experimentId
+ */
+export function excludeFromExperiment(experimentId) {
+  const experiment = EXPERIMENTS[experimentId];
+  if (!experiment) {
+    throw new Error(`Unknown experiment "${experimentId}"`);
+  }
+
+  assignments.set(experimentId, { variant: experiment.variants[0], enrolled: false, forced: false });
+}
+
+/**
+ * The variant shown for an experiment
+ * @param {string} experimentId
+ * @returns {Object} - Variant definition (id plus its settings)
+ */
+export function getVariant(experimentId) {
+  return getAssignment(experimentId).variant;
+}
+
+/**
+ * Record that the user saw an experiment, once per page load. Later events carry the
+ * variant in the `experiments` user property.
+ * @param {string} experimentId
+ */
+export function trackExposure(experimentId) {
+  const { variant, enrolled, forced } = getAssignment(experimentId);
+  if (!enrolled || exposed.has(experimentId)) return;
+
+  exposed.add(experimentId);
+  analytics.updateUserProperties({
+    experiments: [...exposed].map(id => `${id}:${getVariant(id).id}`).join(',')
+  });
+  analytics.track(ANALYTICS_EVENTS.EXPERIMENT_EXPOSURE, {
+    experiment_id: experimentId,
+    variant: variant.id,
+    forced
+  });
+}
+
+/**
+ * Variant for a component, recording the exposure once it renders
+ * @param {string} experimentId
+ * @param {boolean} isActive - Pass false where the experiment doesn't apply; the control is returned
+ * @returns {Object} - Variant definition
+ */
+export function useExperiment(experimentId, isActive = true) {
+  const variant = isActive ? getVariant(experimentId) : EXPERIMENTS[experimentId].variants[0];
+
+  useEffect(() => {
+    if (isActive) trackExposure(experimentId);
+  }, [experimentId, isActive]);
+
+  return variant;
+}
@@ -0,0 +1,194 @@
+/**
+ * Funnel Report Utilities
+ * Turns recorded analytics events into the quiz funnel: hero view, quiz start, every
+ * question, completion and plan selection. Events are grouped into sessions by sessionId.
+ * The quiz branches (some questions are only asked on some paths), so drop-off is measured
+ * per step as the share of sessions that got there and went no further.
+ */
+
+import { ANALYTICS_EVENTS, USER_PROPERTIES } from './analytics';
+import { QUESTION_IDS, getQuestion } from './quizSchema';
+
+/**
+ * Funnel steps in order; question steps match both the answered and the skipped event
+ */
+export const FUNNEL_STEPS = [
+  { id: 'hero_view', label: 'Hero viewed', events: [ANALYTICS_EVENTS.HERO_VIEW] },
+  { id: 'quiz_start', label: 'Quiz started', events: [ANALYTICS_EVENTS.QUIZ_START] },
+  ...QUESTION_IDS.map(id => ({
+    id: `q_${id}`,
+    label: `Q${id}: ${getQuestion(id).text}`,
+    questionId: id,
+    events: [ANALYTICS_EVENTS[`Q_ANSWERED_${id}`], ANALYTICS_EVENTS[`Q_SKIPPED_${id}`]]
+  })),
+  { id: 'quiz_complete', label: 'Quiz completed', events: [ANALYTICS_EVENTS.QUIZ_COMPLETE] },
+  { id: 'plan_selected', label: 'Plan selected', events: [ANALYTICS_EVENTS.PLAN_SELECTED] }
+];
+
+// Events a question's time is measured from: the previous question, or (re)entering the quiz
+const TIMING_ANCHORS = [
+  ANALYTICS_EVENTS.QUIZ_START,
+  ANALYTICS_EVENTS.QUIZ_RESUMED,
+  ANALYTICS_EVENTS.QUIZ_BACK,
+  ...FUNNEL_STEPS.filter(step => step.questionId).flatMap(step => step.events)
+];
+
+/**
+ * Properties the report can be filtered by
+ */
+export const FUNNEL_FILTERS = [USER_PROPERTIES.DEVICE_TYPE, USER_PROPERTIES.CONNECTION_TYPE];
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null} - null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Group events into sessions, each sorted by time and tagged with the properties of its first event
+ * @param {Array<Object>} events - Recorded events ({ event, timestamp, sessionId, properties })
+ * @returns {Array<{ id: string, properties: Object, events: Array<Object> }>}
+ */
+export function groupSessions(events) {
+  const sessions = new Map();
+
+  events.forEach(event => {
+    if (!event.sessionId) return;
+    if (!sessions.has(event.sessionId)) sessions.set(event.sessionId, []);
+    sessions.get(event.sessionId).push(event);
+  });
+
+  return [...sessions].map(([id, sessionEvents]) => {
+    const sorted = sessionEvents.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return { id, properties: sorted[0].properties ?? {}, events: sorted };
+  });
+}
+
+/**
+ * Distinct values of each filter property across sessions, for the filter controls
+ * @param {Array<Object>} sessions - Result of groupSessions
+ * @returns {Object<string, Array<string>>}
+ */
+export function getFilterOptions(sessions) {
+  return Object.fromEntries(FUNNEL_FILTERS.map(property => [
+    property,
+    [...new Set(sessions.map(session => session.properties[property]).filter(Boolean))].sort()
+  ]));
+}
+
+/**
+ * Keep sessions matching every set filter
+ * @param {Array<Object>} sessions - Result of groupSessions
+ * @param {Object<string, string>} filters - Property -> value; empty values match everything
+ * @returns {Array<Object>}
+ */
+export function filterSessions(sessions, filters = {}) {
+  return sessions.filter(session =>
+    Object.entries(filters).every(([property, value]) => !value || session.properties[property] === value)
+  );
+}
+
+/**
+ * Time spent on each question in a session, from the event before it to its answer or skip
+ * @returns {Object<number, number>} - Milliseconds by question ID (first visit only)
+ */
+function getQuestionTimes(session) {
+  const times = {};
+  let anchor = null;
+
+  session.events.forEach(event => {
+    if (!TIMING_ANCHORS.includes(event.event)) return;
+
+    const step = FUNNEL_STEPS.find(candidate => candidate.questionId && candidate.events.includes(event.event));
+    if (step && anchor && times[step.questionId] === undefined) {
+      times[step.questionId] = Date.parse(event.timestamp) - Date.parse(anchor.timestamp);
+    }
+    anchor = event;
+  });
+
+  return times;
+}
+
+/**
+ * Compute the funnel for a set of sessions
+ * @param {Array<Object>} sessions - Result of groupSessions (already filtered)
+ * @returns {{ sessions: number, steps: Array<Object> }} - Per step: { id, label, reached,
+ *   conversion (share of all sessions), dropOff (share that went no further), skipRate and
+ *   medianTime (ms) for questions; rates are 0..1 or null when nobody reached the step }
+ */
+export function computeFunnel(sessions) {
+  const reachedSteps = sessions.map(session => {
+    const names = new Set(session.events.map(event => event.event));
+    return FUNNEL_STEPS.map(step => step.events.some(name => names.has(name)));
+  });
+  // Index of the furthest step each session got to
+  const furthest = reachedSteps.map(reached => reached.lastIndexOf(true));
+  const questionTimes = sessions.map(getQuestionTimes);
+
+  const steps = FUNNEL_STEPS.map((step, index) => {
+    const reached = reachedSteps.filter(flags => flags[index]).length;
+    const isLast = index === FUNNEL_STEPS.length - 1;
+    const stoppedHere = furthest.filter(position => position === index).length;
+
+    const row = {
+      id: step.id,
+      label: step.label,
+      reached,
+      conversion: sessions.length ? reached / sessions.length : null,
+      dropOff: reached && !isLast ? stoppedHere / reached : null,
+      skipRate: null,
+      medianTime: null
+    };
+
+    if (step.questionId) {
+      const [, skippedEvent] = step.events;
+      // A question counts as skipped when the session's last word on it was a skip
+      const skipped = sessions.filter(session => {
+        const last = session.events.filter(event => step.events.includes(event.event)).pop();
+        return last?.event === skippedEvent;
+      }).length;
+
+      row.skipRate = reached ? skipped / reached : null;
+      row.medianTime = median(questionTimes
+        .map(times => times[step.questionId])
+        .filter(time => time !== undefined));
+    }
+
+    return row;
+  });
+
+  return { sessions: sessions.length, steps };
+}
+
+/**
+ * Format a 0..1 rate as a percentage, or an empty string when there is none
+ */
+const formatRate = (rate) => (rate === null ? '' : (rate * 100).toFixed(1));
+
+/**
+ * Funnel as CSV, one row per step
+ * @param {{ steps: Array<Object> }} funnel - Result of computeFunnel
+ * @returns {string}
+ */
+export function funnelToCsv(funnel) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const header = ['step', 'label', 'sessions', 'conversion_pct', 'drop_off_pct', 'skip_rate_pct', 'median_time_s'];
+
+  const rows = funnel.steps.map(step => [
+    step.id,
+    step.label,
+    String(step.reached),
+    formatRate(step.conversion),
+    formatRate(step.dropOff),
+    formatRate(step.skipRate),
+    step.medianTime === null ? '' : (step.medianTime / 1000).toFixed(1)
+  ]);
+
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
@@ -0,0 +1,328 @@
+/**
+ * Internationalization Utilities
+ * Message catalogs live in data/locales, one file per locale. Messages use a subset of ICU
+ * MessageFormat: {name}, {name, number}, {name, plural, =0 {…} one {…} other {…}} (where #
+ * is the formatted count) and {name, select, value {…} other {…}}.
+ *
+ * The English catalog holds the interface copy and is the reference every other catalog must
+ * match. Content that is written in English next to the code that uses it (quiz questions in
+ * data/quizSchema.json, plan options, tasting notes) is translated through `localize`, so
+ * other catalogs add those keys and English needs no copy of them.
+ */
+
+import { useSyncExternalStore } from 'react';
+import en from '../data/locales/en.json';
+import deAT from '../data/locales/de-AT.json';
+
+const STORAGE_KEY = 'blendo_locale';
+const LOCALE_EVENT = 'blendo:locale';
+
+/**
+ * Supported locales; `label` is shown in the language switcher, in its own language
+ */
+export const LOCALES = {
+  'de-AT': { label: 'Deutsch', catalog: deAT },
+  en: { label: 'English', catalog: en }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Keys and leaves of a catalog as dotted paths
+ * @returns {Array<[string, *]>}
+ */
+function flattenCatalog(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? flattenCatalog(value, path)
+      : [[path, value]];
+  });
+}
+
+/**
+ * Check every catalog against the English one
+ * @param {Object<string, { catalog: Object }>} locales - Locales to check
+ * @returns {Object} - Validation result with issues array
+ */
+export function validateCatalogs(locales = LOCALES) {
+  const issues = [];
+  const isMessage = (value) => typeof value === 'string' ||
+    (Array.isArray(value) && value.every(item => typeof item === 'string'));
+  const reference = flattenCatalog(locales[DEFAULT_LOCALE].catalog);
+
+  Object.entries(locales).forEach(([locale, { catalog }]) => {
+    const entries = new Map(flattenCatalog(catalog));
+
+    entries.forEach((value, key) => {
+      if (!isMessage(value)) {
+        issues.push(`${locale}: "${key}" must be a string or a list of strings`);
+      }
+    });
+    reference.forEach(([key]) => {
+      if (!entries.has(key)) {
+        issues.push(`${locale}: "${key}" is missing`);
+      }
+    });
+  });
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+// Validate once at startup so a missing translation fails loudly
+const validation = validateCatalogs();
+if (!validation.valid) {
+  throw new Error(`Invalid message catalogs:\n- ${validation.issues.join('\n- ')}`);
+}
+
+/**
+ * Pick the best supported locale for the browser's languages: an exact match first,
+ * then the same language in another region (de-DE → de-AT)
+ * @param {Array<string>} languages - Preferred languages, most preferred first
+ * @returns {string} - Key of LOCALES
+ */
+export function detectLocale(languages = navigator.languages ?? [navigator.language]) {
+  const supported = Object.keys(LOCALES);
+
+  for (const language of languages.filter(Boolean)) {
+    const exact = supported.find(locale => locale.toLowerCase() === language.toLowerCase());
+    if (exact) return exact;
+
+    const base = language.split('-')[0].toLowerCase();
+    const sameLanguage = supported.find(locale => locale.split('-')[0].toLowerCase() === base);
+    if (sameLanguage) return sameLanguage;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+function readStoredLocale() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return LOCALES[stored] ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+// A choice made in the switcher wins over the browser language. The mock API
+// imports the checkout validators in Node, where there is no browser language.
+let currentLocale = readStoredLocale() ?? (typeof navigator === 'undefined' ? DEFAULT_LOCALE : detectLocale());
+
+/**
+ * Locale the interface is shown in
+ * @returns {string} - Key of LOCALES
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch the interface language and remember the choice
+ * @param {string} locale - Key of LOCALES
+ * @throws {Error} - When the locale is not supported
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale]) {
+    throw new Error(`Unsupported locale "${locale}"`);
+  }
+  if (locale === currentLocale) return;
+
+  currentLocale = locale;
+  document.documentElement.lang = locale;
+
+  try {
+    // A preference the visitor set themselves, so it needs no consent
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('Could not store language:', error);
+  }
+
+  window.dispatchEvent(new CustomEvent(LOCALE_EVENT, { detail: locale }));
+}
+
+/**
+ * Listen for language changes
+ * @param {(locale: string) => void} callback
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToLocale(callback) {
+  const handleChange = () => callback(currentLocale);
+  window.addEventListener(LOCALE_EVENT, handleChange);
+  return () => window.removeEventListener(LOCALE_EVENT, handleChange);
+}
+
+/**
+ * Index of the brace closing the one at `start`
+ */
+function findClosingBrace(message, start) {
+  let depth = 0;
+  for (let index = start; index < message.length; index++) {
+    if (message[index] === '{') depth += 1;
+    if (message[index] === '}') depth -= 1;
+    if (depth === 0) return index;
+  }
+  throw new Error(`Unbalanced braces in message "${message}"`);
+}
+
+/**
+ * Parse `selector {text} selector {text}` into a map
+ */
+function parseOptions(source, message) {
+  const options = {};
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    if (open === -1) {
+      if (source.slice(index).trim()) throw new Error(`Malformed options in message "${message}"`);
+      break;
+    }
+    const close = findClosingBrace(source, open);
+    options[source.slice(index, open).trim()] = source.slice(open + 1, close);
+    index = close + 1;
+  }
+
+  return options;
+}
+
+/**
+ * Format one {argument}
+ */
+function formatArgument(argument, values, locale, message) {
+  const [name, type, ...rest] = argument.split(',');
+  const key = name.trim();
+  const value = values[key];
+
+  switch (type?.trim()) {
+    case undefined:
+      return value === undefined ? `{${key}}` : String(value);
+
+    case 'number':
+      return formatNumber(value, locale);
+
+    case 'plural': {
+      const options = parseOptions(rest.join(','), message);
+      const category = new Intl.PluralRules(locale).select(value);
+      const chosen = options[`=${value}`] ?? options[category] ?? options.other;
+      return formatMessage(chosen.replace(/#/g, formatNumber(value, locale)), values, locale);
+    }
+
+    case 'select': {
+      const options = parseOptions(rest.join(','), message);
+      return formatMessage(options[value] ?? options.other ?? '', values, locale);
+    }
+
+    default:
+      throw new Error(`Unknown argument type "${type.trim()}" in message "${message}"`);
+  }
+}
+
+/**
+ * Fill an ICU-style message with values
+ * @param {string} message - Message with {arguments}
+ * @param {Object} values - Argument values by name
+ * @param {string} locale - Locale used for plural rules and numbers
+ * @returns {string}
+ */
+export function formatMessage(message, values = {}, locale = currentLocale) {
+  let output = '';
+  let index = 0;
+
+  while (index < message.length) {
+    const open = message.indexOf('{', index);
+    if (open === -1) {
+      output += message.slice(index);
+      break;
+    }
+
+    const close = findClosingBrace(message, open);
+    output += message.slice(index, open) + formatArgument(message.slice(open + 1, close), values, locale, message);
+    index = close + 1;
+  }
+
+  return output;
+}
+
+/**
+ * Format a number for a locale (e.g. 2,847 or 2.847)
+ * @param {number} value
+ * @param {string} locale
+ * @returns {string}
+ */
+export function formatNumber(value, locale = currentLocale) {
+  return new Intl.NumberFormat(locale).format(value);
+}
+
+/**
+ * Format a date for a locale (e.g. "Monday, March 2" or "Montag, 2. März")
+ * @param {Date|string} value - Date, ISO timestamp, or date key (YYYY-MM-DD, read as local time)
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @param {string} locale
+ * @returns {string}
+ */
+export function formatDate(value, options = { dateStyle: 'medium' }, locale = currentLocale) {
+  // Date keys are calendar days; reading them at local midday keeps them on that day
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T12:00:00`)
+    : new Date(value);
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Translate an interface message
+ * @param {string} key - Dotted path into the catalog (e.g. "quiz.next")
+ * @param {Object} values - Values for the message's arguments
+ * @returns {string} - Formatted message; the key itself when it doesn't exist
+ * @throws {Error} - In development when the key doesn't exist
+ */
+export function t(key, values = {}) {
+  const message = lookup(LOCALES[currentLocale].catalog, key);
+
+  if (typeof message !== 'string') {
+    if (import.meta.env.DEV) {
+      throw new Error(`Unknown message "${key}"`);
+    }
+    console.warn(`Unknown message "${key}"`);
+    return key;
+  }
+
+  return formatMessage(message, values);
+}
+
+/**
+ * Translate content whose English text lives with the code or data that uses it
+ * @param {string} key - Dotted path into the catalog
+ * @param {*} fallback - English original, used when the current catalog has no translation
+ * @param {Object} values - Values for the message's arguments
+ * @returns {*} - Translation (a string, or a list for list-valued keys) or the fallback
+ */
+export function localize(key, fallback, values = {}) {
+  const message = lookup(LOCALES[currentLocale].catalog, key);
+
+  if (message === undefined) return fallback;
+  return typeof message === 'string' ? formatMessage(message, values) : message;
+}
+
+/**
+ * Current locale and the translate function; re-renders when the language changes
+ * @returns {{ locale: string, t: Function, setLocale: Function }}
+ */
+export function useLocale() {
+  const locale = useSyncExternalStore(subscribeToLocale, getLocale);
+  return { locale, t, setLocale };
+}
+
+/**
+ * Set the document language at startup
+ */
+export function initializeI18n() {
+  document.documentElement.lang = currentLocale;
+}
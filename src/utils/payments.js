@@ -0,0 +1,155 @@
+/**
+ * Payment Utilities
+ * Checkout talks to payment providers only through an adapter, so providers can be
+ * swapped without touching the forms. A local fake provider ships by default, which
+ * lets the whole checkout run offline.
+ *
+ * A payment adapter is an object with:
+ *   id                         - Unique adapter ID
+ *   label                      - Name shown to the customer
+ *   validate(details)          - Returns { valid, issues } for the payment form ({ field, message } issues)
+ *   createPayment(request)     - Resolves to { status: 'succeeded' | 'failed', paymentId, message, last4 }
+ *                                request is { amount, currency, description, details, customer }
+ */
+
+import { t } from './i18n';
+import { formatPrice } from './pricing';
+
+const adapters = new Map();
+let defaultAdapterId = null;
+
+const REQUIRED_METHODS = ['validate', 'createPayment'];
+
+/**
+ * Register a payment adapter
+ * @param {Object} adapter - Payment adapter (see top of file)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.isDefault - Use this adapter when none is asked for
+ * @throws {Error} - When the adapter doesn't implement the interface
+ */
+export function registerPaymentAdapter(adapter, { isDefault = false } = {}) {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+  if (!adapter?.id || missing.length > 0) {
+    throw new Error(`Payment adapter "${adapter?.id}" must have an id and implement ${missing.join(', ') || 'id'}`);
+  }
+
+  adapters.set(adapter.id, adapter);
+  if (isDefault || defaultAdapterId === null) {
+    defaultAdapterId = adapter.id;
+  }
+}
+
+/**
+ * Get a registered payment adapter
+ * @param {string} id - Adapter ID (defaults to the default adapter)
+ * @returns {Object} - Payment adapter
+ * @throws {Error} - When no such adapter is registered
+ */
+export function getPaymentAdapter(id = defaultAdapterId) {
+  const adapter = adapters.get(id);
+  if (!adapter) {
+    throw new Error(`No payment adapter registered as "${id}"`);
+  }
+  return adapter;
+}
+
+/**
+ * Luhn checksum used by all card numbers
+ * @param {string} digits - Card number digits
+ * @returns {boolean}
+ */
+export function passesLuhnCheck(digits) {
+  let sum = 0;
+  digits.split('').reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * Validate card details
+ * @param {Object} details - { cardholder, cardNumber, expiry (MM/YY), cvc }
+ * @param {Date} now - Date to check the expiry against
+ * @returns {Object} - { valid, issues }
+ */
+export function validateCardDetails(details, now = new Date()) {
+  const issues = [];
+  const digits = String(details.cardNumber || '').replace(/[\s-]/g, '');
+
+  if (!String(details.cardholder || '').trim()) {
+    issues.push({ field: 'cardholder', message: t('payments.errors.cardholderMissing') });
+  }
+
+  if (!/^\d{12,19}$/.test(digits) || !passesLuhnCheck(digits)) {
+    issues.push({ field: 'cardNumber', message: t('payments.errors.cardNumberInvalid') });
+  }
+
+  const expiry = String(details.expiry || '').match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  if (!expiry || Number(expiry[1]) < 1 || Number(expiry[1]) > 12) {
+    issues.push({ field: 'expiry', message: t('payments.errors.expiryInvalid') });
+  } else {
+    // Cards are valid through the last day of their expiry month
+    const expiresAt = new Date(2000 + Number(expiry[2]), Number(expiry[1]), 1);
+    if (expiresAt <= now) {
+      issues.push({ field: 'expiry', message: t('payments.errors.cardExpired') });
+    }
+  }
+
+  if (!/^\d{3,4}$/.test(String(details.cvc || ''))) {
+    issues.push({ field: 'cvc', message: t('payments.errors.cvcInvalid') });
+  }
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+// Test card numbers understood by the fake provider, following the usual sandbox conventions
+export const FAKE_TEST_CARDS = {
+  '4242424242424242': { status: 'succeeded' },
+  '4000000000000002': { status: 'failed', reason: 'declined' },
+  '4000000000009995': { status: 'failed', reason: 'insufficientFunds' }
+};
+
+/**
+ * Create a fake payment provider that never leaves the browser.
+ * Unknown card numbers that pass validation succeed.
+ * @param {Object} options - Provider options
+ * @param {number} options.latencyMs - Simulated network delay
+ * @returns {Object} - Payment adapter
+ */
+export function createFakePaymentAdapter({ latencyMs = 600 } = {}) {
+  return {
+    id: 'fake',
+    // Read when shown, so it follows the current language
+    get label() {
+      return t('payments.fake.label');
+    },
+
+    validate: (details) => validateCardDetails(details),
+
+    createPayment: ({ amount, currency, details }) => new Promise(resolve => {
+      const digits = details.cardNumber.replace(/[\s-]/g, '');
+      const outcome = FAKE_TEST_CARDS[digits] || { status: 'succeeded' };
+
+      setTimeout(() => {
+        resolve({
+          status: outcome.status,
+          paymentId: `fake_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+          message: outcome.reason
+            ? t(`payments.fake.${outcome.reason}`)
+            : t('payments.fake.charged', { amount: formatPrice(amount, currency) }),
+          last4: digits.slice(-4)
+        });
+      }, latencyMs);
+    })
+  };
+}
+
+registerPaymentAdapter(createFakePaymentAdapter(), { isDefault: true });
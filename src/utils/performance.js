@@ -3,6 +3,9 @@
  * Provides helpers for lazy loading, image optimization, and performance monitoring
  */
 
+import { trackPerformance } from './analytics';
+import { parseRoute, ROUTES } from './router';
+
 /**
  * Lazy load images when they enter viewport
  * @param {HTMLElement} img - Image element to lazy load
@@ -63,12 +66,13 @@ function loadImage(img) {
  * Lazy load video when it enters viewport
  * @param {HTMLVideoElement} video - Video element to lazy load
  * @param {Object} options - Intersection observer options
+ * @returns {Function} - Stops observing, e.g. when the video unmounts first
  */
 export function lazyLoadVideo(video, options = {}) {
   if (!('IntersectionObserver' in window)) {
     // Fallback
     loadVideo(video);
-    return;
+    return () => {};
   }
 
   const defaultOptions = {
@@ -87,6 +91,7 @@ export function lazyLoadVideo(video, options = {}) {
   }, defaultOptions);
 
   observer.observe(video);
+  return () => observer.disconnect();
 }
 
 /**
@@ -230,53 +235,190 @@ export function getAdaptiveMedia(mediaOptions) {
   }
 }
 
+// Interactions slower than this are reported as event timing entries (16 is the minimum)
+const INP_DURATION_THRESHOLD = 40;
+
+// Only the slowest interactions are kept; INP ignores one outlier per 50 interactions
+const INP_CANDIDATE_LIMIT = 10;
+
+// CLS is the worst session window: shifts under 1s apart, at most 5s in total
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_LIMIT = 5000;
+
 /**
- * Monitor Core Web Vitals
+ * Short CSS-like description of a DOM node for attribution, e.g. "video.hero__video"
+ * @param {Node} node - Element or text node
+ * @returns {string|undefined}
  */
-export function monitorCoreWebVitals() {
-  // Largest Contentful Paint (LCP)
-  if ('PerformanceObserver' in window) {
-    try {
-      const lcpObserver = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        console.log('LCP:', lastEntry.startTime);
-      });
-      lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-    } catch (e) {
-      // PerformanceObserver not supported for this metric
+function describeNode(node) {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!element) return undefined;
+
+  if (element.id) {
+    return `${element.localName}#${element.id}`;
+  }
+
+  const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+  return `${element.localName}${classes}`;
+}
+
+/**
+ * Observe one entry type, ignoring browsers that don't support it
+ * @param {string} type - Performance entry type
+ * @param {Function} callback - Called with the list of new entries
+ * @param {Object} options - Extra observe options
+ */
+function observeEntries(type, callback, options = {}) {
+  try {
+    const observer = new PerformanceObserver(list => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+  } catch (e) {
+    // PerformanceObserver not supported for this metric
+  }
+}
+
+/**
+ * Monitor Core Web Vitals (LCP, INP, CLS and TTFB) with attribution, plus the load timings.
+ * Metrics are finalized the first time the page is hidden and handed to onReport once per
+ * page view; a page restored from the back/forward cache starts a new one.
+ * @param {Function} onReport - Called with the metrics object and the path the page view
+ *   landed on; LCP and TTFB were measured there, even if the app has navigated since
+ */
+export function monitorCoreWebVitals(onReport) {
+  if (!('PerformanceObserver' in window)) return;
+
+  let lcp = null;
+  let interactions = new Map();
+  let interactionCount = 0;
+  let clsSession = { value: 0, entries: [] };
+  let clsWorst = { value: 0, entries: [] };
+  let isRestored = false;
+  let hasReported = false;
+  let landingPath = window.location.pathname;
+
+  // Largest Contentful Paint (LCP); the browser stops emitting candidates after the first input
+  observeEntries('largest-contentful-paint', (entries) => {
+    lcp = entries[entries.length - 1];
+  });
+
+  // Interaction to Next Paint (INP); entries of one interaction share an interactionId
+  observeEntries('event', (entries) => {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      const known = interactions.get(entry.interactionId);
+      if (!known) {
+        interactionCount += 1;
+      }
+      if (!known || entry.duration > known.duration) {
+        interactions.set(entry.interactionId, entry);
+      }
+    });
+
+    if (interactions.size > INP_CANDIDATE_LIMIT) {
+      const slowest = [...interactions.entries()]
+        .sort(([, a], [, b]) => b.duration - a.duration)
+        .slice(0, INP_CANDIDATE_LIMIT);
+      interactions = new Map(slowest);
     }
+  }, { durationThreshold: INP_DURATION_THRESHOLD });
 
-    // First Input Delay (FID)
-    try {
-      const fidObserver = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        entries.forEach(entry => {
-          console.log('FID:', entry.processingStart - entry.startTime);
-        });
-      });
-      fidObserver.observe({ entryTypes: ['first-input'] });
-    } catch (e) {
-      // PerformanceObserver not supported for this metric
+  // Cumulative Layout Shift (CLS)
+  observeEntries('layout-shift', (entries) => {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const first = clsSession.entries[0];
+      const last = clsSession.entries[clsSession.entries.length - 1];
+      const continuesSession = last &&
+        entry.startTime - last.startTime < CLS_SESSION_GAP &&
+        entry.startTime - first.startTime < CLS_SESSION_LIMIT;
+
+      clsSession = continuesSession
+        ? { value: clsSession.value + entry.value, entries: [...clsSession.entries, entry] }
+        : { value: entry.value, entries: [entry] };
+
+      if (clsSession.value > clsWorst.value) {
+        clsWorst = clsSession;
+      }
+    });
+  });
+
+  const collectMetrics = () => {
+    const metrics = {};
+    const navigation = performance.getEntriesByType('navigation')[0];
+
+    // Load timings and TTFB describe the document load, not a back/forward cache restore
+    if (navigation && !isRestored) {
+      metrics.ttfb = Math.round(navigation.responseStart);
+      if (navigation.domContentLoadedEventEnd > 0) {
+        metrics.dom_content_loaded = Math.round(navigation.domContentLoadedEventEnd - navigation.fetchStart);
+      }
+      if (navigation.loadEventEnd > 0) {
+        metrics.page_load_time = Math.round(navigation.loadEventEnd - navigation.fetchStart);
+      }
+
+      const firstPaint = performance.getEntriesByType('paint').find(p => p.name === 'first-paint');
+      if (firstPaint) {
+        metrics.first_paint = Math.round(firstPaint.startTime);
+      }
     }
 
-    // Cumulative Layout Shift (CLS)
-    try {
-      let cumulativeLayoutShift = 0;
-      const clsObserver = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        entries.forEach(entry => {
-          if (!entry.hadRecentInput) {
-            cumulativeLayoutShift += entry.value;
-          }
-        });
-        console.log('CLS:', cumulativeLayoutShift);
-      });
-      clsObserver.observe({ entryTypes: ['layout-shift'] });
-    } catch (e) {
-      // PerformanceObserver not supported for this metric
+    if (lcp) {
+      metrics.lcp = Math.round(lcp.startTime);
+      metrics.lcp_element = describeNode(lcp.element);
     }
-  }
+
+    if (interactions.size > 0) {
+      const slowest = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+      const inp = slowest[Math.min(slowest.length - 1, Math.floor(interactionCount / 50))];
+      metrics.inp = Math.round(inp.duration);
+      metrics.inp_target = describeNode(inp.target);
+      metrics.inp_type = inp.name;
+    }
+
+    // Attributed to the element that moved the most in the largest shift of the worst window
+    if (PerformanceObserver.supportedEntryTypes?.includes('layout-shift')) {
+      metrics.cls = Number(clsWorst.value.toFixed(4));
+      const largestShift = clsWorst.entries.reduce((largest, entry) => (
+        !largest || entry.value > largest.value ? entry : largest
+      ), null);
+      const largestSource = largestShift?.sources?.reduce((largest, source) => {
+        const area = source.currentRect.width * source.currentRect.height;
+        return !largest || area > largest.area ? { node: source.node, area } : largest;
+      }, null);
+      metrics.cls_source = describeNode(largestSource?.node);
+    }
+
+    return metrics;
+  };
+
+  const finalize = () => {
+    if (hasReported) return;
+    hasReported = true;
+    onReport(collectMetrics(), landingPath);
+  };
+
+  // Capture phase, so the event is queued before the analytics transport flushes on page hide
+  window.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      finalize();
+    }
+  }, { capture: true });
+  window.addEventListener('pagehide', finalize, { capture: true });
+
+  window.addEventListener('pageshow', (event) => {
+    if (!event.persisted) return;
+
+    lcp = null;
+    interactions = new Map();
+    interactionCount = 0;
+    clsSession = { value: 0, entries: [] };
+    clsWorst = { value: 0, entries: [] };
+    isRestored = true;
+    hasReported = false;
+    landingPath = window.location.pathname;
+  });
 }
 
 /**
@@ -304,8 +446,15 @@ export function addResourceHints(domains) {
  * Initialize performance monitoring
  */
 export function initializePerformance() {
-  // Monitor Core Web Vitals
-  monitorCoreWebVitals();
+  // Report Core Web Vitals once per page view, tagged with the page it landed on
+  monitorCoreWebVitals((metrics, landingPath) => {
+    const route = parseRoute(landingPath);
+    trackPerformance({
+      ...metrics,
+      route: route.name,
+      quiz_step: route.name === ROUTES.QUIZ ? route.params.step : null
+    });
+  });
 
   // Add resource hints for common domains
   addResourceHints([
@@ -323,18 +472,6 @@ export function initializePerformance() {
 
   // Log performance initialization
   console.log('⚡ Performance monitoring initialized');
-
-  // Report initial page load time
-  window.addEventListener('load', () => {
-    setTimeout(() => {
-      const perfData = performance.getEntriesByType('navigation')[0];
-      if (perfData) {
-        console.log('Page Load Time:', perfData.loadEventEnd - perfData.fetchStart, 'ms');
-        console.log('DOM Content Loaded:', perfData.domContentLoadedEventEnd - perfData.fetchStart, 'ms');
-        console.log('First Paint:', performance.getEntriesByType('paint').find(p => p.name === 'first-paint')?.startTime, 'ms');
-      }
-    }, 0);
-  });
 }
 
 /**
@@ -0,0 +1,418 @@
+/**
+ * Pricing Utilities
+ * Plan options (frequency, bag size, grind, one-off vs subscription) and the price
+ * calculation behind the Hero's "Starting at" line, the plan picker, checkout and
+ * subscription changes.
+ * The price list in data/prices.json holds net prices per currency; the shipping country
+ * decides the currency and the VAT added on top, and a promo code can reduce the first
+ * delivery. Option labels are English; other catalogs translate them under `pricing.*`
+ * (see getPlanOptions).
+ */
+
+import rawPriceList from '../data/prices.json';
+import { CATALOG_CURRENCY, getBlendCostPerKg, getOrigin } from './catalog';
+import { SHIPPING_COUNTRIES } from './checkout';
+import { getLocale, localize, t } from './i18n';
+
+export const PURCHASE_TYPES = {
+  subscription: { label: 'Subscribe & save', description: 'Delivered on your schedule. Skip, pause or cancel anytime.' },
+  'one-off': { label: 'One-off bag', description: 'A single delivery, no commitment.' }
+};
+
+export const FREQUENCIES = {
+  weekly: { label: 'Every week', deliveriesPerYear: 52 },
+  biweekly: { label: 'Every 2 weeks', deliveriesPerYear: 26 },
+  monthly: { label: 'Every month', deliveriesPerYear: 12 }
+};
+
+export const BAG_SIZES = {
+  '250g': { label: '250g', grams: 250 },
+  '500g': { label: '500g', grams: 500 },
+  '1kg': { label: '1kg', grams: 1000 }
+};
+
+export const PROMO_TYPES = ['percent', 'fixed', 'first-box-free'];
+
+export const WHOLE_BEAN = 'whole-bean';
+
+export const DEFAULT_PLAN = {
+  purchaseType: 'subscription',
+  frequency: 'monthly',
+  size: '250g',
+  grind: WHOLE_BEAN
+};
+
+// Base prices assume green coffee up to this cost; pricier origins add a surcharge
+const STANDARD_GREEN_COST_PER_KG = 16;
+const GREEN_COST_MARKUP = 1.5;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const isAmount = (value) => typeof value === 'number' && value >= 0;
+const isRate = (value) => typeof value === 'number' && value >= 0 && value < 1;
+
+/**
+ * Validate a raw price list and return a frozen copy with promo codes in upper case
+ * @param {Object} priceList - Raw price list (usually parsed JSON)
+ * @returns {Object} - { version, homeCountry, currencies, countries, promoCodes }
+ * @throws {Error} - When the price list does not conform
+ */
+export function loadPriceList(priceList) {
+  const issues = [];
+  const currencies = priceList?.currencies ?? {};
+  const countries = priceList?.countries ?? {};
+  const promoCodes = priceList?.promoCodes ?? {};
+
+  Object.entries(currencies).forEach(([code, currency]) => {
+    Object.keys(BAG_SIZES).forEach(size => {
+      if (!(currency.bagPrices?.[size] > 0)) {
+        issues.push(`currencies.${code}.bagPrices.${size} must be a positive number`);
+      }
+    });
+    Object.keys(FREQUENCIES).forEach(frequency => {
+      if (!isRate(currency.subscriptionDiscounts?.[frequency])) {
+        issues.push(`currencies.${code}.subscriptionDiscounts.${frequency} must be a rate from 0 to below 1`);
+      }
+    });
+    if (!isAmount(currency.oneOffShipping)) {
+      issues.push(`currencies.${code}.oneOffShipping must be zero or more`);
+    }
+    if (!(currency.catalogRate > 0)) {
+      issues.push(`currencies.${code}.catalogRate must be a positive number`);
+    }
+  });
+  // catalogRate converts green coffee costs, which the catalog lists in its own currency
+  if (currencies[CATALOG_CURRENCY]?.catalogRate !== 1) {
+    issues.push(`currencies.${CATALOG_CURRENCY}.catalogRate must be 1, as it is the catalog currency`);
+  }
+
+  // Every country we ship to needs a price
+  Object.keys(SHIPPING_COUNTRIES).forEach(code => {
+    const country = countries[code];
+    if (!country) {
+      issues.push(`countries.${code} is missing`);
+      return;
+    }
+    if (!currencies[country.currency]) {
+      issues.push(`countries.${code}.currency "${country.currency}" has no prices`);
+    }
+    if (!isRate(country.vatRate)) {
+      issues.push(`countries.${code}.vatRate must be a rate from 0 to below 1`);
+    }
+  });
+  if (!countries[priceList?.homeCountry]) {
+    issues.push(`homeCountry "${priceList?.homeCountry}" is not a listed country`);
+  }
+
+  Object.entries(promoCodes).forEach(([code, promo]) => {
+    const where = `promoCodes.${code}`;
+
+    if (!PROMO_TYPES.includes(promo.type)) {
+      issues.push(`${where}.type must be one of ${PROMO_TYPES.join(', ')}`);
+    }
+    if (promo.type === 'percent' && !(promo.percent > 0 && promo.percent <= 100)) {
+      issues.push(`${where}.percent must be between 0 and 100`);
+    }
+    if (promo.type === 'fixed') {
+      Object.keys(currencies).forEach(currency => {
+        if (!(promo.amounts?.[currency] > 0)) {
+          issues.push(`${where}.amounts.${currency} must be a positive number`);
+        }
+      });
+    }
+    if (promo.validUntil != null && Number.isNaN(Date.parse(promo.validUntil))) {
+      issues.push(`${where}.validUntil must be a date (YYYY-MM-DD) or null`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid price list v${priceList?.version}:\n- ${issues.join('\n- ')}`);
+  }
+
+  return Object.freeze({
+    version: priceList.version,
+    homeCountry: priceList.homeCountry,
+    currencies: Object.freeze({ ...currencies }),
+    countries: Object.freeze({ ...countries }),
+    promoCodes: Object.freeze(Object.fromEntries(
+      Object.entries(promoCodes).map(([code, promo]) => [code.toUpperCase(), Object.freeze({ ...promo })])
+    ))
+  });
+}
+
+const priceList = loadPriceList(rawPriceList);
+
+// Shipping country picked at checkout during this visit
+let chosenCountry = null;
+
+/**
+ * Country prices are shown for: the shipping country once one is picked, otherwise our
+ * home market. The browser language says nothing about where the coffee ships to.
+ * @returns {string} - Country code from SHIPPING_COUNTRIES
+ */
+export function getDefaultCountry() {
+  return chosenCountry ?? priceList.homeCountry;
+}
+
+/**
+ * Price the rest of the visit for a shipping country
+ * @param {string} country - Country code from SHIPPING_COUNTRIES
+ * @throws {Error} - When there are no prices for the country
+ */
+export function chooseShippingCountry(country) {
+  getCountryPricing(country);
+  chosenCountry = country;
+}
+
+/**
+ * Currency and VAT rate for a shipping country
+ * @param {string} country - Country code
+ * @returns {Object} - { currency, vatRate }
+ */
+export function getCountryPricing(country) {
+  const pricing = priceList.countries[country];
+  if (!pricing) {
+    throw new Error(`No prices for country "${country}"`);
+  }
+  return pricing;
+}
+
+/**
+ * Check a promo code against a plan
+ * @param {string} code - Code as typed (case and surrounding spaces don't matter)
+ * @param {Object} plan - { purchaseType, ... }
+ * @param {Date} date - Day of the order
+ * @returns {Object} - { valid, issues }
+ */
+export function validatePromoCode(code, plan, date = new Date()) {
+  const issues = [];
+  const promo = priceList.promoCodes[String(code).trim().toUpperCase()];
+
+  if (!promo) {
+    issues.push(t('pricing.promoUnknown'));
+  } else {
+    // Valid through the end of its last day
+    if (promo.validUntil && date > new Date(`${promo.validUntil}T23:59:59`)) {
+      issues.push(t('pricing.promoExpired'));
+    }
+    if (promo.subscriptionOnly && plan.purchaseType !== 'subscription') {
+      issues.push(t('pricing.promoSubscriptionOnly'));
+    }
+  }
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Purchase type, frequency or bag size choices with labels in the current language
+ * @param {'purchaseType'|'frequency'|'size'} field - Plan field
+ * @returns {Array} - List of { value, label, description? }
+ */
+export function getPlanOptions(field) {
+  switch (field) {
+    case 'purchaseType':
+      return Object.entries(PURCHASE_TYPES).map(([value, entry]) => ({
+        value,
+        label: localize(`pricing.purchaseTypes.${value}.label`, entry.label),
+        description: localize(`pricing.purchaseTypes.${value}.description`, entry.description)
+      }));
+    case 'frequency':
+      return Object.entries(FREQUENCIES).map(([value, entry]) => ({
+        value,
+        label: localize(`pricing.frequencies.${value}`, entry.label)
+      }));
+    case 'size':
+      return Object.entries(BAG_SIZES).map(([value, entry]) => ({ value, label: entry.label }));
+    default:
+      throw new Error(`Unknown plan field "${field}"`);
+  }
+}
+
+/**
+ * Short description of a plan, e.g. "250g, every month" or "500g, one-off"
+ * @param {Object} plan - { purchaseType, frequency, size }
+ * @returns {string}
+ */
+export function describePlan(plan) {
+  return t('pricing.planSummary', {
+    size: BAG_SIZES[plan.size].label,
+    purchaseType: plan.purchaseType,
+    frequency: plan.frequency
+  });
+}
+
+/**
+ * Grind choices for a blend: whole bean, or ground for the engine's suggestion
+ * @param {Object} blend - Blend from the engine
+ * @returns {Array} - List of { value, label }
+ */
+export function getGrindOptions(blend) {
+  const options = [{ value: WHOLE_BEAN, label: t('pricing.wholeBean') }];
+  if (blend?.grindSuggestion) {
+    options.push({ value: blend.grindSuggestion, label: t('pricing.ground', { grind: blend.grindSuggestion }) });
+  }
+  return options;
+}
+
+/**
+ * Surcharge per kilogram for blends built from premium origins
+ * @param {Object} blend - Blend from the engine, or a summarizeBlend() copy
+ * @returns {number} - Extra net price per kg in the catalog currency, 0 for standard blends
+ */
+export function getBlendSurchargePerKg(blend) {
+  const selected = blend?.components ?? blend?.trace?.origins?.selected;
+  if (!selected) return 0;
+
+  const components = selected
+    .map(({ id, percent }) => ({ origin: getOrigin(id), percent }))
+    .filter(component => component.origin);
+  const extraCost = getBlendCostPerKg(components) - STANDARD_GREEN_COST_PER_KG;
+
+  return extraCost > 0 ? round(extraCost * GREEN_COST_MARKUP) : 0;
+}
+
+/**
+ * Check a plan against the available options
+ * @param {Object} plan - { purchaseType, frequency, size, grind }
+ * @param {Object} blend - Blend the plan is for (limits the grind choices)
+ * @returns {Object} - { valid, issues }
+ */
+export function validatePlan(plan, blend) {
+  const issues = [];
+
+  if (!PURCHASE_TYPES[plan.purchaseType]) {
+    issues.push(`Unknown purchase type "${plan.purchaseType}"`);
+  }
+  if (plan.purchaseType === 'subscription' && !FREQUENCIES[plan.frequency]) {
+    issues.push(`Unknown delivery frequency "${plan.frequency}"`);
+  }
+  if (!BAG_SIZES[plan.size]) {
+    issues.push(`Unknown bag size "${plan.size}"`);
+  }
+  if (!getGrindOptions(blend).some(option => option.value === plan.grind)) {
+    issues.push(`Grind "${plan.grind}" is not available for this blend`);
+  }
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Price a plan. Amounts include the VAT of the shipping country; a promo code only
+ * reduces the first delivery (dueToday)
+ * @param {Object} plan - { purchaseType, frequency, size, grind }
+ * @param {Object} blend - Blend the plan is for (premium origins add a surcharge)
+ * @param {Object} options - Pricing options
+ * @param {string} options.country - Shipping country, defaults to getDefaultCountry()
+ * @param {string} options.promoCode - Promo code, already checked with validatePromoCode
+ * @returns {Object} - { currency, country, vatRate, bagPrice, discount, shipping, vat, perDelivery,
+ *   perMonth, promoCode, promoDiscount, dueToday, vatDueToday }; vat is the share of perDelivery
+ *   and vatDueToday the share of dueToday, after the promo; perMonth is null for one-off purchases
+ */
+export function calculatePlanPrice(plan, blend = null, { country = getDefaultCountry(), promoCode = null } = {}) {
+  const size = BAG_SIZES[plan.size];
+  if (!size) {
+    throw new Error(`Unknown bag size "${plan.size}"`);
+  }
+
+  const { currency, vatRate } = getCountryPricing(country);
+  const prices = priceList.currencies[currency];
+  const withVat = (net) => round(net * (1 + vatRate));
+
+  const isSubscription = plan.purchaseType === 'subscription';
+  let discountRate = 0;
+  if (isSubscription) {
+    discountRate = prices.subscriptionDiscounts[plan.frequency];
+    if (discountRate === undefined) {
+      throw new Error(`Unknown delivery frequency "${plan.frequency}"`);
+    }
+  }
+
+  const surcharge = getBlendSurchargePerKg(blend) * prices.catalogRate * size.grams / 1000;
+  const bagPrice = withVat(prices.bagPrices[plan.size] + surcharge);
+  const discount = round(bagPrice * discountRate);
+  const shipping = isSubscription ? 0 : withVat(prices.oneOffShipping);
+  const perDelivery = round(bagPrice - discount + shipping);
+  const vatShare = (gross) => round(gross - gross / (1 + vatRate));
+  const vat = vatShare(perDelivery);
+  const perMonth = isSubscription
+    ? round(perDelivery * FREQUENCIES[plan.frequency].deliveriesPerYear / 12)
+    : null;
+
+  let promoDiscount = 0;
+  if (promoCode) {
+    const { valid, issues } = validatePromoCode(promoCode, plan);
+    if (!valid) {
+      throw new Error(`Promo code "${promoCode}": ${issues.join(', ')}`);
+    }
+
+    // Promos come off the coffee, not the shipping
+    const goods = round(bagPrice - discount);
+    const promo = priceList.promoCodes[promoCode.trim().toUpperCase()];
+    switch (promo.type) {
+      case 'percent':
+        promoDiscount = round(goods * promo.percent / 100);
+        break;
+      case 'fixed':
+        promoDiscount = Math.min(promo.amounts[currency], goods);
+        break;
+      default:
+        promoDiscount = goods;
+    }
+  }
+
+  const dueToday = round(perDelivery - promoDiscount);
+
+  return {
+    currency,
+    country,
+    vatRate,
+    bagPrice,
+    discount,
+    shipping,
+    vat,
+    perDelivery,
+    perMonth,
+    promoCode: promoCode ? promoCode.trim().toUpperCase() : null,
+    promoDiscount,
+    dueToday,
+    vatDueToday: vatShare(dueToday)
+  };
+}
+
+/**
+ * Cheapest monthly price of any subscription, for "Starting at" copy
+ * @param {string} country - Country to price for
+ * @returns {number}
+ */
+export function getStartingMonthlyPrice(country = getDefaultCountry()) {
+  return Math.min(...Object.keys(BAG_SIZES).flatMap(size =>
+    Object.keys(FREQUENCIES).map(frequency =>
+      calculatePlanPrice({ ...DEFAULT_PLAN, size, frequency }, null, { country }).perMonth
+    )
+  ));
+}
+
+/**
+ * Format an amount for the current language
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO currency code, defaults to the currency of getDefaultCountry()
+ * @returns {string} - e.g. "€18.70", "€ 18,70" or "$21.60"
+ */
+export function formatPrice(amount, currency = getCountryPricing(getDefaultCountry()).currency) {
+  return new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Format a VAT rate for the current language
+ * @param {number} rate - Rate from 0 to 1
+ * @returns {string} - e.g. "10%" or "5.5%"
+ */
+export function formatVatRate(rate) {
+  return new Intl.NumberFormat(getLocale(), { style: 'percent', maximumFractionDigits: 1 }).format(rate);
+}
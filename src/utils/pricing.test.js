@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DEFAULT_PLAN,
+  calculatePlanPrice,
+  chooseShippingCountry,
+  getDefaultCountry,
+  validatePromoCode
+} from './pricing';
+
+const ONE_OFF = { ...DEFAULT_PLAN, purchaseType: 'one-off' };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getDefaultCountry', () => {
+  it('prices for the home market whatever the browser language', () => {
+    vi.stubGlobal('navigator', { languages: ['en-US'], language: 'en-US' });
+
+    expect(getDefaultCountry()).toBe('AT');
+    expect(calculatePlanPrice(DEFAULT_PLAN).currency).toBe('EUR');
+  });
+
+  it('switches to the shipping country once one is picked', () => {
+    chooseShippingCountry('DE');
+    expect(getDefaultCountry()).toBe('DE');
+
+    chooseShippingCountry('AT');
+    expect(getDefaultCountry()).toBe('AT');
+  });
+
+  it('rejects countries without prices', () => {
+    expect(() => chooseShippingCountry('XX')).toThrow('No prices for country "XX"');
+  });
+});
+
+describe('calculatePlanPrice', () => {
+  it('includes the VAT of the shipping country', () => {
+    const price = calculatePlanPrice(ONE_OFF, null, { country: 'AT' });
+
+    expect(price.vatRate).toBe(0.1);
+    expect(price.bagPrice).toBe(22);
+    expect(price.shipping).toBe(4.9);
+    expect(price.perDelivery).toBe(26.9);
+    expect(price.vat).toBe(2.45);
+    expect(price.dueToday).toBe(price.perDelivery);
+    expect(price.vatDueToday).toBe(price.vat);
+  });
+
+  it('takes VAT due today from the discounted total', () => {
+    const price = calculatePlanPrice(DEFAULT_PLAN, null, { country: 'AT', promoCode: 'welcome10' });
+
+    expect(price.promoCode).toBe('WELCOME10');
+    expect(price.promoDiscount).toBe(1.98);
+    expect(price.dueToday).toBe(17.82);
+    expect(price.vatDueToday).toBe(1.62);
+    expect(price.vatDueToday).toBeLessThan(price.vat);
+  });
+
+  it('charges no VAT on a free first box', () => {
+    const price = calculatePlanPrice(DEFAULT_PLAN, null, { country: 'DE', promoCode: 'FIRSTBOX' });
+
+    expect(price.dueToday).toBe(0);
+    expect(price.vatDueToday).toBe(0);
+    expect(price.perDelivery).toBeGreaterThan(0);
+  });
+
+  it('uses the currency of the shipping country', () => {
+    const price = calculatePlanPrice(DEFAULT_PLAN, null, { country: 'US' });
+
+    expect(price.currency).toBe('USD');
+    expect(price.vat).toBe(0);
+  });
+
+  it('refuses promo codes that do not apply', () => {
+    expect(() => calculatePlanPrice(ONE_OFF, null, { country: 'AT', promoCode: 'FIRSTBOX' })).toThrow('Promo code "FIRSTBOX"');
+  });
+});
+
+describe('validatePromoCode', () => {
+  it('accepts codes in any case with surrounding spaces', () => {
+    expect(validatePromoCode('  blendo5 ', DEFAULT_PLAN).valid).toBe(true);
+  });
+
+  it('rejects unknown and expired codes', () => {
+    expect(validatePromoCode('NOPE', DEFAULT_PLAN).valid).toBe(false);
+    expect(validatePromoCode('FIRSTBOX', DEFAULT_PLAN, new Date('2027-04-01T12:00:00')).valid).toBe(false);
+    expect(validatePromoCode('FIRSTBOX', DEFAULT_PLAN, new Date('2027-03-31T12:00:00')).valid).toBe(true);
+  });
+});
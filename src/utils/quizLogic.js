@@ -1,8 +1,22 @@
 /**
  * Quiz Logic Utilities
- * Contains the mapping functions that convert quiz answers into coffee blend characteristics
+ * Contains the mapping functions that convert quiz answers into coffee blend characteristics.
+ * Notes, levels and descriptions come out in the current language (see i18n.js); the English
+ * copy below is the source the other catalogs translate under `blend.*`.
  */
 
+import {
+  QUIZ_SCHEMA_VERSION,
+  SKIPPED_ANSWER,
+  getAnswerLabel,
+  getQuestionByKey,
+  getReachablePath,
+  localizeQuestion,
+  mapAnswersByKey
+} from './quizSchema';
+import catalog, { getAvailableOrigins, isInStock } from './catalog';
+import { localize } from './i18n';
+
 // Blend name suggestions based on characteristics
 const BLEND_NAMES = [
   'Nocturne 03', 'Aurora Blend', 'Meridian', 'Solstice', 'Compass Rose',
@@ -11,20 +25,6 @@ const BLEND_NAMES = [
   'Starlight', 'Thunder Ridge', 'Crimson Dawn', 'Mystic Valley', 'Iron Mountain'
 ];
 
-// Coffee origins with their characteristics
-const ORIGINS = [
-  { name: 'Ethiopian Yirgacheffe', profile: ['floral', 'citrus'], body: 'light' },
-  { name: 'Colombian Huila', profile: ['chocolate', 'caramel'], body: 'medium' },
-  { name: 'Guatemalan Antigua', profile: ['spicy', 'chocolate'], body: 'full' },
-  { name: 'Brazilian Santos', profile: ['nutty', 'chocolate'], body: 'medium' },
-  { name: 'Costa Rican Tarrazú', profile: ['citrus', 'berry'], body: 'medium' },
-  { name: 'Jamaican Blue Mountain', profile: ['floral', 'nutty'], body: 'light' },
-  { name: 'Hawaiian Kona', profile: ['nutty', 'caramel'], body: 'medium' },
-  { name: 'Kenyan AA', profile: ['berry', 'citrus'], body: 'full' },
-  { name: 'Peruvian Organic', profile: ['chocolate', 'nutty'], body: 'medium' },
-  { name: 'Panamanian Geisha', profile: ['floral', 'berry'], body: 'light' }
-];
-
 // Flavor profiles mapping
 const FLAVOR_PROFILES = {
   chocolate: {
@@ -64,104 +64,777 @@ const FLAVOR_PROFILES = {
   }
 };
 
+// Flavor tags each coffee-soul profile leans towards
+const PROFILE_FLAVORS = {
+  'bright-fruity': ['citrus', 'berry', 'floral'],
+  'rich-chocolatey': ['chocolate', 'spicy', 'caramel'],
+  'smooth-nutty': ['nutty', 'caramel', 'chocolate']
+};
+
+// Body scale shared by origins and the answers that imply a body preference
+const BODY_SCALE = { light: 1, medium: 2, full: 3 };
+const ROAST_BODY = { light: 1, medium: 2, dark: 3 };
+const BREW_BODY = {
+  'espresso': 3,
+  'french-press': 3,
+  'drip': 2,
+  'pod': 2,
+  'pour-over': 1,
+  'not-sure': 2
+};
+// Decaf processing mutes body, so lower caffeine leans towards fuller origins
+const CAFFEINE_BODY = { 'full': 2, 'half-caf': 2.5, 'low-decaf': 3 };
+// Milk needs a fuller body to cut through (only asked for espresso drinkers)
+const MILK_BODY = { 'straight': 2, 'splash': 2.5, 'milky': 3 };
+
+// Roast implied by the coffee-soul answer, used when the roast question is skipped or not asked
+const PROFILE_ROAST = {
+  'bright-fruity': 'light',
+  'rich-chocolatey': 'dark',
+  'smooth-nutty': 'medium'
+};
+
+// Relative weight of each answer when scoring origins
+const SCORING_WEIGHTS = {
+  profile: 3,
+  roast: 2,
+  flavors: 4,
+  bitterness: 1.5,
+  brewMethod: 1.5,
+  caffeine: 1,
+  milk: 1
+};
+
+const ROAST_ORDER = ['light', 'medium', 'dark'];
+
+// Origin pairings (indexes into the origin ranking) tried when looking for alternative blends
+const ORIGIN_PAIRS = [[0, 1], [0, 2], [1, 2], [0, 3], [1, 3]];
+
+// Finish notes from least to most bitter
+const FINISH_NOTES = ['Smooth finish', 'Clean finish', 'Bold finish', 'Lingering finish'];
+
+// Bump when the shape of the blend trace changes so support tooling can tell versions apart
+const TRACE_VERSION = 2;
+
+// Preferences delivery feedback can override, in the order changes are reported
+const ADJUSTABLE_PREFERENCES = ['roast', 'bitterness', 'bodyShift', 'flavors'];
+
+// Origin pairing of the best match; alternatives record the pairing they use instead
+const BEST_ORIGIN_PAIR = [0, 1];
+
+// Furthest feedback may move the body target, in body-scale steps
+const MAX_BODY_SHIFT = 1;
+
+const DEFAULT_ANSWERS = {
+  profile: 'smooth-nutty',
+  flavors: ['chocolate'],
+  bitterness: 3,
+  brewMethod: 'drip',
+  caffeine: 'full'
+};
+
+/**
+ * Main function to generate blend result from quiz answers.
+ * The result is fully deterministic: the same answers on the same date (and catalog stock)
+ * always produce the same blend.
+ * @param {Object} answers - Object containing answers keyed by question ID
+ * @param {Object} options - Generation options
+ * @param {Date} options.date - Date used to check origin seasons (defaults to now)
+ * @returns {Object} - Complete blend result object, including a `trace` explaining each choice
+ */
+export function generateBlendResult(answers, { date = new Date() } = {}) {
+  return blendFromPreferences(answers, normalizeAnswers(answers), { date });
+}
+
+/**
+ * Regenerate a blend with the overrides it was built with: the variant of an alternative
+ * and the preference changes delivery feedback produced.
+ * Without adjustments this is the same blend generateBlendResult returns.
+ * @param {Object} answers - Object containing answers keyed by question ID
+ * @param {Object} adjustments - A blend's `adjustments`, or overrides from applyFeedback
+ *   ({ variant: { roast, originPair }, roast, bitterness, bodyShift, flavors })
+ * @param {Object} options - Generation options
+ * @param {Date} options.date - Date used to check origin seasons (defaults to now)
+ * @param {string} options.name - Keep this name so the customer recognizes their blend
+ * @returns {Object} - Blend result; its trace records the adjustments
+ */
+export function generateAdjustedBlend(answers, adjustments = {}, { date = new Date(), name } = {}) {
+  const preferences = applyAdjustments(normalizeAnswers(answers), adjustments);
+  return blendFromPreferences(answers, preferences, { date, name, adjustments });
+}
+
+/**
+ * Turn post-delivery feedback into new preference overrides. Overrides build on the
+ * previous ones, so every round of feedback moves the blend further from where it was;
+ * an alternative's variant is kept, so feedback starts from the blend actually delivered.
+ * @param {Object} answers - Quiz answers the blend was generated from
+ * @param {Object} adjustments - Overrides currently in effect (the delivered blend's `adjustments`)
+ * @param {Object} feedback - { rating, bitterness, body, likedNotes, dislikedNotes } (see blendFeedback.js)
+ * @returns {Object} - { adjustments, changes: [{ key, from, to }] }
+ */
+export function applyFeedback(answers, adjustments = {}, feedback) {
+  const current = applyAdjustments(normalizeAnswers(answers), adjustments);
+  // A poor rating asks for a bigger correction
+  const strength = feedback.rating <= 2 ? 2 : 1;
+  const roastIndex = ROAST_ORDER.indexOf(current.roast);
+  const next = { ...adjustments };
+
+  // Bitterness comes from the roast and the finish; sourness from under-development
+  if (feedback.bitterness === 'too-bitter') {
+    next.roast = ROAST_ORDER[Math.max(0, roastIndex - 1)];
+    next.bitterness = Math.max(1, current.bitterness - strength);
+  } else if (feedback.bitterness === 'too-sour') {
+    next.roast = ROAST_ORDER[Math.min(ROAST_ORDER.length - 1, roastIndex + 1)];
+    next.bitterness = Math.min(5, current.bitterness + strength);
+  }
+
+  if (feedback.body === 'too-light') {
+    next.bodyShift = Math.min(MAX_BODY_SHIFT, current.bodyShift + 0.5 * strength);
+  } else if (feedback.body === 'too-heavy') {
+    next.bodyShift = Math.max(-MAX_BODY_SHIFT, current.bodyShift - 0.5 * strength);
+  }
+
+  const liked = (feedback.likedNotes ?? []).filter(flavor => FLAVOR_PROFILES[flavor]);
+  const disliked = feedback.dislikedNotes ?? [];
+  if (liked.length > 0 || disliked.length > 0) {
+    const flavors = [...new Set([...liked, ...current.flavors])]
+      .filter(flavor => !disliked.includes(flavor))
+      .slice(0, 3);
+    // Every flavor was disliked: fall back to the closest one the customer didn't reject
+    const fallback = [...PROFILE_FLAVORS[current.profile], ...Object.keys(FLAVOR_PROFILES)]
+      .find(flavor => !disliked.includes(flavor));
+    next.flavors = flavors.length > 0 ? flavors : [fallback];
+  }
+
+  const changes = ADJUSTABLE_PREFERENCES
+    .filter(key => next[key] !== undefined && JSON.stringify(next[key]) !== JSON.stringify(current[key]))
+    .map(key => ({ key, from: current[key], to: next[key] }));
+
+  return { adjustments: next, changes };
+}
+
+/**
+ * Lay a variant's roast and then feedback overrides over normalized preferences,
+ * marking where each came from
+ */
+function applyAdjustments(preferences, adjustments = {}) {
+  const adjusted = { ...preferences, sources: { ...preferences.sources }, bodyShift: adjustments.bodyShift ?? 0 };
+
+  if (adjustments.variant?.roast) {
+    adjusted.roast = adjustments.variant.roast;
+    adjusted.sources.roast = 'variant';
+  }
+
+  ['roast', 'bitterness', 'flavors'].forEach(key => {
+    if (adjustments[key] !== undefined) {
+      adjusted[key] = adjustments[key];
+      adjusted.sources[key] = 'feedback';
+    }
+  });
+
+  return adjusted;
+}
+
 /**
- * Main function to generate blend result from quiz answers
+ * Build the best blend for a set of preferences
+ */
+function blendFromPreferences(answers, preferences, { date, name = generateBlendName(preferences), adjustments = null }) {
+  const availableOrigins = getAvailableOrigins({ date });
+  const ranking = scoreOrigins(preferences, availableOrigins);
+  // An alternative keeps its pairing while both origins are still available
+  const variantPair = adjustments?.variant?.originPair;
+  const pair = variantPair?.every(index => ranking[index]) ? variantPair : BEST_ORIGIN_PAIR;
+  const originBlend = selectOriginBlend(ranking, pair);
+
+  return composeBlend({
+    answers,
+    date,
+    preferences,
+    availableOrigins,
+    originBlend,
+    name,
+    adjustments,
+    matchScore: calculateMatchScore(originBlend, preferences.roast, preferences, availableOrigins)
+  });
+}
+
+/**
+ * Generate the best matching blends, ranked by match score.
+ * The first entry is always the blend generateBlendResult returns; the others vary the
+ * origin pairing or move the roast one step lighter or darker.
  * @param {Object} answers - Object containing answers keyed by question ID
- * @returns {Object} - Complete blend result object
- */
-export function generateBlendResult(answers) {
-  const drinkStyle = answers[1] || 'black';
-  const roastPreference = answers[2] || 'medium';
-  const flavors = Array.isArray(answers[3]) ? answers[3] : [answers[3] || 'chocolate'];
-  const bitterness = answers[4] || 3;
-  const brewMethod = answers[5] || 'drip';
-  const caffeine = answers[6] || 'full';
-
-  // Generate blend characteristics
-  const name = generateBlendName(answers);
-  const notes = generateTastingNotes(flavors, roastPreference, bitterness);
-  const origins = generateOriginBlend(flavors, roastPreference);
-  const roastLevel = mapRoastLevel(roastPreference);
-  const grindSuggestion = mapGrindSuggestion(brewMethod);
-  const caffeineLevel = mapCaffeineLevel(caffeine);
-  const description = generateDescription(drinkStyle, roastPreference, flavors);
+ * @param {Object} options - Generation options
+ * @param {Date} options.date - Date used to check origin seasons (defaults to now)
+ * @param {number} options.count - Number of blends to return
+ * @returns {Array} - Blend results with a 0-100 `matchScore` and a `variant` label
+ */
+export function generateBlendAlternatives(answers, { date = new Date(), count = 3 } = {}) {
+  const preferences = normalizeAnswers(answers);
+  const availableOrigins = getAvailableOrigins({ date });
+  const best = { ...generateBlendResult(answers, { date }), variant: localize('blend.variants.best', 'Best match') };
+
+  const roastIndex = ROAST_ORDER.indexOf(preferences.roast);
+  const roastVariants = [
+    { roast: preferences.roast, variant: localize('blend.variants.origins', 'Different origins') },
+    { roast: ROAST_ORDER[roastIndex - 1], variant: localize('blend.variants.lighter', 'Lighter roast') },
+    { roast: ROAST_ORDER[roastIndex + 1], variant: localize('blend.variants.darker', 'Darker roast') }
+  ].filter(option => option.roast);
+
+  const candidates = roastVariants.flatMap(({ roast, variant }) => {
+    const variantPreferences = { ...preferences, roast };
+    const ranking = scoreOrigins(variantPreferences, availableOrigins);
+
+    return ORIGIN_PAIRS
+      .filter(pair => pair.every(index => ranking[index]))
+      .map(pair => {
+        const originBlend = selectOriginBlend(ranking, pair);
+        return {
+          roast,
+          variant,
+          variantPreferences,
+          originBlend,
+          // What generateAdjustedBlend and feedback need to rebuild this alternative from the answers
+          adjustments: {
+            variant: roast === preferences.roast ? { originPair: pair } : { roast, originPair: pair }
+          },
+          matchScore: calculateMatchScore(originBlend, roast, preferences, availableOrigins)
+        };
+      });
+  });
+
+  const blendKey = (roast, originBlend) =>
+    `${roast}:${originBlend.components.map(component => component.origin.id).join('+')}`;
+  // The best match is the top pairing at the preferred roast, so it is never repeated
+  const seen = new Set([blendKey(preferences.roast, selectOriginBlend(scoreOrigins(preferences, availableOrigins)))]);
+  const usedNames = new Set([best.name]);
+
+  const ranked = candidates
+    // Ties resolve by candidate order so the ranking never depends on sort stability
+    .map((candidate, index) => ({ ...candidate, index }))
+    .sort((a, b) => b.matchScore - a.matchScore || a.index - b.index)
+    .filter(candidate => {
+      const key = blendKey(candidate.roast, candidate.originBlend);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  // Offer the best origin swap and the best roast shift first so the comparison shows real choices,
+  // then fill any remaining slots purely by score
+  const isRoastShift = (candidate) => candidate.roast !== preferences.roast;
+  const picked = [
+    ranked.find(candidate => !isRoastShift(candidate)),
+    ranked.find(isRoastShift)
+  ].filter(Boolean);
+  ranked
+    .filter(candidate => !picked.includes(candidate))
+    .forEach(candidate => picked.push(candidate));
+
+  const alternatives = picked
+    .slice(0, count - 1)
+    .sort((a, b) => b.matchScore - a.matchScore || a.index - b.index)
+    .map(candidate => {
+      const name = nextUnusedName(generateBlendName(candidate.variantPreferences), usedNames);
+      usedNames.add(name);
+
+      return {
+        ...composeBlend({
+          answers,
+          date,
+          preferences: candidate.variantPreferences,
+          availableOrigins,
+          originBlend: candidate.originBlend,
+          name,
+          matchScore: candidate.matchScore,
+          adjustments: candidate.adjustments
+        }),
+        variant: candidate.variant
+      };
+    });
+
+  return [best, ...alternatives];
+}
+
+/**
+ * Assemble a blend result and its trace from the selected origins
+ */
+function composeBlend({ answers, date, preferences, availableOrigins, originBlend, name, matchScore, adjustments = null }) {
+  const tastingNotes = selectTastingNotes(preferences.flavors, preferences.roast);
+  const finish = selectFinish(preferences.bitterness);
+  const roastLevel = mapRoastLevel(preferences.roast);
+  const grindSuggestion = mapGrindSuggestion(preferences.brewMethod);
+  const caffeineLevel = mapCaffeineLevel(preferences.caffeine);
+  const description = generateDescription(preferences.profile, preferences.roast);
+
+  const notes = [...tastingNotes.map(entry => entry.note), finish.note].join(' • ');
+  // Language-independent note IDs, finish last: versions are compared by these, not by the text
+  const noteIds = [...tastingNotes.map(entry => `${entry.flavor}.${entry.noteIndex}`), `finish.${finish.index}`];
+  const origins = originBlend.components
+    .map(component => `${component.origin.name} ${component.percent}%`)
+    .join(' • ');
+  // The ID is built from the English notes so it stays the same in every language
+  const englishNotes = [
+    ...tastingNotes.map(entry => FLAVOR_PROFILES[entry.flavor].notes[entry.noteIndex]),
+    FINISH_NOTES[finish.index]
+  ].join(' • ');
 
   return {
+    id: createBlendId([name, preferences.roast, origins, englishNotes, preferences.brewMethod, preferences.caffeine]),
     name,
     notes,
+    noteIds,
     origins,
+    roast: preferences.roast,
     roastLevel,
     grindSuggestion,
     caffeineLevel,
-    description
+    description,
+    matchScore,
+    adjustments: adjustments ?? {},
+    trace: buildBlendTrace({
+      answers,
+      date,
+      preferences,
+      availableOrigins,
+      tastingNotes,
+      finish,
+      originBlend,
+      roastLevel,
+      grindSuggestion,
+      caffeineLevel,
+      adjustments
+    })
   };
 }
 
 /**
- * Generate a blend name based on answers
+ * Convert raw answers into named preferences, replacing skipped or invalid answers with defaults.
+ * `sources` records for each preference whether it came from an answer, a default or was implied.
+ * @param {Object} answers - Object containing answers keyed by question ID
+ * @returns {Object} - Normalized preferences
  */
-function generateBlendName(answers) {
-  const seed = Object.values(answers)
-    .filter(Boolean)
-    .join('')
+export function normalizeAnswers(answers = {}) {
+  const byKey = mapAnswersByKey(answers);
+  const sources = {};
+  const pick = (key, isValid, fallback, fallbackSource = 'default') => {
+    const value = byKey[key];
+    const usable = value !== undefined && value !== SKIPPED_ANSWER && isValid(value);
+    sources[key] = usable ? 'answer' : fallbackSource;
+    return usable ? value : fallback;
+  };
+
+  const rawFlavors = Array.isArray(byKey.flavors) ? byKey.flavors : [byKey.flavors];
+  const flavors = rawFlavors.filter(flavor => FLAVOR_PROFILES[flavor]).slice(0, 3);
+  sources.flavors = flavors.length > 0 ? 'answer' : 'default';
+
+  const profile = pick('profile', value => PROFILE_FLAVORS[value], DEFAULT_ANSWERS.profile);
+
+  return {
+    profile,
+    roast: pick('roast', value => ROAST_BODY[value], PROFILE_ROAST[profile], 'implied'),
+    flavors: flavors.length > 0 ? flavors : DEFAULT_ANSWERS.flavors,
+    bitterness: pick('bitterness', value => Number.isInteger(value) && value >= 1 && value <= 5, DEFAULT_ANSWERS.bitterness),
+    brewMethod: pick('brewMethod', value => BREW_BODY[value], DEFAULT_ANSWERS.brewMethod),
+    caffeine: pick('caffeine', value => CAFFEINE_BODY[value], DEFAULT_ANSWERS.caffeine),
+    // null when the follow-up wasn't asked, so it doesn't weigh in at all
+    milk: pick('milk', value => MILK_BODY[value], null, 'not-asked'),
+    sources
+  };
+}
+
+/**
+ * Score origins against the normalized preferences
+ * @param {Object} preferences - Output of normalizeAnswers
+ * @param {Array} origins - Catalog origins to consider (defaults to those in stock and in season)
+ * @returns {Array} - Origins with their score and per-answer contributions, best match first
+ */
+export function scoreOrigins(preferences, origins = getAvailableOrigins()) {
+  // Bitterness 1-5 mapped onto the 1-3 body scale
+  const bitternessBody = 1 + (preferences.bitterness - 1) / 2;
+  // Feedback on body moves every body target, which shifts the origin ratios
+  const bodyShift = preferences.bodyShift ?? 0;
+
+  const bodyMatch = (origin, target) =>
+    1 - Math.abs(BODY_SCALE[origin.body] - Math.min(3, Math.max(1, target + bodyShift))) / 2;
+
+  return origins
+    .map((origin, index) => {
+      const share = (flavors) =>
+        origin.profile.filter(flavor => flavors.includes(flavor)).length / origin.profile.length;
+      const roastShare = origin.profile
+        .filter(flavor => FLAVOR_PROFILES[flavor]?.roastPreference.split('-').includes(preferences.roast))
+        .length / origin.profile.length;
+
+      // Keyed by quiz schema key so each contribution traces back to one question
+      const contributions = {
+        profile: SCORING_WEIGHTS.profile * share(PROFILE_FLAVORS[preferences.profile]),
+        flavors: SCORING_WEIGHTS.flavors * share(preferences.flavors),
+        roast: SCORING_WEIGHTS.roast * (roastShare + bodyMatch(origin, ROAST_BODY[preferences.roast])) / 2,
+        bitterness: SCORING_WEIGHTS.bitterness * bodyMatch(origin, bitternessBody),
+        brewMethod: SCORING_WEIGHTS.brewMethod * bodyMatch(origin, BREW_BODY[preferences.brewMethod]),
+        caffeine: SCORING_WEIGHTS.caffeine * bodyMatch(origin, CAFFEINE_BODY[preferences.caffeine])
+      };
+      if (preferences.milk) {
+        contributions.milk = SCORING_WEIGHTS.milk * bodyMatch(origin, MILK_BODY[preferences.milk]);
+      }
+
+      const score = Object.values(contributions).reduce((total, points) => total + points, 0);
+
+      return { origin, score, contributions, index };
+    })
+    // Ties resolve by list order so the ranking never depends on sort stability
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ origin, score, contributions }) => ({ origin, score, contributions }));
+}
+
+/**
+ * Generate a blend name based on preferences
+ */
+function generateBlendName(preferences) {
+  const seed = [
+    preferences.profile,
+    preferences.roast,
+    preferences.flavors.join(','),
+    preferences.bitterness,
+    preferences.brewMethod,
+    preferences.caffeine,
+    preferences.milk
+  ]
+    .filter(part => part !== null)
+    .join('|')
     .split('')
-    .reduce((acc, char) => acc + char.charCodeAt(0), 0);
+    .reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) % 1000003, 7);
 
   return BLEND_NAMES[seed % BLEND_NAMES.length];
 }
 
 /**
- * Generate tasting notes based on flavor preferences
+ * Short, URL-safe identifier for a blend (FNV-1a hash of what makes it unique)
  */
-function generateTastingNotes(flavors, roastPreference, bitterness) {
-  const selectedFlavors = flavors.filter(f => f && f !== 'skipped').slice(0, 3);
+function createBlendId(parts) {
+  const hash = parts
+    .join('|')
+    .split('')
+    .reduce((acc, char) => Math.imul(acc ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
 
-  if (selectedFlavors.length === 0) {
-    selectedFlavors.push('chocolate'); // Default
-  }
+  return hash.toString(36);
+}
 
-  const notes = selectedFlavors.map(flavor => {
+/**
+ * Pick one tasting note per flavor preference
+ * @returns {Array} - List of { flavor, note, noteIndex }
+ */
+function selectTastingNotes(flavors, roastPreference) {
+  return flavors.map(flavor => {
     const profile = FLAVOR_PROFILES[flavor];
-    if (!profile) return 'Complex notes';
+    const notes = localize(`blend.notes.${flavor}`, profile.notes);
 
     // Select note based on roast preference
     const noteIndex = roastPreference === 'light' ? 0 :
                      roastPreference === 'dark' ? profile.notes.length - 1 :
                      Math.floor(profile.notes.length / 2);
 
-    return profile.notes[noteIndex] || profile.notes[0];
+    return { flavor, note: notes[noteIndex] || notes[0], noteIndex };
   });
+}
+
+/**
+ * Pick the finish note based on bitterness
+ * @returns {Object} - { note, index }
+ */
+function selectFinish(bitterness) {
+  const finishIndex = Math.min(Math.floor((bitterness - 1) / 1.25), FINISH_NOTES.length - 1);
+  return { note: localize('blend.finish', FINISH_NOTES)[finishIndex], index: finishIndex };
+}
+
+/**
+ * Build an origin blend from two entries of an origin ranking
+ * @param {Array} ranking - Output of scoreOrigins
+ * @param {Array} pair - Indexes into the ranking (defaults to the two best)
+ * @returns {Object} - { components: [{ origin, percent, score, contributions }], ranking, gap }
+ */
+function selectOriginBlend(ranking, pair = BEST_ORIGIN_PAIR) {
+  const [primary, secondary] = pair.map(index => ranking[index]);
+
+  if (!primary) {
+    throw new Error('No origins are in stock and in season');
+  }
+  if (!secondary) {
+    return { components: [{ ...primary, percent: 100 }], ranking, gap: null };
+  }
+
+  // The wider the score gap, the more the primary origin leads; rounded to 5% and capped at 80%
+  const gap = (primary.score - secondary.score) / primary.score;
+  const primaryPercent = Math.min(80, Math.round((50 + gap * 100) / 5) * 5);
+
+  return {
+    components: [
+      { ...primary, percent: primaryPercent },
+      { ...secondary, percent: 100 - primaryPercent }
+    ],
+    ranking,
+    gap
+  };
+}
+
+/**
+ * How well a blend matches the user's own preferences, from 0 to 100.
+ * Origins are re-scored against the original preferences so roast variants are judged fairly,
+ * and a roast that differs from an explicit answer costs more than one that differs from a default.
+ */
+function calculateMatchScore(originBlend, roast, preferences, availableOrigins) {
+  const ranking = scoreOrigins(preferences, availableOrigins);
+  const scoreOf = (origin) => ranking.find(entry => entry.origin.id === origin.id).score;
 
-  // Add finish note based on bitterness and roast
-  const finishNotes = ['Smooth finish', 'Clean finish', 'Bold finish', 'Lingering finish'];
-  const finishIndex = Math.min(Math.floor((bitterness - 1) / 1.25), finishNotes.length - 1);
-  notes.push(finishNotes[finishIndex]);
+  const blendScore = originBlend.components
+    .reduce((total, component) => total + scoreOf(component.origin) * component.percent / 100, 0);
 
-  return notes.join(' • ');
+  const roastSteps = Math.abs(ROAST_ORDER.indexOf(roast) - ROAST_ORDER.indexOf(preferences.roast));
+  const roastPenalty = roastSteps * SCORING_WEIGHTS.roast * (preferences.sources.roast === 'answer' ? 1 : 0.5);
+
+  const maxScore = Object.entries(SCORING_WEIGHTS)
+    .filter(([key]) => key !== 'milk' || preferences.milk)
+    .reduce((total, [, weight]) => total + weight, 0);
+
+  return Math.max(0, Math.min(100, Math.round((blendScore - roastPenalty) / maxScore * 100)));
 }
 
 /**
- * Generate origin blend based on flavor preferences
+ * Step a name forward through the name list until it hasn't been used yet
  */
-function generateOriginBlend(flavors, roastPreference) {
-  // Filter origins that match the flavor profile
-  const matchingOrigins = ORIGINS.filter(origin =>
-    flavors.some(flavor => origin.profile.includes(flavor))
-  );
+function nextUnusedName(name, usedNames) {
+  let index = BLEND_NAMES.indexOf(name);
+  while (usedNames.has(BLEND_NAMES[index])) {
+    index = (index + 1) % BLEND_NAMES.length;
+  }
+  return BLEND_NAMES[index];
+}
 
-  // If no matches, use default origins
-  const availableOrigins = matchingOrigins.length > 0 ? matchingOrigins : ORIGINS;
+/**
+ * Describe a preference: the question it came from, what was answered and what was used
+ */
+function tracePreference(answers, preferences, key) {
+  const question = getQuestionByKey(key);
+  const value = preferences[key];
 
-  // Select primary and secondary origins
-  const primary = availableOrigins[0] || ORIGINS[0];
-  const secondary = availableOrigins[1] || ORIGINS[1];
+  return {
+    key,
+    questionId: question?.id ?? null,
+    question: question ? localizeQuestion(question).text : key,
+    answer: question ? answers[question.id] ?? null : null,
+    answerLabel: question && answers[question.id] !== undefined ? getAnswerLabel(question.id, answers[question.id]) : null,
+    value,
+    valueLabel: question && value !== null ? getAnswerLabel(question.id, value) : null,
+    source: preferences.sources[key]
+  };
+}
 
-  // Determine blend percentages based on roast preference
-  const primaryPercent = roastPreference === 'light' ? 70 :
-                        roastPreference === 'dark' ? 55 : 60;
-  const secondaryPercent = 100 - primaryPercent;
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
 
-  return `${primary.name} ${primaryPercent}% • ${secondary.name} ${secondaryPercent}%`;
+/**
+ * Build a structured, JSON-serializable explanation of how the blend was chosen
+ */
+function buildBlendTrace({
+  answers,
+  date,
+  preferences,
+  availableOrigins,
+  tastingNotes,
+  finish,
+  originBlend,
+  roastLevel,
+  grindSuggestion,
+  caffeineLevel,
+  adjustments
+}) {
+  const keys = Object.keys(preferences).filter(key => key !== 'sources' && key !== 'bodyShift');
+  const availableIds = availableOrigins.map(origin => origin.id);
+
+  return {
+    version: TRACE_VERSION,
+    generatedAt: date.toISOString(),
+    schemaVersion: QUIZ_SCHEMA_VERSION,
+    catalogVersion: catalog.version,
+    preferences: keys.map(key => tracePreference(answers, preferences, key)),
+    origins: {
+      considered: availableIds,
+      excluded: catalog.origins
+        .filter(origin => !availableIds.includes(origin.id))
+        .map(origin => ({
+          id: origin.id,
+          name: origin.name,
+          reason: isInStock(origin) ? 'out-of-season' : 'out-of-stock'
+        })),
+      selected: originBlend.components.map(component => ({
+        id: component.origin.id,
+        name: component.origin.name,
+        percent: component.percent,
+        score: round(component.score),
+        contributions: Object.entries(component.contributions)
+          .map(([key, points]) => ({ ...tracePreference(answers, preferences, key), points: round(points) }))
+          .sort((a, b) => b.points - a.points)
+      })),
+      runnersUp: originBlend.ranking.slice(originBlend.components.length, originBlend.components.length + 3)
+        .map(entry => ({ id: entry.origin.id, name: entry.origin.name, score: round(entry.score) })),
+      split: {
+        rule: originBlend.gap === null
+          ? 'Only one origin was available, so it makes up the whole blend'
+          : 'Primary share is 50% plus the relative score gap, rounded to 5% and capped at 80%',
+        scoreGap: originBlend.gap === null ? null : round(originBlend.gap, 3)
+      }
+    },
+    notes: tastingNotes.map(entry => ({
+      note: entry.note,
+      flavor: entry.flavor,
+      flavorLabel: getAnswerLabel(getQuestionByKey('flavors').id, entry.flavor),
+      source: preferences.sources.flavors,
+      roast: preferences.roast,
+      rule: 'Light roasts take the brightest note of a flavor, dark roasts the deepest, medium the middle one'
+    })),
+    finish: {
+      note: finish.note,
+      bitterness: preferences.bitterness,
+      source: preferences.sources.bitterness,
+      rule: `Bitterness ${preferences.bitterness} of 5 selects finish ${finish.index + 1} of ${FINISH_NOTES.length} (${FINISH_NOTES.join(', ')})`
+    },
+    roastLevel: { value: roastLevel, from: tracePreference(answers, preferences, 'roast') },
+    grindSuggestion: { value: grindSuggestion, from: tracePreference(answers, preferences, 'brewMethod') },
+    caffeineLevel: { value: caffeineLevel, from: tracePreference(answers, preferences, 'caffeine') },
+    // Overrides from an alternative's variant and delivery feedback, null for the best match
+    adjustments
+  };
+}
+
+/**
+ * Compact copy of a blend for orders and subscriptions: what the customer sees
+ * plus the origin split pricing needs, without the full explanation trace
+ * @param {Object} blend - Blend from generateBlendResult / generateBlendAlternatives
+ * @returns {Object} - { id, name, roast, roastLevel, notes, noteIds, origins, grindSuggestion, matchScore,
+ *   adjustments, components }; adjustments rebuild the blend from its answers (see generateAdjustedBlend)
+ */
+export function summarizeBlend(blend) {
+  const { id, name, roast, roastLevel, notes, noteIds, origins, grindSuggestion, matchScore } = blend;
+
+  return {
+    id,
+    name,
+    roast,
+    roastLevel,
+    notes,
+    noteIds,
+    origins,
+    grindSuggestion,
+    matchScore,
+    adjustments: blend.adjustments ?? {},
+    components: blend.trace.origins.selected.map(origin => ({ id: origin.id, name: origin.name, percent: origin.percent }))
+  };
+}
+
+/**
+ * A blend's tasting notes as a list, finish last
+ * @param {Object} blend - Blend with its ' • '-joined notes
+ * @returns {Array<string>}
+ */
+export function getBlendNotes(blend) {
+  return blend.notes.split(' • ');
+}
+
+/**
+ * A tasting or finish note in the current language
+ * @param {string} noteId - Entry of a blend's noteIds, e.g. "chocolate.1" or "finish.2"
+ * @returns {string} - The note; text from blends saved before note IDs is returned as it is
+ */
+export function describeBlendNote(noteId) {
+  const [group, index] = noteId.split('.');
+  const notes = group === 'finish'
+    ? localize('blend.finish', FINISH_NOTES)
+    : FLAVOR_PROFILES[group] && localize(`blend.notes.${group}`, FLAVOR_PROFILES[group].notes);
+
+  return notes?.[Number(index)] ?? noteId;
+}
+
+/**
+ * A roast in the current language
+ * @param {string} roast - 'light', 'medium' or 'dark'; a saved roast level is returned as it is
+ * @returns {string} - e.g. "Light Roast"
+ */
+export function describeRoastLevel(roast) {
+  return ROAST_ORDER.includes(roast) ? mapRoastLevel(roast) : roast;
+}
+
+/**
+ * A saved blend summary with its roast and notes in the current language. Summaries
+ * keep the text of the language they were ordered in; only their IDs are reliable.
+ * @param {Object} blend - summarizeBlend copy
+ * @returns {Object} - The summary with roastLevel and notes translated
+ */
+export function localizeBlendSummary(blend) {
+  // Saved before note IDs were recorded: only the original text is known
+  if (!blend.noteIds) return blend;
+
+  return {
+    ...blend,
+    roastLevel: describeRoastLevel(blend.roast),
+    notes: blend.noteIds.map(describeBlendNote).join(' • ')
+  };
+}
+
+/**
+ * What changed between two versions of a blend, for the v1 -> v2 card. Roasts and notes
+ * are compared by key, so the result is the same in every language; render them with
+ * describeRoastLevel and describeBlendNote.
+ * @param {Object} from - Earlier blend (full result or summarizeBlend copy)
+ * @param {Object} to - Later blend
+ * @returns {Object} - { roast, finish, origins: [{ id, name, from, to }], notes: { added, removed }, hasChanges }
+ */
+export function compareBlends(from, to) {
+  const componentsOf = (blend) => blend.components ?? summarizeBlend(blend).components;
+  // Blends saved before roast keys and note IDs were recorded fall back to their text; the finish is always last
+  const splitNotes = (blend) => {
+    const notes = blend.noteIds ?? getBlendNotes(blend);
+    return { tasting: notes.slice(0, -1), finish: notes[notes.length - 1] };
+  };
+
+  const fromNotes = splitNotes(from);
+  const toNotes = splitNotes(to);
+  const fromComponents = componentsOf(from);
+  const toComponents = componentsOf(to);
+  const percentIn = (components, id) => components.find(component => component.id === id)?.percent ?? 0;
+
+  const origins = [...new Map([...fromComponents, ...toComponents].map(component => [component.id, component])).values()]
+    .map(component => ({
+      id: component.id,
+      name: component.name,
+      from: percentIn(fromComponents, component.id),
+      to: percentIn(toComponents, component.id)
+    }))
+    .filter(origin => origin.from !== origin.to);
+
+  const changed = (a, b) => (a === b ? null : { from: a, to: b });
+  const comparison = {
+    roast: changed(from.roast ?? from.roastLevel, to.roast ?? to.roastLevel),
+    finish: changed(fromNotes.finish, toNotes.finish),
+    origins,
+    notes: {
+      added: toNotes.tasting.filter(note => !fromNotes.tasting.includes(note)),
+      removed: fromNotes.tasting.filter(note => !toNotes.tasting.includes(note))
+    }
+  };
+
+  return {
+    ...comparison,
+    hasChanges: Boolean(comparison.roast || comparison.finish || origins.length > 0
+      || comparison.notes.added.length > 0 || comparison.notes.removed.length > 0)
+  };
+}
+
+/**
+ * Serialize a blend trace for support tooling
+ * @param {Object} trace - Trace returned on a blend result
+ * @returns {string} - Pretty-printed JSON
+ */
+export function serializeBlendTrace(trace) {
+  return JSON.stringify(trace, null, 2);
 }
 
 /**
@@ -173,7 +846,7 @@ function mapRoastLevel(roastPreference) {
     'medium': 'Medium Roast',
     'dark': 'Dark Roast'
   };
-  return roastMap[roastPreference] || 'Medium Roast';
+  return localize(`blend.roastLevels.${roastPreference}`, roastMap[roastPreference] || 'Medium Roast');
 }
 
 /**
@@ -188,7 +861,7 @@ function mapGrindSuggestion(brewMethod) {
     'pod': 'Pre-ground',
     'not-sure': 'Medium'
   };
-  return grindMap[brewMethod] || 'Medium';
+  return localize(`blend.grind.${brewMethod}`, grindMap[brewMethod] || 'Medium');
 }
 
 /**
@@ -200,19 +873,17 @@ function mapCaffeineLevel(caffeine) {
     'half-caf': 'Half Caffeine',
     'low-decaf': 'Low/Decaf'
   };
-  return caffeineMap[caffeine] || 'Full Caffeine';
+  return localize(`blend.caffeine.${caffeine}`, caffeineMap[caffeine] || 'Full Caffeine');
 }
 
 /**
  * Generate personalized description
  */
-function generateDescription(drinkStyle, roastPreference, flavors) {
-  const styleDescriptions = {
-    'black': 'pure coffee experience',
-    'little-milk': 'lightly enhanced coffee',
-    'milk-sugar': 'balanced sweetened coffee',
-    'sweet-creamy': 'rich, indulgent coffee experience',
-    'not-sure': 'versatile coffee experience'
+function generateDescription(profile, roastPreference) {
+  const profileDescriptions = {
+    'bright-fruity': 'bright, fruit-forward coffee with vibrant acidity',
+    'rich-chocolatey': 'rich, chocolatey coffee with bold, deep flavors',
+    'smooth-nutty': 'smooth, well-balanced coffee with nutty sweetness'
   };
 
   const roastDescriptions = {
@@ -221,10 +892,13 @@ function generateDescription(drinkStyle, roastPreference, flavors) {
     'dark': 'bold and robust'
   };
 
-  const styleDesc = styleDescriptions[drinkStyle] || 'perfect coffee experience';
+  const profileDesc = profileDescriptions[profile] || 'perfectly balanced coffee';
   const roastDesc = roastDescriptions[roastPreference] || 'expertly crafted';
 
-  return `A carefully crafted blend that matches your taste preferences for ${styleDesc} with ${roastDesc} character. This blend celebrates the unique flavors you love while maintaining perfect balance in every cup.`;
+  const description = `A carefully crafted blend that delivers ${profileDesc} and a ${roastDesc} roast character. This blend celebrates your unique taste preferences while maintaining perfect balance in every cup.`;
+
+  // Other languages phrase the whole sentence themselves (adjective endings change with the noun)
+  return localize('blend.description', description, { profile, roast: roastPreference });
 }
 
 /**
@@ -239,7 +913,7 @@ export function analyzeQuizCompletion(timeElapsed, answers) {
     totalTime: seconds,
     averageTime: Math.round(averageTimePerQuestion),
     efficiency: seconds <= 45 ? 'excellent' : seconds <= 60 ? 'good' : 'thorough',
-    completionRate: (completedQuestions / 6) * 100
+    completionRate: (completedQuestions / getReachablePath(answers).length) * 100
   };
 }
 
@@ -247,8 +921,8 @@ export function analyzeQuizCompletion(timeElapsed, answers) {
  * Generate recommendations for future orders
  */
 export function generateRecommendations(answers) {
-  const flavors = Array.isArray(answers[3]) ? answers[3] : [answers[3]];
-  const brewMethod = answers[5];
+  const { flavors: rawFlavors, brewMethod } = mapAnswersByKey(answers);
+  const flavors = Array.isArray(rawFlavors) ? rawFlavors : [rawFlavors];
 
   const recommendations = [];
 
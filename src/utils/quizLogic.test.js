@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import {
+  generateBlendResult,
+  generateAdjustedBlend,
+  summarizeBlend,
+  compareBlends,
+  describeBlendNote,
+  localizeBlendSummary
+} from './quizLogic';
+import { setLocale } from './i18n';
+
+const DATE = new Date('2026-10-19T12:00:00Z');
+
+const ANSWERS = {
+  1: 'bright-fruity',
+  2: 'light',
+  3: ['citrus', 'berry'],
+  4: 2,
+  5: 'pour-over',
+  6: 'full'
+};
+
+// setLocale stores the choice and tells the app; the tests only need the language to switch
+beforeAll(() => {
+  vi.stubGlobal('document', { documentElement: {} });
+  vi.stubGlobal('window', new EventTarget());
+  vi.stubGlobal('localStorage', { getItem: () => null, setItem: () => {} });
+});
+
+afterAll(() => {
+  setLocale('en');
+  vi.unstubAllGlobals();
+});
+
+const blendIn = (locale, adjustments = {}) => {
+  setLocale(locale);
+  return summarizeBlend(generateAdjustedBlend(ANSWERS, adjustments, { date: DATE, name: 'Prism' }));
+};
+
+describe('compareBlends', () => {
+  it('finds no changes between the same blend saved in two languages', () => {
+    const english = blendIn('en');
+    const german = blendIn('de-AT');
+
+    expect(german.notes).not.toBe(english.notes);
+    expect(compareBlends(english, german).hasChanges).toBe(false);
+  });
+
+  it('reports roasts and notes by key, whatever the language', () => {
+    const before = blendIn('de-AT');
+    const after = blendIn('en', { roast: 'medium', bitterness: 4 });
+    const diff = compareBlends(before, after);
+
+    expect(diff.roast).toEqual({ from: 'light', to: 'medium' });
+    expect(diff.finish.to).toMatch(/^finish\.\d$/);
+    [...diff.notes.added, ...diff.notes.removed].forEach(note => expect(note).toMatch(/^\w+\.\d$/));
+  });
+
+  it('still compares summaries saved before note IDs by their text', () => {
+    setLocale('en');
+    const { noteIds: _ignored, roast: _roast, ...legacy } = summarizeBlend(generateBlendResult(ANSWERS, { date: DATE }));
+
+    expect(compareBlends(legacy, legacy).hasChanges).toBe(false);
+    expect(describeBlendNote('Bright citrus')).toBe('Bright citrus');
+  });
+});
+
+describe('localizeBlendSummary', () => {
+  it('renders a saved summary in the current language', () => {
+    const english = blendIn('en');
+    const german = blendIn('de-AT');
+
+    expect(localizeBlendSummary(english).notes).toBe(german.notes);
+    expect(localizeBlendSummary(english).roastLevel).toBe(german.roastLevel);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Quiz Persistence Utilities
+ * Saves in-progress quiz state to localStorage so a reload can offer to resume it.
+ * Saved states carry a storage version, the quiz schema version and an expiry.
+ */
+
+import {
+  QUIZ_SCHEMA_VERSION,
+  getQuestion,
+  getReachablePath,
+  validateAnswer
+} from './quizSchema';
+
+const STORAGE_KEY = 'blendo_quiz_state';
+
+// Bump when the shape of the saved payload changes, and add a migration below
+const STORAGE_VERSION = 1;
+
+// Saved quizzes older than this are discarded
+const EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Migrations from older storage versions, keyed by the version they upgrade from
+ */
+const MIGRATIONS = {};
+
+/**
+ * Save the resumable parts of the quiz state
+ * @param {Object} state - Quiz reducer state
+ */
+export function saveQuizState(state) {
+  const now = Date.now();
+  const payload = {
+    version: STORAGE_VERSION,
+    schemaVersion: QUIZ_SCHEMA_VERSION,
+    savedAt: now,
+    expiresAt: now + EXPIRY_MS,
+    state: {
+      currentState: state.currentState,
+      currentQuestion: state.currentQuestion,
+      history: state.history,
+      answers: state.answers,
+      // A quiz started from "swap blend" must resume as a swap, not as a new subscription
+      swapSubscriptionId: state.swapSubscriptionId ?? null,
+      // Store elapsed time rather than the start time so time away isn't counted
+      elapsedMs: state.startTime ? now - state.startTime : 0
+    }
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+  } catch (error) {
+    // Storage full or unavailable (e.g. private mode) - resuming is a nicety, not a requirement
+    console.warn('Could not save quiz progress:', error);
+  }
+}
+
+/**
+ * Load a saved quiz, migrating or discarding it when it is stale or incompatible
+ * @returns {Object|null} - Saved quiz state reconciled with the current schema, or null
+ */
+export function loadQuizState() {
+  let payload;
+
+  try {
+    payload = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    clearQuizState();
+    return null;
+  }
+
+  if (!payload) {
+    return null;
+  }
+
+  while (payload && payload.version < STORAGE_VERSION) {
+    const migrate = MIGRATIONS[payload.version];
+    payload = migrate ? migrate(payload) : null;
+  }
+
+  if (!payload ||
+      payload.version !== STORAGE_VERSION ||
+      !payload.state ||
+      typeof payload.expiresAt !== 'number' ||
+      payload.expiresAt < Date.now()) {
+    clearQuizState();
+    return null;
+  }
+
+  const state = reconcileWithSchema(payload.state);
+  if (!state) {
+    clearQuizState();
+    return null;
+  }
+
+  return { ...state, savedAt: payload.savedAt, schemaVersion: payload.schemaVersion };
+}
+
+/**
+ * Remove any saved quiz
+ */
+export function clearQuizState() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to clear if storage is unavailable
+  }
+}
+
+/**
+ * Fit a saved state to the current schema: drop answers that no longer validate and
+ * rebuild the history along the path the remaining answers lead to.
+ * This also covers states saved under an older schema version.
+ * @param {Object} saved - Saved quiz state
+ * @returns {Object|null} - Usable state, or null when nothing is worth resuming
+ */
+function reconcileWithSchema(saved) {
+  const answers = Object.fromEntries(
+    Object.entries(saved.answers || {})
+      .filter(([questionId, answer]) => getQuestion(Number(questionId)) && validateAnswer(Number(questionId), answer).valid)
+      .map(([questionId, answer]) => [Number(questionId), answer])
+  );
+
+  if (Object.keys(answers).length === 0) {
+    return null;
+  }
+
+  const path = getReachablePath(answers);
+  const isComplete = saved.currentState === 'result' && path.every(questionId => answers[questionId] !== undefined);
+
+  // Resume at the saved question if it is still on the path, otherwise at the first unanswered one
+  const firstUnanswered = path.find(questionId => answers[questionId] === undefined) ?? path[path.length - 1];
+  const currentQuestion = isComplete
+    ? path[path.length - 1]
+    : path.includes(saved.currentQuestion) ? saved.currentQuestion : firstUnanswered;
+
+  return {
+    currentState: isComplete ? 'result' : `question_${currentQuestion}`,
+    currentQuestion,
+    history: path.slice(0, path.indexOf(currentQuestion) + 1),
+    answers,
+    swapSubscriptionId: typeof saved.swapSubscriptionId === 'string' ? saved.swapSubscriptionId : null,
+    elapsedMs: Number.isFinite(saved.elapsedMs) ? saved.elapsedMs : 0
+  };
+}
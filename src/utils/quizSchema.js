@@ -0,0 +1,439 @@
+/**
+ * Quiz Schema Utilities
+ * Loads and validates the versioned quiz definition in data/quizSchema.json.
+ * Every component that needs question content or the question count reads it from here.
+ */
+
+import rawSchema from '../data/quizSchema.json';
+import { localize, t } from './i18n';
+
+// Answer value recorded when the user presses "I'm not sure"
+export const SKIPPED_ANSWER = 'skipped';
+
+const QUESTION_TYPES = ['radio', 'multi-select', 'slider'];
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'in', 'notIn'];
+
+/**
+ * Collect issues in a visibility/branching condition
+ * @param {Object} condition - Condition object
+ * @param {Array} earlierKeys - Keys of questions asked before the condition is evaluated
+ * @param {string} where - Location used in issue messages
+ * @returns {Array} - Issues found
+ */
+function validateCondition(condition, earlierKeys, where) {
+  if (!condition || typeof condition !== 'object') {
+    return [`${where} must be an object`];
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      return [`${where}.${condition.all ? 'all' : 'any'} must be a non-empty array`];
+    }
+    return list.flatMap((child, index) => validateCondition(child, earlierKeys, `${where}[${index}]`));
+  }
+
+  const issues = [];
+  if (!earlierKeys.includes(condition.key)) {
+    issues.push(`${where}.key must reference an earlier question`);
+  }
+  const operators = CONDITION_OPERATORS.filter(operator => operator in condition);
+  if (operators.length !== 1) {
+    issues.push(`${where} needs exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+  } else if (['in', 'notIn'].includes(operators[0]) && !Array.isArray(condition[operators[0]])) {
+    issues.push(`${where}.${operators[0]} must be an array`);
+  }
+  return issues;
+}
+
+/**
+ * Validate a raw schema object and return a normalized, frozen copy
+ * @param {Object} schema - Raw schema (usually parsed JSON)
+ * @returns {Object} - Normalized schema with ordered questions and a lookup by ID
+ * @throws {Error} - When the schema does not conform
+ */
+export function loadQuizSchema(schema) {
+  const issues = [];
+
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('Quiz schema must be an object');
+  }
+  if (!Number.isInteger(schema.version) || schema.version < 1) {
+    issues.push('version must be a positive integer');
+  }
+  if (!Array.isArray(schema.questions) || schema.questions.length === 0) {
+    issues.push('questions must be a non-empty array');
+  }
+
+  const seenIds = new Set();
+  const seenKeys = new Set();
+
+  (schema.questions || []).forEach((question, index) => {
+    const where = `questions[${index}]`;
+
+    if (!Number.isInteger(question.id) || question.id < 1) {
+      issues.push(`${where}.id must be a positive integer`);
+    } else if (seenIds.has(question.id)) {
+      issues.push(`${where}.id ${question.id} is duplicated`);
+    }
+    seenIds.add(question.id);
+
+    if (typeof question.key !== 'string' || !question.key) {
+      issues.push(`${where}.key must be a non-empty string`);
+    } else if (seenKeys.has(question.key)) {
+      issues.push(`${where}.key "${question.key}" is duplicated`);
+    }
+    seenKeys.add(question.key);
+
+    if (typeof question.text !== 'string' || !question.text) {
+      issues.push(`${where}.text must be a non-empty string`);
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      issues.push(`${where}.type must be one of ${QUESTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    const constraints = question.constraints || {};
+
+    if (question.type === 'slider') {
+      const { min, max } = constraints;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+        issues.push(`${where}.constraints needs integer min < max`);
+        return;
+      }
+      if (!Array.isArray(question.labels) || question.labels.length !== max - min + 1) {
+        issues.push(`${where}.labels must have one label per step (${max - min + 1})`);
+      }
+      if (constraints.default !== undefined &&
+          (!Number.isInteger(constraints.default) || constraints.default < min || constraints.default > max)) {
+        issues.push(`${where}.constraints.default must be between min and max`);
+      }
+      return;
+    }
+
+    // radio and multi-select
+    const options = question.options;
+    if (!Array.isArray(options) || options.length < 2) {
+      issues.push(`${where}.options must list at least two options`);
+      return;
+    }
+    const values = options.map(option => option.value);
+    if (values.some(value => typeof value !== 'string' || !value || value === SKIPPED_ANSWER)) {
+      issues.push(`${where}.options values must be non-empty strings other than "${SKIPPED_ANSWER}"`);
+    }
+    if (new Set(values).size !== values.length) {
+      issues.push(`${where}.options values must be unique`);
+    }
+    if (options.some(option => typeof option.label !== 'string' || !option.label)) {
+      issues.push(`${where}.options labels must be non-empty strings`);
+    }
+
+    if (question.type === 'multi-select') {
+      const { maxSelection } = constraints;
+      if (!Number.isInteger(maxSelection) || maxSelection < 1 || maxSelection > options.length) {
+        issues.push(`${where}.constraints.maxSelection must be between 1 and the number of options`);
+      }
+    }
+  });
+
+  // Branching rules may only look back at earlier answers and jump forward, so the quiz can't loop
+  (schema.questions || []).forEach((question, index) => {
+    const where = `questions[${index}]`;
+    const earlierKeys = schema.questions.slice(0, index).map(earlier => earlier.key);
+    const laterIds = schema.questions.slice(index + 1).map(later => later.id);
+
+    if (question.visibleIf !== undefined) {
+      issues.push(...validateCondition(question.visibleIf, earlierKeys, `${where}.visibleIf`));
+    }
+    if (question.next !== undefined) {
+      if (!Array.isArray(question.next)) {
+        issues.push(`${where}.next must be an array of rules`);
+        return;
+      }
+      question.next.forEach((rule, ruleIndex) => {
+        issues.push(...validateCondition(rule.if, [...earlierKeys, question.key], `${where}.next[${ruleIndex}].if`));
+        if (!laterIds.includes(rule.goTo)) {
+          issues.push(`${where}.next[${ruleIndex}].goTo must be the ID of a later question`);
+        }
+      });
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid quiz schema "${schema.id}" v${schema.version}:\n- ${issues.join('\n- ')}`);
+  }
+
+  const questions = schema.questions.map(question => Object.freeze({
+    ...question,
+    constraints: Object.freeze({ ...question.constraints })
+  }));
+
+  return Object.freeze({
+    id: schema.id,
+    version: schema.version,
+    questions: Object.freeze(questions),
+    questionsById: Object.freeze(Object.fromEntries(questions.map(question => [question.id, question])))
+  });
+}
+
+// Validate once at startup so a broken schema fails loudly instead of mid-quiz
+let quizSchema = loadQuizSchema(rawSchema);
+
+export const QUIZ_SCHEMA_VERSION = quizSchema.version;
+export const QUIZ_QUESTIONS = quizSchema.questionsById;
+// Live binding: setQuestionOrder replaces it
+export let QUESTION_IDS = quizSchema.questions.map(question => question.id);
+export const TOTAL_QUESTIONS = QUESTION_IDS.length;
+// Order of the questions in data/quizSchema.json; formats that store answers by position use it
+export const SCHEMA_QUESTION_IDS = Object.freeze([...QUESTION_IDS]);
+
+/**
+ * Ask the questions in a different order (the question-order experiment). Call before the
+ * app renders. The first question stays first, and the reordered schema is validated like
+ * the original, so branching rules must still only look back and jump forward.
+ * @param {Array<number>} order - Every question ID, in the new order
+ * @throws {Error} - When the order is not a valid arrangement of the schema's questions
+ */
+export function setQuestionOrder(order) {
+  const sameQuestions = order.length === QUESTION_IDS.length && QUESTION_IDS.every(id => order.includes(id));
+  if (!sameQuestions || order[0] !== QUESTION_IDS[0]) {
+    throw new Error(`Question order [${order.join(', ')}] must list every question and keep question ${QUESTION_IDS[0]} first`);
+  }
+
+  quizSchema = loadQuizSchema({
+    ...rawSchema,
+    questions: order.map(id => rawSchema.questions.find(question => question.id === id))
+  });
+  QUESTION_IDS = [...order];
+}
+
+/**
+ * Get a question definition by ID
+ * @param {number} questionId - Question ID
+ * @returns {Object|undefined} - Question definition
+ */
+export function getQuestion(questionId) {
+  return quizSchema.questionsById[questionId];
+}
+
+/**
+ * Get a question definition by its schema key
+ * @param {string} key - Question key (e.g. "roast")
+ * @returns {Object|undefined} - Question definition
+ */
+export function getQuestionByKey(key) {
+  return quizSchema.questions.find(question => question.key === key);
+}
+
+/**
+ * A question with its text, labels and option copy in the current language.
+ * The schema is written in English; other catalogs translate it under `questions.<key>`.
+ * @param {Object} question - Question definition
+ * @returns {Object} - Copy of the question with translated copy
+ */
+export function localizeQuestion(question) {
+  const path = `questions.${question.key}`;
+
+  return {
+    ...question,
+    text: localize(`${path}.text`, question.text),
+    helpText: question.helpText && localize(`${path}.helpText`, question.helpText),
+    ariaLabel: question.ariaLabel && localize(`${path}.ariaLabel`, question.ariaLabel),
+    labels: question.labels && localize(`${path}.labels`, question.labels),
+    options: question.options?.map(option => ({
+      ...option,
+      label: localize(`${path}.options.${option.value}.label`, option.label),
+      description: option.description && localize(`${path}.options.${option.value}.description`, option.description)
+    }))
+  };
+}
+
+/**
+ * Human-readable label for an answer, using the option labels from the schema
+ * @param {number} questionId - Question ID
+ * @param {*} answer - Answer value
+ * @returns {string} - Label in the current language (multi-select labels are comma separated)
+ */
+export function getAnswerLabel(questionId, answer) {
+  const question = getQuestion(questionId);
+  if (!question || answer === undefined) return '';
+  if (answer === SKIPPED_ANSWER) return t('quiz.skipped');
+
+  const { labels, options, constraints } = localizeQuestion(question);
+
+  if (question.type === 'slider') {
+    return t('quiz.sliderAnswer', { label: labels[answer - constraints.min] ?? answer, value: answer, max: constraints.max });
+  }
+
+  return [answer].flat()
+    .map(value => options.find(option => option.value === value)?.label ?? value)
+    .join(', ');
+}
+
+/**
+ * Check an answer against its question's type and constraints
+ * @param {number} questionId - Question ID
+ * @param {*} answer - Answer value
+ * @returns {Object} - Validation result with issues array
+ */
+export function validateAnswer(questionId, answer) {
+  const question = getQuestion(questionId);
+  const issues = [];
+
+  if (!question) {
+    issues.push(`Unknown question ${questionId}`);
+  } else if (answer !== SKIPPED_ANSWER) {
+    const { constraints } = question;
+    const values = question.options?.map(option => option.value) || [];
+
+    switch (question.type) {
+      case 'radio':
+        if (!values.includes(answer)) {
+          issues.push(`"${answer}" is not an option of question ${questionId}`);
+        }
+        break;
+
+      case 'multi-select':
+        if (!Array.isArray(answer) || answer.length === 0) {
+          issues.push(`Question ${questionId} expects a non-empty list`);
+        } else {
+          if (answer.length > constraints.maxSelection) {
+            issues.push(`Question ${questionId} allows at most ${constraints.maxSelection} selections`);
+          }
+          if (new Set(answer).size !== answer.length) {
+            issues.push(`Question ${questionId} has duplicate selections`);
+          }
+          answer.filter(value => !values.includes(value)).forEach(value => {
+            issues.push(`"${value}" is not an option of question ${questionId}`);
+          });
+        }
+        break;
+
+      case 'slider':
+        if (!Number.isInteger(answer) || answer < constraints.min || answer > constraints.max) {
+          issues.push(`Question ${questionId} expects an integer from ${constraints.min} to ${constraints.max}`);
+        }
+        break;
+    }
+  }
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Evaluate a visibility/branching condition against the answers so far.
+ * Multi-select answers match when any selected value matches; skipped answers count as unanswered.
+ * @param {Object} condition - Condition object from the schema
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {boolean} - Whether the condition holds
+ */
+export function evaluateCondition(condition, answers) {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, answers));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, answers));
+  }
+
+  const answer = mapAnswersByKey(answers)[condition.key];
+  const values = answer === undefined || answer === SKIPPED_ANSWER ? [] : [answer].flat();
+  const matchesAny = (candidates) => values.some(value => candidates.includes(value));
+
+  if ('equals' in condition) return matchesAny([condition.equals]);
+  if ('notEquals' in condition) return !matchesAny([condition.notEquals]);
+  if ('in' in condition) return matchesAny(condition.in);
+  if ('notIn' in condition) return !matchesAny(condition.notIn);
+  return false;
+}
+
+/**
+ * Check whether a question should be shown given the answers so far
+ * @param {Object} question - Question definition
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {boolean}
+ */
+export function isQuestionVisible(question, answers) {
+  return !question.visibleIf || evaluateCondition(question.visibleIf, answers);
+}
+
+/**
+ * Work out which question follows the given one
+ * @param {number} questionId - Current question ID
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {number|null} - Next question ID, or null when the quiz is complete
+ */
+export function getNextQuestionId(questionId, answers) {
+  const question = getQuestion(questionId);
+  const jump = question?.next?.find(rule => evaluateCondition(rule.if, answers));
+
+  let index = jump
+    ? QUESTION_IDS.indexOf(jump.goTo)
+    : QUESTION_IDS.indexOf(questionId) + 1;
+
+  while (index < QUESTION_IDS.length) {
+    const candidate = getQuestion(QUESTION_IDS[index]);
+    if (isQuestionVisible(candidate, answers)) {
+      return candidate.id;
+    }
+    index += 1;
+  }
+  return null;
+}
+
+/**
+ * List the questions reachable from the first one with the answers given so far.
+ * Unanswered questions take their default branch.
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Array} - Ordered question IDs
+ */
+export function getReachablePath(answers = {}) {
+  const firstId = QUESTION_IDS.find(id => isQuestionVisible(getQuestion(id), answers));
+  return firstId === undefined ? [] : [firstId, ...getRemainingPath(firstId, answers)];
+}
+
+/**
+ * List the questions still ahead of the given one with the answers given so far
+ * @param {number} questionId - Current question ID
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Array} - Ordered question IDs after the current one
+ */
+export function getRemainingPath(questionId, answers = {}) {
+  const path = [];
+  let nextId = getNextQuestionId(questionId, answers);
+
+  while (nextId !== null) {
+    path.push(nextId);
+    nextId = getNextQuestionId(nextId, answers);
+  }
+  return path;
+}
+
+/**
+ * Drop answers to questions that are no longer on the reachable path
+ * (e.g. a milk answer left over after switching away from espresso)
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Object} - Answers for reachable questions only
+ */
+export function pruneUnreachableAnswers(answers) {
+  const path = getReachablePath(answers);
+  return Object.fromEntries(
+    Object.entries(answers).filter(([questionId]) => path.includes(Number(questionId)))
+  );
+}
+
+/**
+ * Re-key answers from question IDs to the schema's question keys
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Object} - Answers keyed by question key (e.g. { profile, roast, ... })
+ */
+export function mapAnswersByKey(answers = {}) {
+  return Object.fromEntries(
+    quizSchema.questions
+      .filter(question => answers[question.id] !== undefined)
+      .map(question => [question.key, answers[question.id]])
+  );
+}
+
+export { quizSchema as default };
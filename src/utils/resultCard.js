@@ -0,0 +1,259 @@
+/**
+ * Result Card Utilities
+ * Draws the coffee-bag mockup from the Result page onto a canvas and exports it as a PNG.
+ * Only local resources are used: fonts the page has already loaded (or system fallbacks)
+ * and shapes drawn in code, so rendering never makes a network request or taints the canvas.
+ */
+
+export const CARD_FORMATS = {
+  square: { width: 1080, height: 1080, label: 'Square' },
+  story: { width: 1080, height: 1920, label: 'Story (9:16)' }
+};
+
+// Mirrors the design tokens in styles/_tokens.scss
+const COLORS = {
+  coffee100: '#F8F5F2',
+  coffee300: '#E7DDD5',
+  coffee600: '#8D6B55',
+  coffee800: '#4A3326',
+  accent: '#FFB74D',
+  ink: '#1A1A1A',
+  white: '#FFFFFF'
+};
+
+const DISPLAY_FALLBACK = 'Georgia, "Times New Roman", serif';
+const BODY_FALLBACK = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+/**
+ * Resolve the font families to draw with. The page fonts are used only when the
+ * document already has them; nothing is fetched for the card.
+ * @returns {Object} - { display, body } CSS font-family lists
+ */
+function resolveFonts() {
+  const isLoaded = (font) => typeof document !== 'undefined' && document.fonts?.check(font);
+
+  return {
+    display: isLoaded('600 48px Fraunces') ? `Fraunces, ${DISPLAY_FALLBACK}` : DISPLAY_FALLBACK,
+    body: isLoaded('400 32px Inter') ? `Inter, ${BODY_FALLBACK}` : BODY_FALLBACK
+  };
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @param {number} maxLines - Lines beyond this are dropped and the last one ellipsized
+ * @returns {Array} - Lines of text
+ */
+function wrapText(ctx, text, maxWidth, maxLines = Infinity) {
+  const lines = [];
+  let line = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    kept[maxLines - 1] = `${last.trimEnd()}…`;
+    return kept;
+  }
+
+  return lines;
+}
+
+function drawLines(ctx, lines, x, y, lineHeight) {
+  lines.forEach((line, index) => ctx.fillText(line, x, y + index * lineHeight));
+  return y + lines.length * lineHeight;
+}
+
+function roundedRect(ctx, x, y, width, height, [topLeft, topRight, bottomRight, bottomLeft]) {
+  ctx.beginPath();
+  ctx.moveTo(x + topLeft, y);
+  ctx.arcTo(x + width, y, x + width, y + height, topRight);
+  ctx.arcTo(x + width, y + height, x, y + height, bottomRight);
+  ctx.arcTo(x, y + height, x, y, bottomLeft);
+  ctx.arcTo(x, y, x + width, y, topLeft);
+  ctx.closePath();
+}
+
+/**
+ * Draw the coffee bag (same proportions as .result__coffee-bag: 3:4, rounded top)
+ */
+function drawBag(ctx, blend, fonts, { x, y, width }) {
+  const height = width * 4 / 3;
+  const unit = width / 180;
+  const radiusLarge = 24 * unit;
+  const radiusSmall = 8 * unit;
+
+  // Shadow
+  ctx.save();
+  ctx.shadowColor = 'rgba(26, 26, 26, 0.25)';
+  ctx.shadowBlur = 40 * unit;
+  ctx.shadowOffsetY = 16 * unit;
+  roundedRect(ctx, x, y, width, height, [radiusLarge, radiusLarge, radiusSmall, radiusSmall]);
+  const body = ctx.createLinearGradient(x, y, x + width, y + height);
+  body.addColorStop(0, COLORS.coffee800);
+  body.addColorStop(1, COLORS.coffee600);
+  ctx.fillStyle = body;
+  ctx.fill();
+  ctx.restore();
+
+  // Folded top
+  ctx.save();
+  roundedRect(ctx, x, y, width, height, [radiusLarge, radiusLarge, radiusSmall, radiusSmall]);
+  ctx.clip();
+  const top = ctx.createLinearGradient(x, y, x + width, y + 40 * unit);
+  top.addColorStop(0, COLORS.coffee600);
+  top.addColorStop(1, COLORS.coffee800);
+  ctx.fillStyle = top;
+  ctx.fillRect(x, y, width, 40 * unit);
+  ctx.restore();
+
+  // Clip tag
+  ctx.fillStyle = COLORS.coffee300;
+  roundedRect(ctx, x + width / 2 - 30 * unit, y + 10 * unit, 60 * unit, 20 * unit, Array(4).fill(radiusSmall));
+  ctx.fill();
+
+  // Label: blend name above the roast level, anchored to the bottom of the bag
+  const padding = 16 * unit;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+
+  ctx.font = `500 ${14 * unit}px ${fonts.body}`;
+  ctx.fillStyle = COLORS.coffee300;
+  const roastY = y + height - 24 * unit;
+  ctx.fillText(blend.roastLevel, x + width / 2, roastY);
+
+  ctx.font = `600 ${24 * unit}px ${fonts.display}`;
+  ctx.fillStyle = COLORS.white;
+  const nameLines = wrapText(ctx, blend.name, width - padding * 2, 3);
+  const nameLineHeight = 28 * unit;
+  const nameTop = roastY - 22 * unit - (nameLines.length - 1) * nameLineHeight;
+  drawLines(ctx, nameLines, x + width / 2, nameTop, nameLineHeight);
+
+  return y + height;
+}
+
+/**
+ * Render a result card onto a new canvas
+ * @param {Object} blend - Blend from the engine (name, roastLevel, notes, origins)
+ * @param {string} format - Key of CARD_FORMATS
+ * @returns {HTMLCanvasElement}
+ */
+export function renderResultCard(blend, format = 'square') {
+  const size = CARD_FORMATS[format];
+  if (!size) {
+    throw new Error(`Unknown card format "${format}"`);
+  }
+
+  const { width, height } = size;
+  const isStory = height > width;
+  const fonts = resolveFonts();
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Background (same gradient as the Result page)
+  const background = ctx.createLinearGradient(0, 0, width, height);
+  background.addColorStop(0, COLORS.coffee100);
+  background.addColorStop(1, COLORS.coffee300);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = 80;
+  const textWidth = width - margin * 2;
+  ctx.textAlign = 'center';
+
+  // Header
+  ctx.fillStyle = COLORS.coffee600;
+  ctx.font = `600 ${isStory ? 40 : 32}px ${fonts.body}`;
+  ctx.fillText('MY BLENDO BLEND', width / 2, isStory ? 220 : 110);
+
+  // Bag
+  const bagWidth = isStory ? 540 : 360;
+  const bagTop = isStory ? 300 : 160;
+  let cursor = drawBag(ctx, blend, fonts, { x: (width - bagWidth) / 2, y: bagTop, width: bagWidth });
+
+  // Tasting notes
+  cursor += isStory ? 140 : 90;
+  ctx.textAlign = 'center';
+  ctx.fillStyle = COLORS.ink;
+  ctx.font = `600 ${isStory ? 56 : 44}px ${fonts.display}`;
+  const noteLineHeight = isStory ? 68 : 54;
+  cursor = drawLines(ctx, wrapText(ctx, blend.notes, textWidth, 2), width / 2, cursor, noteLineHeight);
+
+  // Origins
+  cursor += isStory ? 24 : 8;
+  ctx.fillStyle = COLORS.coffee600;
+  ctx.font = `400 ${isStory ? 36 : 30}px ${fonts.body}`;
+  drawLines(ctx, wrapText(ctx, blend.origins, textWidth, 2), width / 2, cursor, isStory ? 48 : 40);
+
+  // Footer
+  const footerY = height - (isStory ? 160 : 70);
+  ctx.fillStyle = COLORS.accent;
+  roundedRect(ctx, width / 2 - 40, footerY - 60, 80, 8, Array(4).fill(4));
+  ctx.fill();
+  ctx.fillStyle = COLORS.ink;
+  ctx.font = `600 ${isStory ? 40 : 32}px ${fonts.display}`;
+  ctx.fillText('Find your blend at Blendo', width / 2, footerY);
+
+  return canvas;
+}
+
+/**
+ * Render a result card as a PNG
+ * @param {Object} blend - Blend from the engine
+ * @param {string} format - Key of CARD_FORMATS
+ * @returns {Promise<Blob>}
+ */
+export function exportResultCard(blend, format = 'square') {
+  const canvas = renderResultCard(blend, format);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Could not encode the result card as PNG'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Render a result card and save it as a PNG download
+ * @param {Object} blend - Blend from the engine
+ * @param {string} format - Key of CARD_FORMATS
+ * @returns {Promise<string>} - File name of the download
+ */
+export async function downloadResultCard(blend, format = 'square') {
+  const blob = await exportResultCard(blend, format);
+  const slug = blend.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const fileName = `blendo-${slug || 'blend'}-${format}.png`;
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  return fileName;
+}
@@ -0,0 +1,117 @@
+/**
+ * Router Utilities
+ * Minimal History API routing for the app views.
+ * netlify.toml rewrites every path to index.html, so any route can be loaded directly.
+ */
+
+import { useSyncExternalStore } from 'react';
+
+export const ROUTES = {
+  HOME: 'home',
+  QUIZ: 'quiz',
+  RESULT: 'result',
+  SHARED: 'shared',
+  SUBSCRIPTION: 'subscription',
+  FUNNEL_REPORT: 'funnel_report',
+  NOT_FOUND: 'not_found'
+};
+
+// Fired on programmatic navigation; the browser only fires popstate for back/forward
+const NAVIGATE_EVENT = 'blendo:navigate';
+
+// Internal reports are only routed in development, or where VITE_ENABLE_ADMIN_REPORTS=true
+const ADMIN_ROUTES_ENABLED = import.meta.env.DEV || import.meta.env.VITE_ENABLE_ADMIN_REPORTS === 'true';
+
+/**
+ * Parse a pathname into a route
+ * @param {string} pathname - Location pathname
+ * @returns {Object} - { name, params }
+ */
+export function parseRoute(pathname) {
+  const path = pathname.replace(/\/+$/, '') || '/';
+
+  if (path === '/') {
+    return { name: ROUTES.HOME, params: {} };
+  }
+
+  if (path === '/subscription') {
+    return { name: ROUTES.SUBSCRIPTION, params: {} };
+  }
+
+  if (path === '/admin/funnel' && ADMIN_ROUTES_ENABLED) {
+    return { name: ROUTES.FUNNEL_REPORT, params: {} };
+  }
+
+  const quizMatch = path.match(/^\/quiz\/([1-9]\d*)$/);
+  if (quizMatch) {
+    return { name: ROUTES.QUIZ, params: { step: Number(quizMatch[1]) } };
+  }
+
+  const resultMatch = path.match(/^\/result\/([\w-]+)$/);
+  if (resultMatch) {
+    return { name: ROUTES.RESULT, params: { id: resultMatch[1] } };
+  }
+
+  const sharedMatch = path.match(/^\/shared\/([\w-]+)$/);
+  if (sharedMatch) {
+    return { name: ROUTES.SHARED, params: { token: sharedMatch[1] } };
+  }
+
+  return { name: ROUTES.NOT_FOUND, params: {} };
+}
+
+/**
+ * Build a pathname for a route
+ * @param {string} name - Route name from ROUTES
+ * @param {Object} params - Route params (step for quiz, id for result, token for shared)
+ * @returns {string} - Pathname
+ */
+export function buildPath(name, params = {}) {
+  switch (name) {
+    case ROUTES.QUIZ:
+      return `/quiz/${params.step}`;
+    case ROUTES.RESULT:
+      return `/result/${params.id}`;
+    case ROUTES.SHARED:
+      return `/shared/${params.token}`;
+    case ROUTES.SUBSCRIPTION:
+      return '/subscription';
+    case ROUTES.FUNNEL_REPORT:
+      return '/admin/funnel';
+    default:
+      return '/';
+  }
+}
+
+/**
+ * Navigate to a pathname without reloading the page
+ * @param {string} path - Pathname (may include a query string)
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (replace) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+
+  return () => {
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+/**
+ * Subscribe a component to the current pathname
+ * @returns {string} - Current location pathname
+ */
+export function usePathname() {
+  return useSyncExternalStore(subscribe, () => window.location.pathname);
+}
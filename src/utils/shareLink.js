@@ -0,0 +1,262 @@
+/**
+ * Share Link Utilities
+ * Encodes a finished quiz into a compact, URL-safe token so a result can be shared
+ * and rebuilt by the engine on another device without retaking the quiz.
+ *
+ * Token layout (bytes, base64url encoded):
+ *   format, schema version, generation day, selected blend,
+ *   one entry per schema question, 16-bit checksum
+ * Numbers are unsigned LEB128 varints; answers are stored as option indexes.
+ */
+
+import {
+  QUIZ_SCHEMA_VERSION,
+  SCHEMA_QUESTION_IDS,
+  SKIPPED_ANSWER,
+  getQuestion,
+  validateAnswer,
+  pruneUnreachableAnswers
+} from './quizSchema';
+import { generateBlendAlternatives } from './quizLogic';
+import { ROUTES, buildPath } from './router';
+
+// Bump when the token layout changes
+const SHARE_FORMAT = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answer entries: 0 and 1 are reserved, real answers start at ANSWER_OFFSET
+const UNANSWERED = 0;
+const SKIPPED = 1;
+const ANSWER_OFFSET = 2;
+
+function writeVarint(bytes, value) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+}
+
+function readVarint(bytes, cursor) {
+  let value = 0;
+  let scale = 1;
+
+  for (;;) {
+    if (cursor.offset >= bytes.length || scale > 2 ** 28) {
+      throw new Error('Share link is truncated');
+    }
+    const byte = bytes[cursor.offset++];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return value;
+    scale *= 0x80;
+  }
+}
+
+// FNV-1a folded to 16 bits: enough to catch typos and truncated links
+function checksum(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return ((hash >>> 16) ^ hash) & 0xffff;
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(token) {
+  if (!/^[\w-]+$/.test(token)) {
+    throw new Error('Share link contains invalid characters');
+  }
+  const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+  return Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Calendar days are counted from the local date so the month (and so the season) never shifts
+function toDayNumber(date) {
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+function fromDayNumber(day) {
+  const utc = new Date(day * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), 12);
+}
+
+function encodeAnswer(bytes, question, answer) {
+  if (answer === undefined) {
+    writeVarint(bytes, UNANSWERED);
+    return;
+  }
+  if (answer === SKIPPED_ANSWER) {
+    writeVarint(bytes, SKIPPED);
+    return;
+  }
+
+  const indexOf = (value) => question.options.findIndex(option => option.value === value);
+
+  switch (question.type) {
+    case 'multi-select':
+      // Selection order is kept: the engine reads flavors in the order they were picked
+      writeVarint(bytes, answer.length + ANSWER_OFFSET - 1);
+      answer.forEach(value => writeVarint(bytes, indexOf(value)));
+      break;
+
+    case 'slider':
+      writeVarint(bytes, answer - question.constraints.min + ANSWER_OFFSET);
+      break;
+
+    default:
+      writeVarint(bytes, indexOf(answer) + ANSWER_OFFSET);
+  }
+}
+
+function decodeAnswer(bytes, cursor, question) {
+  const entry = readVarint(bytes, cursor);
+
+  if (entry === UNANSWERED) return undefined;
+  if (entry === SKIPPED) return SKIPPED_ANSWER;
+
+  // An index past the options can only come from a tampered link
+  const valueAt = (index) => {
+    const option = question.options?.[index];
+    if (!option) {
+      throw new Error(`Share link has an unknown option for question ${question.id}`);
+    }
+    return option.value;
+  };
+
+  switch (question.type) {
+    case 'multi-select': {
+      const count = entry - ANSWER_OFFSET + 1;
+      // Checked before allocating: the count comes straight from the link
+      const maxCount = question.constraints?.maxSelection ?? question.options.length;
+      if (count > maxCount) {
+        throw new Error(`Share link has too many selections for question ${question.id}`);
+      }
+      return Array.from({ length: count }, () => valueAt(readVarint(bytes, cursor)));
+    }
+
+    case 'slider':
+      return entry - ANSWER_OFFSET + question.constraints.min;
+
+    default:
+      return valueAt(entry - ANSWER_OFFSET);
+  }
+}
+
+/**
+ * Encode a finished quiz as a share token
+ * @param {Object} answers - Quiz answers keyed by question ID
+ * @param {Object} options - Encoding options
+ * @param {Date} options.date - Date the blend was generated on (origin seasons depend on it)
+ * @param {number} options.selectedIndex - Which of the ranked blends was picked
+ * @returns {string} - URL-safe token
+ */
+export function encodeShareToken(answers, { date = new Date(), selectedIndex = 0 } = {}) {
+  const bytes = [];
+
+  writeVarint(bytes, SHARE_FORMAT);
+  writeVarint(bytes, QUIZ_SCHEMA_VERSION);
+  writeVarint(bytes, toDayNumber(date));
+  writeVarint(bytes, selectedIndex);
+  // Schema order, so links survive the question-order experiment
+  SCHEMA_QUESTION_IDS.forEach(questionId => encodeAnswer(bytes, getQuestion(questionId), answers[questionId]));
+
+  const sum = checksum(bytes);
+  bytes.push(sum >> 8, sum & 0xff);
+
+  return toBase64Url(bytes);
+}
+
+/**
+ * Decode and verify a share token
+ * @param {string} token - Token from a share link
+ * @returns {Object} - { answers, date, selectedIndex, schemaVersion }
+ * @throws {Error} - When the token is damaged or was made with another quiz version
+ */
+export function decodeShareToken(token) {
+  let bytes;
+  try {
+    bytes = fromBase64Url(token);
+  } catch {
+    throw new Error('Share link is not valid');
+  }
+
+  if (bytes.length < 3) {
+    throw new Error('Share link is truncated');
+  }
+
+  const payload = bytes.slice(0, -2);
+  const [high, low] = bytes.slice(-2);
+  if (checksum(payload) !== ((high << 8) | low)) {
+    throw new Error('Share link is damaged (checksum mismatch)');
+  }
+
+  const cursor = { offset: 0 };
+  const format = readVarint(payload, cursor);
+  if (format !== SHARE_FORMAT) {
+    throw new Error(`Share link format ${format} is not supported`);
+  }
+
+  // Answers are stored as option indexes, which only mean something for the schema they came from
+  const schemaVersion = readVarint(payload, cursor);
+  if (schemaVersion !== QUIZ_SCHEMA_VERSION) {
+    throw new Error(`Share link was made with quiz version ${schemaVersion}, this is version ${QUIZ_SCHEMA_VERSION}`);
+  }
+
+  const date = fromDayNumber(readVarint(payload, cursor));
+  const selectedIndex = readVarint(payload, cursor);
+
+  const answers = {};
+  SCHEMA_QUESTION_IDS.forEach(questionId => {
+    const answer = decodeAnswer(payload, cursor, getQuestion(questionId));
+    if (answer === undefined) return;
+
+    const validation = validateAnswer(questionId, answer);
+    if (!validation.valid) {
+      throw new Error(`Share link has an invalid answer: ${validation.issues.join('; ')}`);
+    }
+    answers[questionId] = answer;
+  });
+
+  if (cursor.offset !== payload.length) {
+    throw new Error('Share link has unexpected trailing data');
+  }
+
+  return { answers, date, selectedIndex, schemaVersion };
+}
+
+/**
+ * Build the shareable URL for a result
+ * @param {Object} answers - Quiz answers keyed by question ID
+ * @param {Object} options - Same options as encodeShareToken
+ * @returns {string} - Absolute URL
+ */
+export function buildShareUrl(answers, options) {
+  const path = buildPath(ROUTES.SHARED, { token: encodeShareToken(answers, options) });
+  return `${window.location.origin}${path}`;
+}
+
+/**
+ * Rebuild the blends a share token was made from
+ * @param {string} token - Token from a share link
+ * @returns {Object} - { alternatives, selectedIndex, answers }
+ * @throws {Error} - When the token cannot be decoded
+ */
+export function rebuildSharedBlend(token) {
+  const { answers, date, selectedIndex } = decodeShareToken(token);
+  const alternatives = generateBlendAlternatives(pruneUnreachableAnswers(answers), { date });
+
+  return {
+    alternatives,
+    selectedIndex: selectedIndex < alternatives.length ? selectedIndex : 0,
+    answers
+  };
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareToken, decodeShareToken } from './shareLink';
+import { QUIZ_SCHEMA_VERSION, SCHEMA_QUESTION_IDS, getQuestionByKey } from './quizSchema';
+
+const ANSWERS = {
+  1: 'bright-fruity',
+  2: 'light',
+  3: ['citrus', 'berry'],
+  4: 2,
+  5: 'pour-over',
+  6: 'full'
+};
+
+// Token layout and checksum as in shareLink.js, to build links the app would never make
+function writeVarint(bytes, value) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+}
+
+function checksum(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return ((hash >>> 16) ^ hash) & 0xffff;
+}
+
+// A signed token whose answer entries are given raw: { questionId: [varints] }, others unanswered
+function craftToken(entries) {
+  const bytes = [];
+  [1, QUIZ_SCHEMA_VERSION, 20745, 0].forEach(value => writeVarint(bytes, value));
+  SCHEMA_QUESTION_IDS.forEach(questionId => (entries[questionId] ?? [0]).forEach(value => writeVarint(bytes, value)));
+
+  const sum = checksum(bytes);
+  bytes.push(sum >> 8, sum & 0xff);
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const profile = getQuestionByKey('profile');
+const flavors = getQuestionByKey('flavors');
+
+describe('share tokens', () => {
+  it('decode to the answers, day and blend they were made from', () => {
+    const date = new Date(2026, 9, 19, 12);
+    const decoded = decodeShareToken(encodeShareToken(ANSWERS, { date, selectedIndex: 2 }));
+
+    expect(decoded.answers).toEqual(ANSWERS);
+    expect(decoded.date).toEqual(date);
+    expect(decoded.selectedIndex).toBe(2);
+  });
+
+  it('accept a crafted token with valid entries', () => {
+    const decoded = decodeShareToken(craftToken({ [profile.id]: [2], [flavors.id]: [3, 0, 1] }));
+
+    expect(decoded.answers).toEqual({
+      [profile.id]: profile.options[0].value,
+      [flavors.id]: [flavors.options[0].value, flavors.options[1].value]
+    });
+  });
+
+  it('reject damaged and truncated links', () => {
+    const token = encodeShareToken(ANSWERS);
+    const damaged = `${token.slice(0, 4)}${token[4] === 'A' ? 'B' : 'A'}${token.slice(5)}`;
+
+    expect(() => decodeShareToken(damaged)).toThrow();
+    expect(() => decodeShareToken(token.slice(0, 3))).toThrow();
+    expect(() => decodeShareToken('not a token!')).toThrow('Share link is not valid');
+  });
+
+  it('reject a single-choice answer past the options', () => {
+    const token = craftToken({ [profile.id]: [profile.options.length + 2] });
+
+    expect(() => decodeShareToken(token)).toThrow(`Share link has an unknown option for question ${profile.id}`);
+  });
+
+  it('reject a multi-select option past the options', () => {
+    const token = craftToken({ [flavors.id]: [2, flavors.options.length] });
+
+    expect(() => decodeShareToken(token)).toThrow(`Share link has an unknown option for question ${flavors.id}`);
+  });
+
+  it('reject more selections than the question allows, before reading them', () => {
+    const token = craftToken({ [flavors.id]: [1_000_000] });
+
+    expect(() => decodeShareToken(token)).toThrow(`Share link has too many selections for question ${flavors.id}`);
+  });
+});
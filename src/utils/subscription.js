@@ -0,0 +1,452 @@
+/**
+ * Subscription Utilities
+ * Delivery schedule and change planning for the My Subscription view. Each plan*
+ * function returns { changes, event } ready for updateSubscription, so every
+ * change lands in the subscription's audit history together with its reason.
+ */
+
+import { toDateKey, getDeliveryDates } from './checkout';
+import { FREQUENCIES, BAG_SIZES, WHOLE_BEAN, calculatePlanPrice, describePlan } from './pricing';
+import { summarizeBlend, applyFeedback, generateAdjustedBlend } from './quizLogic';
+import { formatDate, localize, t } from './i18n';
+
+const STORAGE_KEY = 'blendo_subscription_id';
+
+/**
+ * How far apart deliveries are for each frequency
+ */
+const FREQUENCY_INTERVALS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 }
+};
+
+/**
+ * Pause lengths offered in the dashboard
+ */
+export const PAUSE_OPTIONS_WEEKS = [1, 2, 4, 8];
+
+/**
+ * Reasons offered in the cancellation survey
+ */
+export const CANCELLATION_REASONS = {
+  'too-much-coffee': 'I have too much coffee',
+  'too-expensive': 'It is too expensive',
+  'taste': "The blend isn't to my taste",
+  'delivery': 'Delivery problems',
+  'moving': "I'm moving or travelling",
+  'other': 'Something else'
+};
+
+/**
+ * Cancellation reason in the current language
+ * @param {string} reason - Key of CANCELLATION_REASONS
+ * @returns {string}
+ */
+export function describeCancellationReason(reason) {
+  return CANCELLATION_REASONS[reason]
+    ? localize(`subscription.cancelReasons.${reason}`, CANCELLATION_REASONS[reason])
+    : reason;
+}
+
+// How many scheduled dates are checked when carrying skips over to a new schedule
+const SKIP_LOOKAHEAD = 12;
+
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Delivery dates from a start date at the plan's frequency; dates are counted from
+ * the start (not from each other) so monthly deliveries don't drift, and weekend
+ * dates move to the following Monday
+ * @param {string} startKey - First delivery (YYYY-MM-DD)
+ * @param {string} frequency - Frequency key from FREQUENCIES
+ * @param {number} count - Number of dates
+ * @returns {Array<string>} - Date keys, earliest first
+ */
+export function scheduleDeliveries(startKey, frequency, count) {
+  const interval = FREQUENCY_INTERVALS[frequency];
+  if (!interval) {
+    throw new Error(`Unknown delivery frequency: ${frequency}`);
+  }
+
+  return Array.from({ length: count }, (_, index) => {
+    const date = fromDateKey(startKey);
+    if (interval.months) {
+      // Clamp to the end of shorter months (Jan 31 -> Feb 28) instead of spilling into the next
+      const day = date.getDate();
+      date.setDate(1);
+      date.setMonth(date.getMonth() + interval.months * index);
+      date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+    } else {
+      date.setDate(date.getDate() + interval.days * index);
+    }
+
+    if (date.getDay() === 6) date.setDate(date.getDate() + 2);
+    if (date.getDay() === 0) date.setDate(date.getDate() + 1);
+
+    return toDateKey(date);
+  });
+}
+
+/**
+ * The next delivery that hasn't happened yet; stored dates are only moved by
+ * changes, so older ones are rolled forward along the schedule
+ * @param {Object} subscription - Subscription from the API
+ * @param {Date} today - Reference day
+ * @returns {string} - Date key
+ */
+export function getNextDeliveryDate(subscription, today = new Date()) {
+  const todayKey = toDateKey(today);
+  let dates = [subscription.nextDeliveryDate];
+
+  // Grow the window until it reaches today; a year of weekly deliveries is 52 dates
+  for (let count = SKIP_LOOKAHEAD; dates[dates.length - 1] < todayKey; count *= 2) {
+    dates = scheduleDeliveries(subscription.nextDeliveryDate, subscription.plan.frequency, count);
+  }
+
+  return dates.find(dateKey => dateKey >= todayKey);
+}
+
+/**
+ * Status as the customer sees it: a pause that has run out counts as active again
+ * @param {Object} subscription - Subscription from the API
+ * @param {Date} today - Reference day
+ * @returns {'active'|'paused'|'cancelled'}
+ */
+export function getSubscriptionStatus(subscription, today = new Date()) {
+  if (subscription.status === 'paused' && subscription.pausedUntil && subscription.pausedUntil <= toDateKey(today)) {
+    return 'active';
+  }
+  return subscription.status;
+}
+
+/**
+ * Whether the first bag has arrived, so there is something to give feedback on
+ * @param {Object} subscription - Subscription from the API
+ * @param {Date} today - Reference day
+ * @returns {boolean}
+ */
+export function hasReceivedDelivery(subscription, today = new Date()) {
+  return (subscription.firstDeliveryDate ?? subscription.nextDeliveryDate) <= toDateKey(today);
+}
+
+/**
+ * Versions of the customer's blend, oldest first. Subscriptions created before
+ * versions were recorded get their current blend as version 1.
+ * @param {Object} subscription - Subscription from the API
+ * @returns {Array} - [{ version, blend, adjustments, source, feedback, createdAt }]
+ */
+export function getBlendVersions(subscription) {
+  if (subscription.blendVersions?.length > 0) {
+    return subscription.blendVersions;
+  }
+  return [{
+    version: 1,
+    blend: subscription.blend,
+    adjustments: subscription.blend.adjustments ?? {},
+    source: 'order',
+    feedback: null,
+    createdAt: subscription.createdAt
+  }];
+}
+
+/**
+ * Upcoming deliveries for the dashboard
+ * @param {Object} subscription - Subscription from the API
+ * @param {Object} options - Options
+ * @param {number} options.count - Number of deliveries to list
+ * @param {Date} options.today - Reference day
+ * @returns {Array} - [{ date, skipped, locked }]; locked deliveries are already being roasted
+ */
+export function getUpcomingDeliveries(subscription, { count = 4, today = new Date() } = {}) {
+  if (getSubscriptionStatus(subscription, today) === 'cancelled') {
+    return [];
+  }
+
+  const skipped = subscription.skippedDeliveries ?? [];
+  // Anything before the first bookable date is already in the roaster
+  const [firstChangeable] = getDeliveryDates({ from: today, count: 1 });
+  const start = getNextDeliveryDate(subscription, today);
+
+  return scheduleDeliveries(start, subscription.plan.frequency, count).map(date => ({
+    date,
+    skipped: skipped.includes(date),
+    locked: date < firstChangeable
+  }));
+}
+
+// Keep only the skips that still fall on a delivery date once the schedule changes
+const carryOverSkips = (skips = [], startKey, frequency) => {
+  const dates = scheduleDeliveries(startKey, frequency, SKIP_LOOKAHEAD);
+  return skips.filter(dateKey => dates.includes(dateKey));
+};
+
+/**
+ * Skip a single delivery
+ * @param {Object} subscription - Subscription from the API
+ * @param {string} dateKey - Delivery to skip
+ * @returns {Object} - { changes, event }
+ */
+export function planSkip(subscription, dateKey) {
+  return {
+    changes: { skippedDeliveries: [...(subscription.skippedDeliveries ?? []), dateKey].sort() },
+    event: { type: 'delivery_skipped', details: { date: dateKey } }
+  };
+}
+
+/**
+ * Undo a skip
+ * @param {Object} subscription - Subscription from the API
+ * @param {string} dateKey - Skipped delivery to restore
+ * @returns {Object} - { changes, event }
+ */
+export function planUnskip(subscription, dateKey) {
+  return {
+    changes: { skippedDeliveries: (subscription.skippedDeliveries ?? []).filter(date => date !== dateKey) },
+    event: { type: 'delivery_restored', details: { date: dateKey } }
+  };
+}
+
+/**
+ * Pause for a number of weeks; the schedule moves back by the same amount
+ * @param {Object} subscription - Subscription from the API
+ * @param {number} weeks - Pause length
+ * @param {Date} today - Reference day
+ * @returns {Object} - { changes, event }
+ */
+export function planPause(subscription, weeks, today = new Date()) {
+  const resumeDate = fromDateKey(getNextDeliveryDate(subscription, today));
+  resumeDate.setDate(resumeDate.getDate() + weeks * 7);
+  const resumeKey = toDateKey(resumeDate);
+
+  return {
+    changes: {
+      status: 'paused',
+      pausedUntil: resumeKey,
+      nextDeliveryDate: resumeKey,
+      skippedDeliveries: carryOverSkips(subscription.skippedDeliveries, resumeKey, subscription.plan.frequency)
+    },
+    event: { type: 'paused', details: { weeks, resumesOn: resumeKey } }
+  };
+}
+
+/**
+ * End a pause early; deliveries restart on the first bookable date
+ * @param {Object} subscription - Subscription from the API
+ * @param {Date} today - Reference day
+ * @returns {Object} - { changes, event }
+ */
+export function planResume(subscription, today = new Date()) {
+  const [nextDeliveryDate] = getDeliveryDates({ from: today, count: 1 });
+
+  return {
+    changes: {
+      status: 'active',
+      pausedUntil: null,
+      nextDeliveryDate,
+      skippedDeliveries: carryOverSkips(subscription.skippedDeliveries, nextDeliveryDate, subscription.plan.frequency)
+    },
+    event: { type: 'resumed', details: { nextDeliveryDate } }
+  };
+}
+
+/**
+ * Change delivery frequency and/or bag size; the price follows the new plan
+ * @param {Object} subscription - Subscription from the API
+ * @param {Object} updates - { frequency, size }
+ * @param {Date} today - Reference day
+ * @returns {Object} - { changes, event }
+ */
+export function planChangePlan(subscription, updates, today = new Date()) {
+  const plan = { ...subscription.plan, ...updates };
+  if (!FREQUENCIES[plan.frequency] || !BAG_SIZES[plan.size]) {
+    throw new Error(`Invalid plan change: ${JSON.stringify(updates)}`);
+  }
+
+  const nextDeliveryDate = getNextDeliveryDate(subscription, today);
+
+  return {
+    changes: {
+      plan,
+      price: calculatePlanPrice(plan, subscription.blend, { country: subscription.shipping.country }),
+      nextDeliveryDate,
+      skippedDeliveries: carryOverSkips(subscription.skippedDeliveries, nextDeliveryDate, plan.frequency)
+    },
+    event: {
+      type: 'plan_changed',
+      details: {
+        from: { frequency: subscription.plan.frequency, size: subscription.plan.size },
+        to: { frequency: plan.frequency, size: plan.size }
+      }
+    }
+  };
+}
+
+/**
+ * Swap to another blend, e.g. an alternative match or the result of a retaken quiz
+ * @param {Object} subscription - Subscription from the API
+ * @param {Object} blend - Blend from the engine
+ * @param {Object} answers - Answers the blend was generated from
+ * @returns {Object} - { changes, event }
+ */
+export function planSwapBlend(subscription, blend, answers) {
+  const summary = summarizeBlend(blend);
+  // Whole bean stays whole bean; otherwise grind for the new blend
+  const plan = subscription.plan.grind === WHOLE_BEAN
+    ? subscription.plan
+    : { ...subscription.plan, grind: summary.grindSuggestion };
+  const versions = getBlendVersions(subscription);
+
+  return {
+    changes: {
+      blend: summary,
+      answers,
+      plan,
+      price: calculatePlanPrice(plan, summary, { country: subscription.shipping.country }),
+      // A new blend starts from its own answers and variant, so earlier feedback adjustments don't carry over
+      blendVersions: [...versions, {
+        version: versions[versions.length - 1].version + 1,
+        blend: summary,
+        adjustments: summary.adjustments,
+        source: 'swap',
+        feedback: null,
+        createdAt: new Date().toISOString()
+      }]
+    },
+    event: {
+      type: 'blend_swapped',
+      details: { from: subscription.blend.name, to: summary.name }
+    }
+  };
+}
+
+/**
+ * Record post-delivery feedback and, when it calls for changes, move the subscription
+ * to an adjusted version of its blend
+ * @param {Object} subscription - Subscription from the API
+ * @param {Object} feedback - Validated feedback (see blendFeedback.js)
+ * @param {Date} today - Reference day, also used to check which origins are available
+ * @returns {Object} - { changes, event }; changes is empty when the blend stays as it is
+ */
+export function planFeedback(subscription, feedback, today = new Date()) {
+  const versions = getBlendVersions(subscription);
+  const current = versions[versions.length - 1];
+  const answers = subscription.answers ?? {};
+  const { adjustments, changes: adjusted } = applyFeedback(answers, current.adjustments, feedback);
+  const event = {
+    type: 'feedback_received',
+    details: { version: current.version, ...feedback, adjustedTo: null }
+  };
+
+  // Nothing to change, or the change lands on the same blend (e.g. already the lightest roast)
+  const summary = adjusted.length > 0
+    ? summarizeBlend(generateAdjustedBlend(answers, adjustments, { date: today, name: current.blend.name }))
+    : null;
+  if (!summary || summary.id === current.blend.id) {
+    return { changes: {}, event };
+  }
+
+  const plan = subscription.plan.grind === WHOLE_BEAN
+    ? subscription.plan
+    : { ...subscription.plan, grind: summary.grindSuggestion };
+  const version = current.version + 1;
+  event.details.adjustedTo = version;
+  event.details.adjustments = adjusted;
+
+  return {
+    changes: {
+      blend: summary,
+      plan,
+      price: calculatePlanPrice(plan, summary, { country: subscription.shipping.country }),
+      blendVersions: [...versions, {
+        version,
+        blend: summary,
+        adjustments,
+        source: 'feedback',
+        feedback,
+        createdAt: today.toISOString()
+      }]
+    },
+    event
+  };
+}
+
+/**
+ * Cancel with the answer to the reason survey
+ * @param {Object} survey - { reason, comment }
+ * @returns {Object} - { changes, event }
+ */
+export function planCancel({ reason, comment = '' }) {
+  if (!CANCELLATION_REASONS[reason]) {
+    throw new Error(`Unknown cancellation reason: ${reason}`);
+  }
+
+  const cancellation = { reason, comment: comment.trim() };
+  return {
+    changes: { status: 'cancelled', pausedUntil: null, cancellation },
+    event: { type: 'cancelled', details: cancellation }
+  };
+}
+
+/**
+ * One-line description of a history event for the dashboard, in the current language
+ * @param {Object} event - { type, at, details }
+ * @returns {string}
+ */
+export function describeHistoryEvent({ type, details = {} }) {
+  const subscriptionPlan = (plan) => describePlan({ ...plan, purchaseType: 'subscription' });
+
+  switch (type) {
+    case 'created':
+      return t('subscription.history.created', { orderId: details.orderId });
+    case 'delivery_skipped':
+      return t('subscription.history.deliverySkipped', { date: formatDate(details.date) });
+    case 'delivery_restored':
+      return t('subscription.history.deliveryRestored', { date: formatDate(details.date) });
+    case 'paused':
+      return t('subscription.history.paused', { weeks: details.weeks, date: formatDate(details.resumesOn) });
+    case 'resumed':
+      return t('subscription.history.resumed', { date: formatDate(details.nextDeliveryDate) });
+    case 'plan_changed':
+      return t('subscription.history.planChanged', {
+        from: subscriptionPlan(details.from),
+        to: subscriptionPlan(details.to)
+      });
+    case 'blend_swapped':
+      return t('subscription.history.blendSwapped', { from: details.from, to: details.to });
+    case 'feedback_received':
+      return details.adjustedTo
+        ? t('subscription.history.feedbackAdjusted', { version: details.version, rating: details.rating, adjustedTo: details.adjustedTo })
+        : t('subscription.history.feedbackUnchanged', { version: details.version, rating: details.rating });
+    case 'cancelled':
+      return t('subscription.history.cancelled', { reason: describeCancellationReason(details.reason) });
+    default:
+      return type;
+  }
+}
+
+/**
+ * Remember the subscription started on this device, so the dashboard can open it
+ * @param {string} id - Subscription ID
+ */
+export function rememberSubscription(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.warn('Could not remember subscription:', error);
+  }
+}
+
+/**
+ * @returns {string|null} - Subscription ID remembered on this device
+ */
+export function getRememberedSubscriptionId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
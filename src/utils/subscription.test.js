@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { generateBlendAlternatives, generateAdjustedBlend, summarizeBlend } from './quizLogic';
+import { planFeedback, planSwapBlend, getBlendVersions } from './subscription';
+import { EMPTY_FEEDBACK } from './blendFeedback';
+
+// Fixed day, so origin seasons (and with them the blends) don't change between runs
+const DATE = new Date('2026-10-19T12:00:00Z');
+
+const ANSWERS = {
+  1: 'smooth-nutty',
+  2: 'medium',
+  3: ['nutty', 'caramel'],
+  4: 3,
+  5: 'drip',
+  6: 'full'
+};
+
+const alternatives = generateBlendAlternatives(ANSWERS, { date: DATE, count: 10 });
+const findVariant = (matches) => alternatives.find(blend => matches(blend.adjustments.variant ?? {}));
+const lighter = findVariant(variant => variant.roast === 'light');
+const darker = findVariant(variant => variant.roast === 'dark');
+const otherOrigins = findVariant(variant => !variant.roast && variant.originPair);
+
+const subscriptionFor = (blend) => {
+  const summary = summarizeBlend(blend);
+  return {
+    answers: ANSWERS,
+    blend: summary,
+    plan: { purchaseType: 'subscription', frequency: 'monthly', size: '250g', grind: 'whole-bean' },
+    shipping: { country: 'AT' },
+    blendVersions: [{
+      version: 1,
+      blend: summary,
+      adjustments: summary.adjustments,
+      source: 'order',
+      feedback: null,
+      createdAt: DATE.toISOString()
+    }]
+  };
+};
+
+const feedback = (changes) => ({ ...EMPTY_FEEDBACK, rating: 3, ...changes });
+const roastChange = (planned) => planned.event.details.adjustments?.find(change => change.key === 'roast');
+
+describe('alternatives', () => {
+  it('offers a lighter, a darker and an origin variant of the best match', () => {
+    expect(lighter).toBeDefined();
+    expect(darker).toBeDefined();
+    expect(otherOrigins).toBeDefined();
+  });
+
+  it('rebuilds each alternative from the answers and its adjustments', () => {
+    alternatives.forEach(blend => {
+      const rebuilt = generateAdjustedBlend(ANSWERS, blend.adjustments, { date: DATE, name: blend.name });
+      expect(summarizeBlend(rebuilt).components).toEqual(summarizeBlend(blend).components);
+      expect(rebuilt.roastLevel).toBe(blend.roastLevel);
+    });
+  });
+});
+
+describe('planFeedback on an alternative', () => {
+  it('moves a lighter roast to medium when it tasted too sour', () => {
+    const planned = planFeedback(subscriptionFor(lighter), feedback({ bitterness: 'too-sour' }), DATE);
+
+    expect(roastChange(planned)).toEqual({ key: 'roast', from: 'light', to: 'medium' });
+    expect(planned.changes.blend.roastLevel).toBe('Medium Roast');
+  });
+
+  it('keeps a lighter roast light when it tasted too bitter', () => {
+    const planned = planFeedback(subscriptionFor(lighter), feedback({ bitterness: 'too-bitter' }), DATE);
+
+    expect(roastChange(planned)).toBeUndefined();
+    expect(planned.changes.blend?.roastLevel ?? lighter.roastLevel).toBe('Light Roast');
+  });
+
+  it('moves a darker roast to medium when it tasted too bitter', () => {
+    const planned = planFeedback(subscriptionFor(darker), feedback({ bitterness: 'too-bitter' }), DATE);
+
+    expect(roastChange(planned)).toEqual({ key: 'roast', from: 'dark', to: 'medium' });
+  });
+
+  it('keeps the origin pairing of a different-origins alternative', () => {
+    const planned = planFeedback(subscriptionFor(otherOrigins), feedback({ bitterness: 'too-bitter', rating: 1 }), DATE);
+    const originIds = (blend) => blend.components.map(component => component.id).sort();
+
+    expect(planned.changes.blend).toBeDefined();
+    expect(planned.changes.blendVersions[1].adjustments.variant).toEqual(otherOrigins.adjustments.variant);
+    expect(originIds(planned.changes.blend)).not.toEqual(originIds(summarizeBlend(alternatives[0])));
+  });
+});
+
+describe('planSwapBlend', () => {
+  it('records the variant of the blend swapped to', () => {
+    const subscription = subscriptionFor(alternatives[0]);
+    const planned = planSwapBlend(subscription, lighter, ANSWERS);
+    const versions = getBlendVersions({ ...subscription, ...planned.changes });
+
+    expect(versions[versions.length - 1].adjustments).toEqual(lighter.adjustments);
+  });
+});
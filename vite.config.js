@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockApi from './mock-api/plugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // mockApi serves /api/* from mock-api/data/db.json during `npm run dev` and `npm run preview`
+  plugins: [react(), mockApi()],
 })